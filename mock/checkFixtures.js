@@ -0,0 +1,162 @@
+/**
+ * Mock Fixture Check
+ *
+ * Keeps mock/fixtures.js honest: starts the mock n8n server and server.js pointed at it,
+ * requests every named /api/data route through the proxy and runs validatePayload on each
+ * response, as the dashboard does. Exits non-zero when a route fails or a payload comes
+ * back invalid, so a fixture that drifts from src/config/payloadSchemas.js is caught
+ * before anyone is debugging the dashboard against it.
+ *
+ * History, alerts, budget and config files go to a temporary directory that is removed
+ * afterwards, and sign-in is off, so the check never touches the real data/ or config/.
+ *
+ * Usage: npm run build (server.js serves dist/), then npm run mock:check
+ */
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { createMockN8nServer, loadMockConfig } from './n8nServer.js';
+import { DATA_ROUTES, getDataRoutePath } from '../src/config/dataRoutes.js';
+import { WEBHOOK_ENV_VARS } from '../server/webhooks.js';
+import { validatePayload } from '../src/utils/dataQuality.js';
+import { createFiscalOptions } from '../src/utils/fiscalCalendar.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const STARTUP_TIMEOUT_MS = 15000;
+const REQUEST_TIMEOUT_MS = 30000;
+const FAILING_STATUSES = ['invalid', 'error'];
+
+// A port nothing is listening on
+const findFreePort = () => new Promise((resolve, reject) => {
+  const probe = createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Poll /health until server.js answers, or give up
+const waitForServer = async (baseUrl, child) => {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`server.js exited with code ${child.exitCode} during startup`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`server.js did not answer ${baseUrl}/health within ${STARTUP_TIMEOUT_MS / 1000}s`);
+};
+
+/**
+ * Request one data route through server.js and validate the payload
+ * @param {string} baseUrl - server.js origin
+ * @param {string} name - Webhook name (e.g. LABOR)
+ * @returns {Promise<Object>} { name, path, status, messages }
+ */
+const checkRoute = async (baseUrl, name) => {
+  const path = getDataRoutePath(name);
+  try {
+    // no-cache so a rerun never reads a response cached by an earlier one
+    const response = await fetch(`${baseUrl}${path}`, {
+      headers: { 'Cache-Control': 'no-cache' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      return { name, path, status: 'error', messages: [`HTTP ${response.status}: ${await response.text()}`] };
+    }
+    const report = validatePayload(name, await response.json(), createFiscalOptions({}));
+    return { name, path, status: report.status, messages: report.messages };
+  } catch (error) {
+    return { name, path, status: 'error', messages: [error.message] };
+  }
+};
+
+const run = async () => {
+  if (!existsSync(join(ROOT, 'dist', 'index.html'))) {
+    console.error('ERROR: dist/ not found. Run "npm run build" first; server.js serves it.');
+    process.exit(1);
+  }
+
+  const workDir = mkdtempSync(join(tmpdir(), 'gm-dashboard-mock-check-'));
+  const mock = createMockN8nServer({ ...loadMockConfig({}), latency: [0, 0] });
+  await new Promise(resolve => mock.listen(0, resolve));
+  const mockPort = mock.address().port;
+  const port = await findFreePort();
+  const baseUrl = `http://localhost:${port}`;
+
+  const webhookEnv = {};
+  Object.entries(WEBHOOK_ENV_VARS).forEach(([name, variable]) => {
+    webhookEnv[variable] = `/webhook/${DATA_ROUTES[name]}`;
+  });
+
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      ...webhookEnv,
+      PORT: String(port),
+      N8N_BASE_URL: `http://localhost:${mockPort}`,
+      AUTH_MODE: 'none',
+      DASHBOARD_CONFIG_FILE: join(workDir, 'dashboard.json'),
+      DIVISION_CONFIG_DIR: join(workDir, 'divisions'),
+      LABOR_BUDGET_FILE: join(workDir, 'labor-budget.json'),
+      ALERTS_FILE: join(workDir, 'alerts.json'),
+      HISTORY_DIR: join(workDir, 'history'),
+      BRIEFING_OUTBOX_DIR: join(workDir, 'outbox'),
+      BRIEFING_TIME: '',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  // Only shown when something goes wrong
+  const serverLog = [];
+  child.stdout.on('data', chunk => serverLog.push(chunk));
+  child.stderr.on('data', chunk => serverLog.push(chunk));
+
+  let results = [];
+  try {
+    await waitForServer(baseUrl, child);
+    for (const name of Object.keys(DATA_ROUTES)) {
+      results.push(await checkRoute(baseUrl, name));
+    }
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    results = null;
+  } finally {
+    // Wait for server.js to exit so it isn't writing into workDir as it is removed
+    const exited = child.exitCode === null ? new Promise(resolve => child.once('exit', resolve)) : null;
+    child.kill();
+    await exited;
+    mock.close();
+    rmSync(workDir, { recursive: true, force: true });
+  }
+
+  if (!results) {
+    console.error(Buffer.concat(serverLog).toString());
+    process.exit(1);
+  }
+
+  results.forEach(({ path, status, messages }) => {
+    const mark = FAILING_STATUSES.includes(status) ? '✗' : '✓';
+    console.log(`${mark} ${path}: ${status}`);
+    messages.forEach(message => console.log(`    ${message}`));
+  });
+
+  const failed = results.filter(result => FAILING_STATUSES.includes(result.status));
+  if (failed.length > 0) {
+    console.error(`\n${failed.length} of ${results.length} routes failed the payload check`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${results.length} routes passed the payload check`);
+};
+
+run();
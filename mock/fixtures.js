@@ -0,0 +1,237 @@
+/**
+ * Mock n8n Fixtures
+ *
+ * Realistic payloads for the dashboard webhooks, in the raw shapes described in
+ * src/config/payloadSchemas.js. Fiscal year labels and dates are worked out from the
+ * request's asOf date (or today), so the fixtures never go stale.
+ */
+import { resolveFiscalYears } from '../src/utils/fiscalCalendar.js';
+
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+// The as-of date for a request, defaulting to today
+const asOfDate = (query) => {
+  const asOf = query.get('asOf');
+  return /^\d{4}-\d{2}-\d{2}$/.test(asOf || '') ? new Date(`${asOf}T00:00:00`) : new Date();
+};
+
+// [product, average price, tickets per weekday]; last season sold at lower prices
+const TICKET_PRODUCTS = [
+  ['Day Ticket', 119, 560],
+  ['Multi-Day', 289, 115],
+  ['Lesson Bundle', 189, 85],
+];
+const TICKET_SEASONS = [
+  { label: 'This Season', yearsBack: 0, priceFactor: 1, onlineShare: 0.62 },
+  { label: 'Last Season', yearsBack: 1, priceFactor: 0.96, onlineShare: 0.55 },
+];
+const TICKET_SALES_DAYS = 60;
+
+// Daily rows per product and channel for the last 60 days of each season, plus the season totals.
+// Weekends sell more, and the day-to-day wobble is deterministic so reloads match.
+const ticketSales = (query) => {
+  const end = asOfDate(query);
+  return TICKET_SEASONS.flatMap(({ label, yearsBack, priceFactor, onlineShare }) => {
+    const rows = [];
+    for (let offset = TICKET_SALES_DAYS; offset >= 1; offset -= 1) {
+      const day = new Date(end);
+      day.setFullYear(day.getFullYear() - yearsBack);
+      day.setDate(day.getDate() - offset);
+      const weekend = day.getDay() === 0 || day.getDay() === 6;
+      TICKET_PRODUCTS.forEach(([product, price, perDay], productIndex) => {
+        const tickets = Math.round(perDay * (weekend ? 1.6 : 1) * (1 + 0.15 * Math.sin(offset + productIndex + yearsBack)));
+        const online = Math.round(tickets * onlineShare);
+        [['Online', online, 0.92], ['Window', tickets - online, 1]].forEach(([channel, quantity, discount]) => {
+          rows.push({
+            fiscal_year: label,
+            product,
+            channel,
+            sale_date: formatDate(day),
+            total_paid_no_tax: Math.round(quantity * price * priceFactor * discount * 100) / 100,
+            quantity_total: quantity,
+          });
+        });
+      });
+    }
+    const total = {
+      fiscal_year: label,
+      total_paid_no_tax: Math.round(rows.reduce((sum, row) => sum + row.total_paid_no_tax, 0) * 100) / 100,
+      quantity_total: rows.reduce((sum, row) => sum + row.quantity_total, 0),
+    };
+    return [total, ...rows];
+  });
+};
+
+const seasonPassSales = (query) => {
+  const { current, prior } = resolveFiscalYears({
+    asOf: asOfDate(query),
+    startMonth: process.env.FISCAL_YEAR_START_MONTH,
+  });
+  return [
+    { Fiscal_Year: prior.label, Amount: 9875420.0, Quantity: 11234 },
+    { Fiscal_Year: current.label, Amount: 10412765.5, Quantity: 11802 },
+  ];
+};
+
+const labor = () => [
+  { division: 'Ski School', totalLabor: 48210.55, totalHours: 1874, revenue: 162340.0 },
+  { division: 'Indoor Guest Services', totalLabor: 18422.1, totalHours: 802, revenue: 41250.0 },
+  { division: 'Outdoor Guest Services', totalLabor: 21310.0, totalHours: 935, revenue: 0 },
+  { division: 'Food & Beverage', totalLabor: 39875.4, totalHours: 1690, revenue: 118920.25 },
+  { division: 'Mountain Operations', totalLabor: 61240.8, totalHours: 2310, revenue: 0 },
+  { division: 'Lodging', totalLabor: 27480.0, totalHours: 1105, revenue: 96310.0 },
+  { division: 'Community Services', totalLabor: 9120.35, totalHours: 388, revenue: 12400.0 },
+];
+
+// [touchpoint, promoters, passives, detractors]; adds up to yesterday's 34 / 10 / 4 (NPS 62.5)
+const NPS_TOUCHPOINT_COUNTS = [
+  ['Lifts', 12, 4, 2],
+  ['Lessons', 10, 2, 0],
+  ['F&B', 6, 3, 2],
+  ['Lodging', 6, 1, 0],
+];
+
+// [score, touchpoint, comment]
+const NPS_COMMENTS = [
+  [10, 'Lessons', 'Our instructor was patient and our kids were skiing blues by the end of the day.'],
+  [9, 'Lifts', 'Lift lines moved quickly even on a powder morning.'],
+  [4, 'F&B', 'Waited 25 minutes for a burger at the summit lodge and it was cold.'],
+  [8, 'Lodging', 'Room was clean and the shuttle was on time, but the hot tub was closed.'],
+  [10, 'Lodging', 'Slopeside room with a great view. Check-in was effortless.'],
+  [6, 'Lifts', 'The summit chair stopped three times while we were on it.'],
+  [9, 'F&B', 'The new ramen station at the base is fantastic.'],
+  [7, 'Lessons', 'Good lesson but the group was bigger than advertised.'],
+  [10, 'Lifts', 'Friendly lift operators and perfect grooming.'],
+  [3, 'F&B', 'Prices at the lodge cafeteria are too high for what you get.'],
+  [9, 'Lessons', 'Private lesson was worth every penny.'],
+  [8, 'Lifts', 'Good snow, but the backside lifts were closed all day.'],
+];
+
+const nps = (query) => {
+  const yesterday = asOfDate(query);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const lastYear = new Date(yesterday);
+  lastYear.setFullYear(lastYear.getFullYear() - 1);
+  const daysBefore = (days) => {
+    const date = new Date(yesterday);
+    date.setDate(date.getDate() - days);
+    return formatDate(date);
+  };
+  return {
+    yesterday_score: '62.5',
+    yesterday_compset: '58.1',
+    last_year_yesterday_score: '57.9',
+    last_year_yesterday_compset: '55.4',
+    score_difference: '4.6',
+    percent_change: '7.94',
+    yesterday_date: formatDate(yesterday),
+    last_year_yesterday_date: formatDate(lastYear),
+    promoters: 34,
+    passives: 10,
+    detractors: 4,
+    last_year_promoters: 25,
+    last_year_passives: 10,
+    last_year_detractors: 3,
+    yesterday_compset_responses: 212,
+    last_year_yesterday_compset_responses: 198,
+    touchpoints: NPS_TOUCHPOINT_COUNTS.map(([touchpoint, promoters, passives, detractors]) => ({
+      touchpoint, promoters, passives, detractors,
+    })),
+    // Last 56 days of responses, ending with yesterday's counts, so every day of the chart has a 28-day NPS
+    daily: Array.from({ length: 56 }, (_, i) => {
+      const days = 55 - i;
+      return days === 0
+        ? { date: daysBefore(0), promoters: 34, passives: 10, detractors: 4 }
+        : {
+          date: daysBefore(days),
+          promoters: 22 + ((days * 7) % 15),
+          passives: 8 + ((days * 3) % 6),
+          detractors: 3 + ((days * 5) % 7),
+        };
+    }),
+    comments: Array.from({ length: 36 }, (_, i) => {
+      const [score, touchpoint, comment] = NPS_COMMENTS[i % NPS_COMMENTS.length];
+      return { id: `r-${1000 + i}`, date: daysBefore(Math.floor(i / 6)), score, touchpoint, comment };
+    }),
+  };
+};
+
+// [area, difficulty, trails, open]; 59 of 84 trails open
+const TRAIL_COUNTS = [
+  ['Frontside', 'green', 12, 12],
+  ['Frontside', 'blue', 16, 14],
+  ['Frontside', 'black', 8, 6],
+  ['Summit', 'blue', 10, 8],
+  ['Summit', 'black', 12, 8],
+  ['Summit', 'double black', 8, 3],
+  ['Backside', 'blue', 6, 3],
+  ['Backside', 'black', 6, 2],
+  ['Village', 'park', 6, 3],
+];
+
+// [area, lifts, open]; 8 of 12 lifts open
+const LIFT_COUNTS = [
+  ['Frontside', 4, 4],
+  ['Summit', 4, 3],
+  ['Backside', 2, 0],
+  ['Village', 2, 1],
+];
+
+const trailsLifts = () => ({
+  trailsOpen: '59',
+  liftsOpen: '8',
+  trailsTotal: '84',
+  liftsTotal: '12',
+  snowfall24h: '4',
+  snowfall7d: '11',
+  seasonSnowfall: '142',
+  baseDepth: '48',
+  summitDepth: '71',
+  trails: TRAIL_COUNTS.flatMap(([area, difficulty, total, open]) => Array.from({ length: total }, (_, i) => ({
+    name: `${area} ${difficulty} ${i + 1}`,
+    area,
+    difficulty,
+    status: i < open ? 'open' : 'closed',
+  }))),
+  lifts: LIFT_COUNTS.flatMap(([area, total, open]) => Array.from({ length: total }, (_, i) => ({
+    name: `${area} Lift ${i + 1}`,
+    area,
+    status: i < open ? 'open' : 'closed',
+  }))),
+});
+
+// Budgets for the same period as the labor fixture; some divisions run over on purpose
+const laborBudget = () => [
+  { division: 'Ski School', budgetLabor: 46500.0, budgetRevenue: 165000.0 },
+  { division: 'Indoor Guest Services', budgetLabor: 18000.0, budgetRevenue: 40000.0 },
+  { division: 'Outdoor Guest Services', budgetLabor: 22000.0 },
+  { division: 'Food & Beverage', budgetLabor: 36000.0, budgetLaborPercent: 30 },
+  { division: 'Mountain Operations', budgetLabor: 60000.0 },
+  { division: 'Lodging', budgetLabor: 28000.0, budgetRevenue: 95000.0 },
+  { division: 'Community Services', budgetLabor: 9500.0, budgetRevenue: 12000.0 },
+];
+
+// Room nights for the same period; room revenue matches the Lodging division's revenue above
+const lodging = () => ({
+  roomsAvailable: '412',
+  roomsOccupied: '318',
+  roomRevenue: '96310.00',
+  lastYearRoomsAvailable: '412',
+  lastYearRoomsOccupied: '296',
+  lastYearRoomRevenue: '84120.00',
+});
+
+// Webhook path (under /webhook/) -> payload builder taking the request's URLSearchParams
+export const FIXTURES = {
+  'ticket-sales': ticketSales,
+  'season-pass-sales': seasonPassSales,
+  labor,
+  nps,
+  'trails-lifts': trailsLifts,
+  'labor-budget': laborBudget,
+  lodging,
+};
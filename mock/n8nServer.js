@@ -0,0 +1,105 @@
+/**
+ * Mock n8n Server
+ *
+ * Stand-in for the n8n instance so the dashboard, server.js and its proxy can run with no
+ * network. Serves the fixtures in mock/fixtures.js at GET /webhook/<name>:
+ *   /webhook/ticket-sales, /webhook/season-pass-sales, /webhook/labor, /webhook/nps, /webhook/trails-lifts,
+ *   /webhook/labor-budget, /webhook/lodging
+ *
+ * Environment:
+ * - MOCK_N8N_PORT:         Port to listen on (default 5678, n8n's own default)
+ * - MOCK_N8N_LATENCY:      Delay before responding in ms, fixed ("300") or a random range ("200-1500")
+ * - MOCK_N8N_ERROR_RATE:   Fraction of requests (0-1) that fail with MOCK_N8N_ERROR_STATUS
+ * - MOCK_N8N_ERROR_STATUS: Status for injected errors (default 500)
+ * - MOCK_N8N_FAIL:         Comma-separated webhooks that always fail (e.g. "labor,nps")
+ *
+ * A single request can override these with X-Mock-Latency and X-Mock-Status headers,
+ * which the dashboard proxy forwards when started with N8N_FORWARD_MOCK_HEADERS=true,
+ * so tests can exercise retries and error states.
+ *
+ * Usage: npm run mock:n8n, then start the dashboard with N8N_BASE_URL=http://localhost:5678
+ */
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+import { FIXTURES } from './fixtures.js';
+
+const WEBHOOK_PREFIX = '/webhook/';
+
+// Parse "300" or "200-1500" into a [min, max] range in ms
+const parseLatency = (value) => {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value || '').trim());
+  if (!match) return [0, 0];
+  const min = parseInt(match[1], 10);
+  const max = match[2] ? parseInt(match[2], 10) : min;
+  return [Math.min(min, max), Math.max(min, max)];
+};
+
+const pickLatency = ([min, max]) => min + Math.round(Math.random() * (max - min));
+
+/**
+ * Read mock settings from the environment
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { port, latency, errorRate, errorStatus, failing }
+ */
+export const loadMockConfig = (env = process.env) => ({
+  port: parseInt(env.MOCK_N8N_PORT || '5678', 10),
+  latency: parseLatency(env.MOCK_N8N_LATENCY),
+  errorRate: Math.min(Math.max(parseFloat(env.MOCK_N8N_ERROR_RATE) || 0, 0), 1),
+  errorStatus: parseInt(env.MOCK_N8N_ERROR_STATUS || '500', 10),
+  failing: (env.MOCK_N8N_FAIL || '').split(',').map(name => name.trim()).filter(Boolean),
+});
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} config - From loadMockConfig
+ * @returns {http.Server} Server
+ */
+export const createMockN8nServer = (config = loadMockConfig()) => createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const name = url.pathname.startsWith(WEBHOOK_PREFIX) ? url.pathname.slice(WEBHOOK_PREFIX.length) : null;
+  const fixture = name ? FIXTURES[name] : null;
+
+  if (!fixture) {
+    sendJson(res, 404, { code: 404, message: `The requested webhook "${url.pathname}" is not registered.` });
+    return;
+  }
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { code: 405, message: `This webhook only accepts GET, not ${req.method}` });
+    return;
+  }
+
+  const latencyHeader = req.headers['x-mock-latency'];
+  const statusHeader = parseInt(req.headers['x-mock-status'], 10);
+  const delay = pickLatency(latencyHeader ? parseLatency(latencyHeader) : config.latency);
+  const failed = config.failing.includes(name) || Math.random() < config.errorRate;
+  const status = statusHeader || (failed ? config.errorStatus : 200);
+
+  setTimeout(() => {
+    console.log(`[mock n8n] ${req.method} ${req.url} -> ${status} after ${delay}ms`);
+    if (status >= 400) {
+      sendJson(res, status, { code: status, message: `Injected error for ${name}` });
+      return;
+    }
+    sendJson(res, status, fixture(url.searchParams));
+  }, delay);
+});
+
+// Run directly: node mock/n8nServer.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const config = loadMockConfig();
+  createMockN8nServer(config).listen(config.port, () => {
+    console.log(`Mock n8n listening on http://localhost:${config.port}`);
+    console.log(`Webhooks: ${Object.keys(FIXTURES).map(name => `${WEBHOOK_PREFIX}${name}`).join(', ')}`);
+    console.log('Settings:', {
+      latency: config.latency.join('-'),
+      errorRate: config.errorRate,
+      errorStatus: config.errorStatus,
+      failing: config.failing,
+    });
+  });
+}
@@ -0,0 +1,260 @@
+/**
+ * Mock OIDC Provider
+ *
+ * Local OpenID Connect provider for trying the dashboard's sign-in without a real
+ * identity provider. Implements just enough of the spec for server/oidc.js:
+ *   /.well-known/openid-configuration, /authorize, /token, /jwks, /userinfo, /logout
+ * The authorize page lists the mock users; pick one to sign in as. Keys are generated
+ * at startup, so sessions from a previous run fail verification and simply sign in again.
+ *
+ * Environment:
+ * - MOCK_OIDC_PORT:          Port to listen on (default 5556)
+ * - MOCK_OIDC_ISSUER:        Issuer URL (default http://localhost:<port>)
+ * - MOCK_OIDC_CLIENT_ID:     Accepted client id (default gm-dashboard)
+ * - MOCK_OIDC_CLIENT_SECRET: Required client secret (default none: public client)
+ * - MOCK_OIDC_USERS:         JSON array of users ({ sub, name, email, groups }) to offer
+ *
+ * Usage: npm run mock:oidc, then start the dashboard with
+ *   AUTH_MODE=oidc OIDC_ISSUER=http://localhost:5556 OIDC_CLIENT_ID=gm-dashboard
+ */
+import { createServer } from 'http';
+import { createHash, generateKeyPairSync, randomBytes, sign } from 'crypto';
+import { pathToFileURL } from 'url';
+
+const KEY_ID = 'mock-oidc-key';
+
+// Authorization codes are single-use and short-lived, as with a real provider
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const DEFAULT_USERS = [
+  { sub: 'gm-001', name: 'Gina Moreno', email: 'gm@example.com', groups: ['general-manager'] },
+  { sub: 'fin-001', name: 'Frank Ito', email: 'finance@example.com', groups: ['finance'] },
+  { sub: 'ops-001', name: 'Oksana Petrov', email: 'ops@example.com', groups: ['mountain-ops'] },
+];
+
+const parseUsers = (value) => {
+  if (!value) return DEFAULT_USERS;
+  try {
+    const users = JSON.parse(value);
+    if (Array.isArray(users) && users.every(user => user && user.sub)) return users;
+    console.error('MOCK_OIDC_USERS must be a JSON array of users with a "sub"; using the defaults');
+  } catch (error) {
+    console.error('Invalid MOCK_OIDC_USERS, using the defaults:', error.message);
+  }
+  return DEFAULT_USERS;
+};
+
+/**
+ * Read mock provider settings from the environment
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { port, issuer, clientId, clientSecret, users }
+ */
+export const loadMockOidcConfig = (env = process.env) => {
+  const port = parseInt(env.MOCK_OIDC_PORT || '5556', 10);
+  return {
+    port,
+    issuer: (env.MOCK_OIDC_ISSUER || `http://localhost:${port}`).replace(/\/+$/, ''),
+    clientId: env.MOCK_OIDC_CLIENT_ID || 'gm-dashboard',
+    clientSecret: env.MOCK_OIDC_CLIENT_SECRET || '',
+    users: parseUsers(env.MOCK_OIDC_USERS),
+  };
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const readForm = req => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(new URLSearchParams(Buffer.concat(chunks).toString('utf8'))));
+  req.on('error', reject);
+});
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Create the mock provider (not yet listening)
+ * @param {Object} config - From loadMockOidcConfig
+ * @returns {http.Server} Server
+ */
+export const createMockOidcProvider = (config = loadMockOidcConfig()) => {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const signJwt = (claims) => {
+    const header = base64url({ alg: 'RS256', typ: 'JWT', kid: KEY_ID });
+    const payload = base64url(claims);
+    const signature = sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  };
+
+  const discovery = {
+    issuer: config.issuer,
+    authorization_endpoint: `${config.issuer}/authorize`,
+    token_endpoint: `${config.issuer}/token`,
+    jwks_uri: `${config.issuer}/jwks`,
+    userinfo_endpoint: `${config.issuer}/userinfo`,
+    end_session_endpoint: `${config.issuer}/logout`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'profile', 'email', 'groups'],
+  };
+
+  // The sign-in page: one button per mock user, carrying the authorization request along
+  const renderAuthorize = (res, params) => {
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name) || '')}">`)
+      .join('');
+    const buttons = config.users
+      .map(user => `<button name="sub" value="${escapeHtml(user.sub)}">${escapeHtml(user.name)} <small>${escapeHtml((user.groups || []).join(', '))}</small></button>`)
+      .join('');
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!doctype html><html><head><title>Mock sign-in</title>
+<style>body{font-family:system-ui,sans-serif;max-width:24rem;margin:4rem auto}button{display:block;width:100%;margin:.5rem 0;padding:.75rem;text-align:left}small{color:#666}</style>
+</head><body><h1>Mock sign-in</h1><p>Choose a user:</p><form method="post" action="/authorize">${hidden}${buttons}</form></body></html>`);
+  };
+
+  const authorize = async (req, res, url) => {
+    const params = req.method === 'POST' ? await readForm(req) : url.searchParams;
+    if (params.get('client_id') !== config.clientId) {
+      sendJson(res, 400, { error: 'unauthorized_client', error_description: `Unknown client_id "${params.get('client_id')}"` });
+      return;
+    }
+    if (!params.get('redirect_uri')) {
+      sendJson(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is required' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      renderAuthorize(res, params);
+      return;
+    }
+
+    const user = config.users.find(candidate => candidate.sub === params.get('sub'));
+    if (!user) {
+      renderAuthorize(res, params);
+      return;
+    }
+    const code = randomBytes(24).toString('base64url');
+    codes.set(code, {
+      user,
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+    console.log(`[mock oidc] ${user.name} signed in, redirecting to ${redirect.origin}${redirect.pathname}`);
+    res.writeHead(302, { Location: redirect.href });
+    res.end();
+  };
+
+  const token = async (req, res) => {
+    const form = await readForm(req);
+    const code = form.get('code');
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (form.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt <= Date.now()) {
+      sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired authorization code' });
+      return;
+    }
+    if (form.get('client_id') !== grant.clientId || form.get('redirect_uri') !== grant.redirectUri) {
+      sendJson(res, 400, { error: 'invalid_grant', error_description: 'client_id or redirect_uri does not match' });
+      return;
+    }
+    if (config.clientSecret && form.get('client_secret') !== config.clientSecret) {
+      sendJson(res, 401, { error: 'invalid_client', error_description: 'Client authentication failed' });
+      return;
+    }
+    if (grant.codeChallenge) {
+      const challenge = createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        return;
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.user);
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: signJwt({
+        iss: config.issuer,
+        aud: grant.clientId,
+        sub: grant.user.sub,
+        iat: now,
+        exp: now + TOKEN_TTL_SECONDS,
+        nonce: grant.nonce || undefined,
+        name: grant.user.name,
+        email: grant.user.email,
+        groups: grant.user.groups || [],
+      }),
+    });
+  };
+
+  const userinfo = (req, res) => {
+    const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    if (!user) {
+      sendJson(res, 401, { error: 'invalid_token' });
+      return;
+    }
+    sendJson(res, 200, { sub: user.sub, name: user.name, email: user.email, groups: user.groups || [] });
+  };
+
+  const logout = (res, url) => {
+    const target = url.searchParams.get('post_logout_redirect_uri');
+    if (target) {
+      res.writeHead(302, { Location: target });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Signed out of the mock provider');
+  };
+
+  return createServer((req, res) => {
+    const url = new URL(req.url, config.issuer);
+    const handlers = {
+      '/.well-known/openid-configuration': () => sendJson(res, 200, discovery),
+      '/jwks': () => sendJson(res, 200, { keys: [jwk] }),
+      '/authorize': () => authorize(req, res, url),
+      '/token': () => token(req, res),
+      '/userinfo': () => userinfo(req, res),
+      '/logout': () => logout(res, url),
+    };
+    const handler = handlers[url.pathname];
+    if (!handler) {
+      sendJson(res, 404, { error: 'not_found' });
+      return;
+    }
+    Promise.resolve(handler()).catch((error) => {
+      console.error('[mock oidc] error:', error);
+      if (!res.headersSent) sendJson(res, 500, { error: 'server_error', error_description: error.message });
+    });
+  });
+};
+
+// Run directly: node mock/oidcProvider.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const config = loadMockOidcConfig();
+  createMockOidcProvider(config).listen(config.port, () => {
+    console.log(`Mock OIDC provider listening on http://localhost:${config.port}`);
+    console.log(`Issuer: ${config.issuer}  Client id: ${config.clientId}`);
+    console.log(`Users: ${config.users.map(user => user.name).join(', ')}`);
+  });
+}
@@ -0,0 +1,131 @@
+/**
+ * Mock SMTP Server
+ *
+ * Stand-in mail server for testing the daily briefing email (server/briefingDelivery.js)
+ * without a real relay. Accepts every message and saves it as an .eml file, which opens
+ * in any mail client with its PDF attachment.
+ *
+ * Environment:
+ * - MOCK_SMTP_PORT: Port to listen on (default 2525)
+ * - MOCK_SMTP_DIR:  Directory received messages are saved to (default ./data/mock-smtp)
+ *
+ * Usage: npm run mock:smtp, then start the dashboard with
+ * BRIEFING_DELIVERY=smtp SMTP_HOST=localhost SMTP_PORT=2525 BRIEFING_TO=gm@example.com
+ */
+import { createServer } from 'net';
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+/**
+ * Read mock settings from the environment
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} { port, directory }
+ */
+export const loadMockSmtpConfig = (env = process.env) => ({
+  port: parseInt(env.MOCK_SMTP_PORT || '2525', 10),
+  directory: env.MOCK_SMTP_DIR || fileURLToPath(new URL('../data/mock-smtp', import.meta.url)),
+});
+
+// Value between the angle brackets of "MAIL FROM:<a@b>" / "RCPT TO:<a@b>"
+const readAddress = line => /<([^>]*)>/.exec(line)?.[1] ?? line.slice(line.indexOf(':') + 1).trim();
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} config - From loadMockSmtpConfig
+ * @returns {net.Server} Server
+ */
+export const createMockSmtpServer = (config) => {
+  let received = 0;
+
+  const saveMessage = ({ from, to, data }) => {
+    if (!existsSync(config.directory)) {
+      mkdirSync(config.directory, { recursive: true });
+    }
+    received += 1;
+    const id = `${Date.now()}-${received}`;
+    const filePath = join(config.directory, `${id}.eml`);
+    writeFileSync(filePath, data);
+    const subject = /^Subject: (.*)$/m.exec(data)?.[1] || '(no subject)';
+    console.log(`[mock smtp] ${from} -> ${to.join(', ')}: "${subject}" (${data.length} bytes) saved to ${filePath}`);
+    return id;
+  };
+
+  return createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let dataLines = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    const handleCommand = (line) => {
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') {
+        reply('250 mock-smtp');
+      } else if (verb === 'MAIL') {
+        envelope = { from: readAddress(line), to: [] };
+        reply('250 OK');
+      } else if (verb === 'RCPT') {
+        if (!envelope.from) {
+          reply('503 MAIL FROM first');
+          return;
+        }
+        envelope.to.push(readAddress(line));
+        reply('250 OK');
+      } else if (verb === 'DATA') {
+        if (envelope.to.length === 0) {
+          reply('503 RCPT TO first');
+          return;
+        }
+        dataLines = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (verb === 'NOOP') {
+        reply('250 OK');
+      } else if (verb === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    };
+
+    const handleDataLine = (line) => {
+      if (line !== '.') {
+        // Undo the sender's dot-stuffing
+        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+        return;
+      }
+      const id = saveMessage({ ...envelope, data: `${dataLines.join('\r\n')}\r\n` });
+      dataLines = null;
+      envelope = { from: null, to: [] };
+      reply(`250 OK queued as ${id}`);
+    };
+
+    reply('220 mock-smtp ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        if (dataLines) {
+          handleDataLine(line);
+        } else {
+          handleCommand(line);
+        }
+      }
+    });
+    socket.on('error', (error) => console.error('[mock smtp] Connection error:', error.message));
+  });
+};
+
+// Run directly: node mock/smtpServer.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const config = loadMockSmtpConfig();
+  createMockSmtpServer(config).listen(config.port, () => {
+    console.log(`Mock SMTP listening on localhost:${config.port}`);
+    console.log(`Messages are saved to ${config.directory}`);
+  });
+}
@@ -4,8 +4,34 @@ import { readFileSync, existsSync, statSync } from 'fs';
 import { join, extname } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { request as httpRequest } from 'http';
-import { request as httpsRequest } from 'https';
+import { createResponseCache, loadCacheConfig } from './server/responseCache.js';
+import { createHistoryStore, isValidSnapshotDate, toLocalDateString } from './server/historyStore.js';
+import { createSnapshotScheduler } from './server/snapshotScheduler.js';
+import { createBriefingScheduler } from './server/briefingScheduler.js';
+import { loadBriefingDelivery } from './server/briefingDelivery.js';
+import { createPdfRenderer, findBrowser } from './server/pdfRenderer.js';
+import { createAlertStore } from './server/alertStore.js';
+import { createAlertEngine, toAlertData, snapshotToAlertData, MAX_SNOOZE_MINUTES } from './server/alertEngine.js';
+import { loadAlertNotifier } from './server/alertNotifier.js';
+import { createRuntimeConfigLoader } from './server/runtimeConfig.js';
+import { loadUpstreamBaseUrl, resolveUpstreamUrl, requestFor } from './server/upstream.js';
+import { buildTrends, getSameDayLastSeason, parseSeasonStart } from './server/trends.js';
+import { createDivisionConfigLoader } from './server/divisionConfig.js';
+import { createAuth } from './server/auth.js';
+import { createBudgetStore, parseBudgetUpload, MAX_BUDGET_UPLOAD_BYTES } from './server/budgetStore.js';
+import {
+  FULL_ACCESS,
+  resolveAccess,
+  canUseWebhook,
+  filterLaborPayload,
+  filterLodgingPayload,
+  filterSnapshot,
+  filterTrends,
+  filterAlerts,
+  toClientAccess,
+} from './server/access.js';
+import { ALERT_SOURCES } from './src/utils/alertRules.js';
+import { createFiscalOptions } from './src/utils/fiscalCalendar.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -55,6 +81,10 @@ const healthCheck = (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     pid: process.pid,
+    cache: {
+      entries: responseCache.stats().entries,
+      inFlight: responseCache.stats().inFlight,
+    },
   };
   res.writeHead(200, { 
     'Content-Type': 'application/json',
@@ -64,39 +94,198 @@ const healthCheck = (req, res) => {
   console.log('Health check requested - responding with 200 OK');
 };
 
-// Proxy API requests to n8n to avoid CORS issues
-const proxyToN8n = (req, res) => {
-  // Extract the path from /api/n8n/...
-  const proxyPath = req.url.replace(/^\/api\/n8n/, '');
-  const targetUrl = `https://n8n-v2.mcp.hyperplane.dev${proxyPath}`;
-  
-  console.log(`Proxying ${req.method} ${req.url} -> ${targetUrl}`);
-  
-  // Set timeout for the proxy request (90 seconds to match client timeout)
-  const PROXY_TIMEOUT = parseInt(process.env.PROXY_TIMEOUT || '90000', 10);
+// Upstream n8n, configurable with N8N_BASE_URL (see server/upstream.js),
+// and proxy timeout (90 seconds to match client timeout)
+const N8N_BASE_URL = loadUpstreamBaseUrl();
+const PROXY_TIMEOUT = parseInt(process.env.PROXY_TIMEOUT || '90000', 10);
+
+// Sign-in (AUTH_MODE=none|oidc|token); a bad configuration stops startup rather than serving unprotected
+let auth;
+try {
+  auth = createAuth();
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+// Response headers that shouldn't be forwarded from n8n
+const headersToSkip = ['content-encoding', 'transfer-encoding', 'connection', 'content-length'];
+
+// Shared cache for GET requests to n8n (see server/responseCache.js)
+const responseCache = createResponseCache(loadCacheConfig());
+
+// Client headers passed on to n8n. Responses are cached and replayed to every user, so nothing
+// that identifies the caller (cookies, Authorization) goes upstream. The mock n8n's test headers
+// (see mock/n8nServer.js) delay or fail the shared upstream request, so they are only passed on
+// when N8N_FORWARD_MOCK_HEADERS=true, for local testing against the mock
+const FORWARDED_HEADERS = [
+  'user-agent',
+  ...(process.env.N8N_FORWARD_MOCK_HEADERS === 'true' ? ['x-mock-latency', 'x-mock-status'] : []),
+];
+
+// Build request options for an n8n path: a fixed header set, plus N8N_API_KEY as the only credential
+const buildProxyOptions = (req, proxyPath) => {
+  const url = resolveUpstreamUrl(N8N_BASE_URL, proxyPath);
+  const headers = {
+    accept: 'application/json',
+    // Content-Encoding isn't passed back (see headersToSkip), and role filtering parses the body,
+    // so ask n8n for an uncompressed response
+    'accept-encoding': 'identity',
+    // Optional: API key for authenticated webhooks
+    ...(process.env.N8N_API_KEY && { authorization: `Bearer ${process.env.N8N_API_KEY}` }),
+  };
+  FORWARDED_HEADERS.forEach((name) => {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
   
-  const url = new URL(targetUrl);
-  const options = {
+  return {
     hostname: url.hostname,
-    port: url.port || 443,
+    port: url.port || (url.protocol === 'http:' ? 80 : 443),
     path: url.pathname + url.search,
     method: req.method,
     timeout: PROXY_TIMEOUT,
-    headers: {
-      ...req.headers,
-      host: url.hostname, // Override host header
-    },
+    headers,
+  };
+};
+
+// Send a JSON error response for a failed proxy request
+const sendProxyError = (req, res, error) => {
+  if (res.headersSent) return;
+  if (error.code === 'ETIMEDOUT') {
+    console.error(`Proxy request timeout for ${req.url}`);
+    res.writeHead(504, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Gateway Timeout', message: 'Request timed out' }));
+    return;
+  }
+  console.error('Proxy error:', error);
+  res.writeHead(502, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Proxy error', message: error.message }));
+};
+
+/**
+ * Make a GET request to n8n and buffer the whole response so it can be cached
+ * @returns {Promise<{statusCode: number, headers: Object, body: Buffer}>}
+ */
+const fetchFromN8n = (req, proxyPath) => new Promise((resolve, reject) => {
+  const request = requestFor(resolveUpstreamUrl(N8N_BASE_URL, proxyPath));
+  const proxyReq = request(buildProxyOptions(req, proxyPath), (proxyRes) => {
+    const chunks = [];
+    proxyRes.on('data', (chunk) => chunks.push(chunk));
+    proxyRes.on('error', reject);
+    proxyRes.on('end', () => {
+      // Cached responses are shared between users, so never replay cookies
+      const headers = {};
+      Object.keys(proxyRes.headers).forEach(key => {
+        const lowerKey = key.toLowerCase();
+        if (!headersToSkip.includes(lowerKey) && lowerKey !== 'set-cookie') {
+          headers[key] = proxyRes.headers[key];
+        }
+      });
+      resolve({
+        statusCode: proxyRes.statusCode || 200,
+        headers,
+        body: Buffer.concat(chunks),
+      });
+    });
+  });
+  
+  proxyReq.on('error', reject);
+  
+  proxyReq.on('timeout', () => {
+    const error = new Error('Request timed out');
+    error.code = 'ETIMEDOUT';
+    proxyReq.destroy(error);
+  });
+  
+  proxyReq.end();
+});
+
+// Serve GET requests through the response cache
+// filterBody, if given, rewrites a successful JSON response for this user (the cache keeps the original);
+// onData, if given, gets the body of each successful response fetched from n8n, as n8n sent it:
+// misses, forced refreshes and background revalidation, but not responses served from the cache
+const proxyCachedToN8n = async (req, res, proxyPath, filterBody, onData) => {
+  const cacheKey = `GET ${proxyPath}`;
+  // Manual refreshes can send Cache-Control: no-cache to skip fresh entries
+  const forceRefresh = (req.headers['cache-control'] || '').includes('no-cache');
+  const loader = async () => {
+    const response = await fetchFromN8n(req, proxyPath);
+    if (onData && response.statusCode === 200) {
+      onData(response.body);
+    }
+    return response;
   };
   
-  // Remove headers that shouldn't be forwarded
-  delete options.headers['host'];
-  delete options.headers['connection'];
+  try {
+    const { response, status, age } = await responseCache.fetch(
+      cacheKey,
+      responseCache.ttlFor(proxyPath),
+      loader,
+      { forceRefresh }
+    );
+    
+    if (res.headersSent) return;
+    
+    console.log(`Cache ${status} for ${proxyPath}`);
+    let body = response.body;
+    if (filterBody && response.statusCode === 200) {
+      body = Buffer.from(JSON.stringify(filterBody(JSON.parse(body.toString('utf8')))));
+    }
+    
+    Object.keys(response.headers).forEach(key => {
+      res.setHeader(key, response.headers[key]);
+    });
+    res.setHeader('X-Cache', status);
+    res.setHeader('Age', Math.floor(age / 1000));
+    res.writeHead(response.statusCode);
+    res.end(body);
+  } catch (error) {
+    sendProxyError(req, res, error);
+  }
+};
+
+// GET /api/data/<route> forwards to the n8n webhook configured for that route (see src/config/dataRoutes.js)
+// Only named routes are proxied, so the server can't be used to reach any other webhook on the n8n host
+const handleDataRoute = (req, res) => {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+  
+  const route = runtimeConfig.resolveDataRequest(req.url);
+  if (route.status === 'unknown') {
+    sendJson(res, 404, { error: 'Not Found', message: `Unknown data route ${req.url.split('?')[0]}` });
+    return;
+  }
+  if (route.status === 'unconfigured') {
+    sendJson(res, 503, { error: 'Service Unavailable', message: `The ${route.name} webhook is not configured` });
+    return;
+  }
+  
+  const access = getAccess(req);
+  const divisionRules = loadDivisionConfig().rules;
+  if (!canUseWebhook(access, route.name, divisionRules)) {
+    sendJson(res, 403, { error: 'Forbidden', message: `Your role does not include ${route.name} data` });
+    return;
+  }
+  // Labor and budget rows are per division, so roles limited to some divisions get only those;
+  // lodging loses its room revenue for roles without revenue access
+  let filterBody;
+  if (['LABOR', 'LABOR_BUDGET'].includes(route.name) && access.restricted) {
+    filterBody = body => filterLaborPayload(body, access, divisionRules);
+  } else if (route.name === 'LODGING' && !access.revenue) {
+    filterBody = body => filterLodgingPayload(body, access);
+  }
   
-  // Explicitly forward cookies if present
-  if (req.headers.cookie) {
-    options.headers['cookie'] = req.headers.cookie;
+  // No budget webhook: answer from the uploaded budget file instead
+  if (route.status === 'local') {
+    const rows = budgetStore.load()?.rows || [];
+    sendJson(res, 200, filterBody ? filterBody(rows) : rows);
+    return;
   }
   
+  console.log(`Proxying ${req.method} ${req.url} -> ${resolveUpstreamUrl(N8N_BASE_URL, route.path)}`);
+  
   // Set timeout on the response to prevent hanging connections
   res.setTimeout(PROXY_TIMEOUT, () => {
     if (!res.headersSent) {
@@ -106,40 +295,367 @@ const proxyToN8n = (req, res) => {
     }
   });
   
-  // Use https for n8n
-  const proxyReq = httpsRequest(options, (proxyRes) => {
-    // Copy response headers (skip ones that shouldn't be forwarded)
-    const headersToSkip = ['content-encoding', 'transfer-encoding', 'connection', 'content-length'];
-    Object.keys(proxyRes.headers).forEach(key => {
-      if (!headersToSkip.includes(key.toLowerCase())) {
-        res.setHeader(key, proxyRes.headers[key]);
+  // Today's figures (no date params) feed the KPI alerts each time they are fetched from n8n;
+  // the alerts see every division, whoever asked
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  const live = ['asOf', 'from', 'to', 'compareTo'].every(key => !searchParams.has(key));
+  const onData = live && ALERT_SOURCES[route.name]
+    ? (body) => {
+      try {
+        const data = toAlertData(route.name, JSON.parse(body.toString('utf8')), {
+          divisionRules,
+          fiscalOptions: createFiscalOptions({ fiscalYearStartMonth: process.env.FISCAL_YEAR_START_MONTH }),
+        });
+        alertEngine.evaluate(data, { date: toLocalDateString() });
+      } catch (error) {
+        console.error(`Alert evaluation failed for ${route.name}:`, error.message);
       }
-    });
-    
-    // Set status code and pipe response
-    res.writeHead(proxyRes.statusCode || 200);
-    proxyRes.pipe(res);
+    }
+    : undefined;
+
+  proxyCachedToN8n(req, res, route.path, filterBody, onData);
+};
+
+// What the signed-in user may see (see server/access.js); everything when auth is off
+const getAccess = (req) => (auth.enabled ? resolveAccess(req.user, runtimeConfig.loadAccessConfig()) : FULL_ACCESS);
+
+// Send a JSON response
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache',
   });
+  res.end(JSON.stringify(body));
+};
+
+// Fetch an n8n webhook server-side (through the response cache) and parse its JSON body
+const fetchN8nJson = async (proxyPath) => {
+  const upstreamReq = { method: 'GET', headers: {} };
+  const { response } = await responseCache.fetch(
+    `GET ${proxyPath}`,
+    responseCache.ttlFor(proxyPath),
+    () => fetchFromN8n(upstreamReq, proxyPath)
+  );
+  if (response.statusCode >= 400) {
+    throw new Error(`n8n responded with ${response.statusCode} for ${proxyPath}`);
+  }
+  return JSON.parse(response.body.toString('utf8'));
+};
+
+// Uploaded labor budget, used when there is no budget webhook (see server/budgetStore.js)
+const budgetStore = createBudgetStore({
+  filePath: process.env.LABOR_BUDGET_FILE || join(__dirname, 'data', 'labor-budget.json'),
+});
+
+// Webhook URLs from the environment, optionally overridden by a config file (see server/runtimeConfig.js)
+const runtimeConfig = createRuntimeConfigLoader({
+  configPath: process.env.DASHBOARD_CONFIG_FILE || join(__dirname, 'config', 'dashboard.json'),
+  localRoutes: { LABOR_BUDGET: budgetStore.has },
+});
+
+// Labor division consolidation rules, optionally overridden per resort
+const loadDivisionConfig = createDivisionConfigLoader({
+  defaultPath: join(__dirname, 'src', 'config', 'divisions.json'),
+  overrideDir: process.env.DIVISION_CONFIG_DIR || join(__dirname, 'config', 'divisions'),
+  defaultResort: process.env.RESORT_ID,
+});
+
+// Daily history snapshots (see server/historyStore.js)
+const historyStore = createHistoryStore(process.env.HISTORY_DIR || join(__dirname, 'data', 'history'));
+
+// KPI alerts (see server/alertEngine.js), evaluated on live data and daily snapshots;
+// a bad notification configuration stops startup rather than dropping alerts silently
+let notifyAlerts;
+try {
+  notifyAlerts = loadAlertNotifier();
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+const alertEngine = createAlertEngine({
+  store: createAlertStore({ filePath: process.env.ALERTS_FILE || join(__dirname, 'data', 'alerts.json') }),
+  loadRules: runtimeConfig.loadAlertRules,
+  getSnapshot: historyStore.getSnapshot,
+  notify: notifyAlerts,
+});
+
+const snapshotScheduler = createSnapshotScheduler({
+  store: historyStore,
+  fetchJson: fetchN8nJson,
+  getWebhookPaths: runtimeConfig.loadWebhookPaths,
+  getDivisionRules: () => loadDivisionConfig().rules,
+  localData: { LABOR_BUDGET: () => budgetStore.load()?.rows },
+  getBudgetThresholds: runtimeConfig.loadBudgetThresholds,
+  fiscalYearStartMonth: process.env.FISCAL_YEAR_START_MONTH,
+  snapshotTime: process.env.HISTORY_SNAPSHOT_TIME || '07:00',
+  onCapture: (snapshot, date) => alertEngine.evaluate(snapshotToAlertData(snapshot), { date }),
+});
+
+// Daily PDF briefing (see server/briefingScheduler.js), built from the day's snapshot;
+// a bad delivery configuration or a missing browser stops startup rather than failing
+// silently each morning
+let briefingDelivery;
+let browserPath = null;
+try {
+  briefingDelivery = loadBriefingDelivery();
+  browserPath = process.env.BRIEFING_TIME ? findBrowser() : null;
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+if (process.env.BRIEFING_TIME && !browserPath) {
+  console.error('ERROR: BRIEFING_TIME is set but no headless browser was found; install Chromium or set BRIEFING_BROWSER');
+  process.exit(1);
+}
+if (browserPath) {
+  console.log(`✓ Briefing PDFs printed with ${browserPath}`);
+}
+const briefingScheduler = createBriefingScheduler({
+  // A capture fetches live data, so only today's missing snapshot is captured on demand;
+  // saving today's figures under an earlier date would rewrite history
+  loadSnapshot: async (date) => {
+    const snapshot = historyStore.getSnapshot(date);
+    if (snapshot) return snapshot;
+    if (date !== toLocalDateString()) {
+      throw new Error(`No history snapshot for ${date}, and only today's can be captured now`);
+    }
+    return snapshotScheduler.capture(date);
+  },
+  renderPdf: browserPath ? createPdfRenderer({ browserPath }) : null,
+  outboxDir: process.env.BRIEFING_OUTBOX_DIR || join(__dirname, 'data', 'outbox'),
+  deliver: briefingDelivery,
+  briefingTime: process.env.BRIEFING_TIME,
+  title: process.env.BRIEFING_TITLE,
+});
+
+// GET /api/history lists snapshot dates, GET /api/history/YYYY-MM-DD returns one snapshot,
+// and GET /api/history/YYYY-MM-DD/last-season returns the same day of last season's
+const handleHistory = (req, res) => {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
   
-  proxyReq.on('error', (error) => {
-    if (!res.headersSent) {
-      console.error('Proxy error:', error);
-      res.writeHead(502, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Proxy error', message: error.message }));
+  const pathname = req.url.split('?')[0];
+  const [requested, relation] = pathname.replace(/^\/api\/history\/?/, '').split('/');
+  
+  if (!requested) {
+    sendJson(res, 200, { dates: historyStore.listDates() });
+    return;
+  }
+  
+  if (!isValidSnapshotDate(requested)) {
+    sendJson(res, 400, { error: 'Bad Request', message: 'Date must be in YYYY-MM-DD format' });
+    return;
+  }
+  if (relation !== undefined && relation !== 'last-season') {
+    sendJson(res, 404, { error: 'Not Found', message: `Unknown history route ${pathname}` });
+    return;
+  }
+  
+  // Same day of season as the trends' last-year overlay (see server/trends.js)
+  const date = relation
+    ? getSameDayLastSeason(requested, parseSeasonStart(process.env.SEASON_START || '11-01'))
+    : requested;
+  const snapshot = historyStore.getSnapshot(date);
+  if (!snapshot) {
+    sendJson(res, 404, { error: 'Not Found', message: `No snapshot saved for ${date}` });
+    return;
+  }
+  
+  sendJson(res, 200, filterSnapshot(snapshot, getAccess(req), loadDivisionConfig().rules));
+};
+
+// GET /api/config returns the runtime configuration the client loads at startup
+const handleRuntimeConfig = (req, res) => {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+  
+  try {
+    const access = getAccess(req);
+    const divisionRules = loadDivisionConfig().rules;
+    sendJson(res, 200, runtimeConfig.toClientConfig({
+      allowWebhook: name => canUseWebhook(access, name, divisionRules),
+      access: toClientAccess(access),
+    }));
+  } catch (error) {
+    console.error('Error loading runtime config:', error);
+    sendJson(res, 500, { error: 'Internal Server Error', message: error.message });
+  }
+};
+
+// GET /api/config/divisions[?resort=id] returns the labor division rules for a resort
+const handleDivisionConfig = (req, res) => {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+  
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  try {
+    const { resort, source, rules } = loadDivisionConfig(searchParams.get('resort') || undefined);
+    sendJson(res, 200, { resort, source, ...rules });
+  } catch (error) {
+    console.error('Error loading division rules:', error);
+    sendJson(res, 500, { error: 'Internal Server Error', message: error.message });
+  }
+};
+
+// GET /api/trends?days=30[&to=YYYY-MM-DD] builds time series from the history snapshots
+const handleTrends = (req, res) => {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+  
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  const days = parseInt(searchParams.get('days') || '30', 10);
+  const to = searchParams.get('to') || undefined;
+  
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    sendJson(res, 400, { error: 'Bad Request', message: 'days must be between 1 and 366' });
+    return;
+  }
+  if (to && !isValidSnapshotDate(to)) {
+    sendJson(res, 400, { error: 'Bad Request', message: 'to must be in YYYY-MM-DD format' });
+    return;
+  }
+  
+  const trends = buildTrends(historyStore, {
+    days,
+    to,
+    seasonStart: process.env.SEASON_START || '11-01',
+  });
+  sendJson(res, 200, filterTrends(trends, getAccess(req), loadDivisionConfig().rules));
+};
+
+// GET /api/alerts returns the KPI alerts and rules the user may see;
+// POST /api/alerts/<id>/snooze with { "minutes": 60 } snoozes one (0 ends the snooze)
+const handleAlerts = async (req, res) => {
+  const access = getAccess(req);
+  const divisionRules = loadDivisionConfig().rules;
+  const pathname = req.url.split('?')[0];
+  let id;
+  let action;
+  try {
+    [id, action] = pathname.replace(/^\/api\/alerts\/?/, '').split('/').map(decodeURIComponent);
+  } catch {
+    // A stray % that isn't an escape, e.g. /api/alerts/50%/snooze
+    sendJson(res, 400, { error: 'Bad Request', message: `Invalid alert id in ${pathname}` });
+    return;
+  }
+
+  if (!id) {
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    sendJson(res, 200, {
+      alerts: filterAlerts(alertEngine.list(), access, divisionRules),
+      rules: filterAlerts(alertEngine.listRules(), access, divisionRules),
+    });
+    return;
+  }
+
+  if (action !== 'snooze') {
+    sendJson(res, 404, { error: 'Not Found', message: `Unknown alerts route ${pathname}` });
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+  if (filterAlerts(alertEngine.list(), access, divisionRules).every(alert => alert.id !== id)) {
+    sendJson(res, 404, { error: 'Not Found', message: `No alert ${id}` });
+    return;
+  }
+
+  let minutes;
+  try {
+    minutes = JSON.parse(await readRequestBody(req, 1024) || '{}').minutes;
+  } catch (error) {
+    sendJson(res, error.statusCode || 400, { error: 'Bad Request', message: error.message });
+    return;
+  }
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_SNOOZE_MINUTES) {
+    sendJson(res, 400, { error: 'Bad Request', message: `minutes must be a whole number from 0 to ${MAX_SNOOZE_MINUTES}` });
+    return;
+  }
+
+  const alert = alertEngine.snooze(id, minutes, req.user?.name || null);
+  console.log(minutes > 0
+    ? `Alert ${id} snoozed for ${minutes} minutes${alert.snoozedBy ? ` by ${alert.snoozedBy}` : ''}`
+    : `Alert ${id} unsnoozed`);
+  sendJson(res, 200, alert);
+};
+
+// Read a request body as text, rejecting bodies over maxBytes
+const readRequestBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    // Keep draining an oversized body (without storing it) so the 413 reaches the client
+    if (size > maxBytes) {
+      chunks.length = 0;
+      reject(Object.assign(new Error(`Upload is larger than ${Math.round(maxBytes / 1024)} KB`), { statusCode: 413 }));
+      return;
     }
+    chunks.push(chunk);
   });
-  
-  proxyReq.on('timeout', () => {
-    console.error(`Proxy request timeout for ${req.url}`);
-    proxyReq.destroy();
-    if (!res.headersSent) {
-      res.writeHead(504, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Gateway Timeout', message: 'Request timed out' }));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+// GET /api/budgets returns the uploaded labor budget; PUT /api/budgets replaces it (CSV or JSON)
+const handleBudgets = async (req, res) => {
+  const access = getAccess(req);
+  const divisionRules = loadDivisionConfig().rules;
+  if (!canUseWebhook(access, 'LABOR_BUDGET', divisionRules)) {
+    sendJson(res, 403, { error: 'Forbidden', message: 'Your role does not include labor budget data' });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const budget = budgetStore.load();
+    if (!budget) {
+      sendJson(res, 404, { error: 'Not Found', message: 'No labor budget has been uploaded' });
+      return;
     }
+    sendJson(res, 200, { ...budget, rows: filterLaborPayload(budget.rows, access, divisionRules) });
+    return;
+  }
+
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+  // Uploading replaces every division's budget, so roles that only see part of the card can't
+  if (access.restricted) {
+    sendJson(res, 403, { error: 'Forbidden', message: 'Only roles that see every card and division can upload budgets' });
+    return;
+  }
+
+  let rows;
+  try {
+    const body = await readRequestBody(req, MAX_BUDGET_UPLOAD_BYTES);
+    rows = parseBudgetUpload(body, req.headers['content-type']);
+  } catch (error) {
+    sendJson(res, error.statusCode || 400, {
+      error: error.statusCode === 413 ? 'Payload Too Large' : 'Bad Request',
+      message: error.message,
+    });
+    return;
+  }
+
+  const budget = budgetStore.save(rows, {
+    uploadedBy: req.user?.name || null,
+    fileName: req.headers['x-file-name'] || null,
   });
-  
-  // Forward request body if present
-  req.pipe(proxyReq);
+  console.log(`✓ Labor budget uploaded (${rows.length} rows${budget.uploadedBy ? ` by ${budget.uploadedBy}` : ''})`);
+  sendJson(res, 200, budget);
 };
 
 // Serve static files
@@ -178,7 +694,8 @@ const serveFile = (req, res, filePath) => {
 const server = createServer((req, res) => {
   // Log requests for debugging (can be removed in production if too verbose)
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.url}`);
+  // Kiosk tokens in /auth/token links are masked so they don't end up in the logs
+  console.log(`[${timestamp}] ${req.method} ${req.url.replace(/([?&]token=)[^&]*/, '$1***')}`);
   
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
@@ -186,7 +703,7 @@ const server = createServer((req, res) => {
       'Access-Control-Allow-Origin': req.headers.origin || '*',
       'Access-Control-Allow-Credentials': 'true',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-File-Name',
       'Access-Control-Max-Age': '86400',
     });
     res.end();
@@ -199,9 +716,73 @@ const server = createServer((req, res) => {
     return;
   }
   
-  // Proxy API requests to n8n
-  if (req.url.startsWith('/api/n8n')) {
-    proxyToN8n(req, res);
+  // Sign-in routes, and the sign-in requirement for everything else (see server/auth.js)
+  auth.handle(req, res)
+    .then((handled) => {
+      if (!handled) routeRequest(req, res);
+    })
+    .catch((error) => {
+      console.error('Request handling error:', error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('500 Internal Server Error');
+      }
+    });
+});
+
+// Routes for signed-in users (or everyone, when auth is off)
+const routeRequest = (req, res) => {
+  // History snapshots
+  if (req.url === '/api/history' || req.url.startsWith('/api/history/') || req.url.startsWith('/api/history?')) {
+    handleHistory(req, res);
+    return;
+  }
+  
+  // Runtime configuration (webhook endpoints)
+  if (req.url === '/api/config' || req.url.startsWith('/api/config?')) {
+    handleRuntimeConfig(req, res);
+    return;
+  }
+  
+  // Labor division rules
+  if (req.url === '/api/config/divisions' || req.url.startsWith('/api/config/divisions?')) {
+    handleDivisionConfig(req, res);
+    return;
+  }
+  
+  // Trend series built from history snapshots
+  if (req.url === '/api/trends' || req.url.startsWith('/api/trends?')) {
+    handleTrends(req, res);
+    return;
+  }
+  
+  // Uploaded labor budget
+  if (req.url === '/api/budgets' || req.url.startsWith('/api/budgets?')) {
+    handleBudgets(req, res).catch((error) => {
+      console.error('Error handling budget upload:', error);
+      if (!res.headersSent) sendJson(res, 500, { error: 'Internal Server Error', message: error.message });
+    });
+    return;
+  }
+  
+  // KPI alerts
+  if (req.url === '/api/alerts' || req.url.startsWith('/api/alerts/') || req.url.startsWith('/api/alerts?')) {
+    handleAlerts(req, res).catch((error) => {
+      console.error('Error handling alerts:', error);
+      if (!res.headersSent) sendJson(res, 500, { error: 'Internal Server Error', message: error.message });
+    });
+    return;
+  }
+  
+  // Named data routes, proxied to n8n
+  if (req.url.startsWith('/api/data/')) {
+    handleDataRoute(req, res);
+    return;
+  }
+  
+  // Any other API path (including the old /api/n8n relay) is rejected rather than served as the app
+  if (req.url === '/api' || req.url.startsWith('/api/')) {
+    sendJson(res, 404, { error: 'Not Found', message: `Unknown API route ${req.url.split('?')[0]}` });
     return;
   }
 
@@ -230,7 +811,7 @@ const server = createServer((req, res) => {
   }
   
   serveFile(req, res, fullPath);
-});
+};
 
 // Start server with error handling
 try {
@@ -240,9 +821,16 @@ try {
     console.log(`✓ Listening on ${HOST}:${PORT}`);
     console.log(`✓ Health check: http://${HOST}:${PORT}/health`);
     console.log(`✓ Serving files from: ${distPath}`);
+    console.log(`✓ Upstream n8n: ${N8N_BASE_URL.href}`);
+    console.log(`✓ Auth: ${auth.enabled ? auth.stats().providers.join(', ') : 'disabled'}`);
+    if (!auth.enabled && Object.keys(runtimeConfig.loadAccessConfig().roles || {}).length > 0) {
+      console.warn('⚠ Roles are configured but AUTH_MODE is none, so every visitor sees everything');
+    }
     console.log(`✓ Process PID: ${process.pid}`);
     console.log('==========================================');
     console.log('Server is ready to accept connections');
+    snapshotScheduler.start();
+    briefingScheduler.start();
   });
 } catch (error) {
   console.error('FATAL: Failed to start server:', error);
@@ -280,6 +868,8 @@ process.on('unhandledRejection', (reason, promise) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  snapshotScheduler.stop();
+  briefingScheduler.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -288,6 +878,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  snapshotScheduler.stop();
+  briefingScheduler.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
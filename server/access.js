@@ -0,0 +1,325 @@
+/**
+ * Access Control
+ *
+ * Role-based visibility of KPI cards and labor divisions. Roles are defined in the
+ * dashboard config file (DASHBOARD_CONFIG_FILE, see runtimeConfig.js):
+ *
+ *   {
+ *     "roles": {
+ *       "general-manager": { "groups": ["general-manager"], "cards": "*", "divisions": "*" },
+ *       "fnb-director": { "groups": ["fnb"], "cards": ["LaborExpenses"], "divisions": ["Food & Beverage"] },
+ *       "supervisor": { "users": ["kiosk:lobby"], "cards": ["LaborExpenses", "GuestSatisfaction"], "revenue": false }
+ *     },
+ *     "defaultRoles": []
+ *   }
+ *
+ * A user gets every role whose "groups" include one of their groups or whose "users" list
+ * their id or email; users matching none get "defaultRoles". Multiple roles add up.
+ * Filtering happens here, on the server, before data leaves the proxy: hidden webhooks are
+ * refused, labor rows for hidden divisions are dropped, and revenue is zeroed (or, for
+ * lodging, removed) for roles with "revenue": false. With no roles configured every signed-in user sees everything.
+ */
+import { CARD_NAMES, CARD_WEBHOOKS, REVENUE_WEBHOOKS } from '../src/config/cards.js';
+import { createDivisionLookup, unwrapResponseData } from '../src/utils/dataTransformers.js';
+
+const ALL = '*';
+
+// Revenue fields in division rows (labor actuals and budgets), hidden from roles without revenue access
+const hideRevenue = (row) => {
+  const hidden = { ...row };
+  if ('revenue' in hidden) hidden.revenue = 0;
+  delete hidden.budgetRevenue;
+  delete hidden.budgetLaborPercent;
+  return hidden;
+};
+
+// Webhooks shown inside a division section (its "extraMetrics" in the division rules),
+// so on the Labor Expenses card they follow that division's visibility
+const DIVISION_METRIC_WEBHOOKS = {
+  TRAILS_LIFTS: 'trailsLifts',
+  LODGING: 'lodging',
+};
+
+// Room revenue fields in the lodging payload, and what ADR and RevPAR are derived from
+const LODGING_REVENUE_FIELDS = ['roomRevenue', 'lastYearRoomRevenue'];
+
+export const FULL_ACCESS = Object.freeze({ cards: CARD_NAMES, divisions: null, revenue: true, roles: [], restricted: false });
+
+const NO_ACCESS = Object.freeze({ cards: [], divisions: [], revenue: false, roles: [], restricted: true });
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Check that role definitions have the expected shape
+ * @param {Object} roles - "roles" from the config file
+ * @param {string[]} defaultRoles - "defaultRoles" from the config file
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export const validateRoles = (roles, defaultRoles = []) => {
+  const errors = [];
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    return ['"roles" must be an object of role name -> role'];
+  }
+
+  Object.entries(roles).forEach(([name, role]) => {
+    ['groups', 'users'].forEach((key) => {
+      if (role[key] !== undefined && !isStringList(role[key])) {
+        errors.push(`roles.${name}.${key} must be an array of strings`);
+      }
+    });
+    if (role.cards !== ALL && !isStringList(role.cards)) {
+      errors.push(`roles.${name}.cards must be "*" or an array of card names`);
+    } else if (role.cards !== ALL) {
+      role.cards.filter(card => !CARD_NAMES.includes(card)).forEach((card) => {
+        errors.push(`roles.${name}.cards has unknown card "${card}" (expected ${CARD_NAMES.join(', ')})`);
+      });
+    }
+    if (role.divisions !== undefined && role.divisions !== ALL && !isStringList(role.divisions)) {
+      errors.push(`roles.${name}.divisions must be "*" or an array of division names`);
+    }
+    if (role.revenue !== undefined && typeof role.revenue !== 'boolean') {
+      errors.push(`roles.${name}.revenue must be true or false`);
+    }
+  });
+
+  if (!isStringList(defaultRoles)) {
+    errors.push('"defaultRoles" must be an array of role names');
+  } else {
+    defaultRoles.filter(name => !roles[name]).forEach((name) => {
+      errors.push(`defaultRoles has undefined role "${name}"`);
+    });
+  }
+  return errors;
+};
+
+/**
+ * Work out what a user may see
+ * @param {Object|null} user - Signed-in user (see auth.js), with id, email and groups
+ * @param {Object} accessConfig - { roles, defaultRoles, error } from runtimeConfig.loadAccessConfig()
+ * @returns {Object} { cards, divisions (null = all), revenue, roles, restricted }
+ */
+export const resolveAccess = (user, { roles, defaultRoles = [], error } = {}) => {
+  // A broken role config denies everything rather than showing everything
+  if (error) return NO_ACCESS;
+  if (!roles || Object.keys(roles).length === 0) return FULL_ACCESS;
+  if (!user) return NO_ACCESS;
+
+  const groups = (user.groups || []).map(group => group.toLowerCase());
+  const ids = [user.id, user.email].filter(Boolean).map(id => id.toLowerCase());
+  const matches = (list, values) => (list || []).some(item => values.includes(item.toLowerCase()));
+
+  let names = Object.keys(roles).filter(name => matches(roles[name].groups, groups) || matches(roles[name].users, ids));
+  if (names.length === 0) names = defaultRoles.filter(name => roles[name]);
+  if (names.length === 0) return NO_ACCESS;
+
+  const granted = names.map(name => roles[name]);
+  const revenue = granted.some(role => role.revenue !== false);
+  // Without revenue access, cards that show nothing but revenue are dropped too
+  const cards = CARD_NAMES
+    .filter(card => granted.some(role => role.cards === ALL || role.cards.includes(card)))
+    .filter(card => revenue || !CARD_WEBHOOKS[card].every(name => REVENUE_WEBHOOKS.includes(name)));
+  const divisions = granted.some(role => role.divisions === undefined || role.divisions === ALL)
+    ? null
+    : [...new Set(granted.flatMap(role => role.divisions))];
+  const restricted = cards.length < CARD_NAMES.length || divisions !== null || !revenue;
+
+  return { cards, divisions, revenue, roles: names, restricted };
+};
+
+/**
+ * Whether a user may receive a webhook's data
+ * @param {Object} access - From resolveAccess
+ * @param {string} name - Webhook name (e.g. LABOR)
+ * @param {Object} divisionRules - Labor division rules (see divisionConfig.js)
+ * @returns {boolean} True if at least one visible card uses it and nothing else hides it
+ */
+export const canUseWebhook = (access, name, divisionRules) => {
+  if (!access.restricted) return true;
+  const cards = access.cards.filter(card => CARD_WEBHOOKS[card].includes(name));
+  if (cards.length === 0) return false;
+  if (!access.revenue && REVENUE_WEBHOOKS.includes(name)) return false;
+
+  // A card of its own (e.g. Mountain Operations for trails and lifts) doesn't depend on divisions
+  const metric = DIVISION_METRIC_WEBHOOKS[name];
+  if (metric && access.divisions && cards.every(card => card === 'LaborExpenses')) {
+    return (divisionRules?.divisions || []).some(rule => (
+      access.divisions.includes(rule.name) && (rule.extraMetrics || []).includes(metric)
+    ));
+  }
+  return true;
+};
+
+/**
+ * Filter a raw LABOR or LABOR_BUDGET payload before it is sent to the browser
+ * @param {*} body - Parsed webhook response (or uploaded budget rows)
+ * @param {Object} access - From resolveAccess
+ * @param {Object} divisionRules - Labor division rules, to roll source divisions up
+ * @returns {*} Rows for visible divisions only, with revenue removed if hidden
+ */
+export const filterLaborPayload = (body, access, divisionRules) => {
+  if (!access.restricted) return body;
+  const rows = unwrapResponseData(body);
+  if (!Array.isArray(rows)) return [];
+
+  const findDivision = createDivisionLookup(divisionRules);
+  return rows
+    .filter(row => !access.divisions || access.divisions.includes(findDivision(row.division || row.divisionName)))
+    .map(row => (access.revenue ? row : hideRevenue(row)));
+};
+
+/**
+ * Filter a raw LODGING payload before it is sent to the browser
+ * @param {*} body - Parsed webhook response
+ * @param {Object} access - From resolveAccess
+ * @returns {*} The payload, without room revenue for roles without revenue access
+ */
+export const filterLodgingPayload = (body, access) => {
+  if (access.revenue) return body;
+  const hide = (row) => {
+    if (!row || typeof row !== 'object') return row;
+    const hidden = { ...row };
+    LODGING_REVENUE_FIELDS.forEach((field) => {
+      delete hidden[field];
+    });
+    return hidden;
+  };
+  const rows = unwrapResponseData(body);
+  return Array.isArray(rows) ? rows.map(hide) : hide(rows);
+};
+
+// Filter transformed labor (see transformLabor) and recompute its totals
+const filterTransformedLabor = (labor, access) => {
+  if (!labor) return labor;
+  const byDivision = (labor.byDivision || [])
+    .filter(division => !access.divisions || access.divisions.includes(division.division))
+    .map(division => (access.revenue ? division : { ...division, revenue: 0, percentOfRevenue: 0 }));
+  const totalLabor = byDivision.reduce((sum, division) => sum + (division.totalLabor || 0), 0);
+  const totalHours = byDivision.reduce((sum, division) => sum + (division.totalHours || 0), 0);
+  const totalRevenue = byDivision.reduce((sum, division) => sum + (division.revenue || 0), 0);
+  return {
+    ...labor,
+    totalLabor,
+    totalHours,
+    totalRevenue,
+    percentOfRevenue: totalRevenue > 0 ? Math.round((totalLabor / totalRevenue) * 10000) / 100 : 0,
+    byDivision,
+    unmappedDivisions: byDivision.some(division => division.unmapped) ? labor.unmappedDivisions : [],
+  };
+};
+
+// Filter a transformed budget (see transformLaborBudget) to the visible divisions
+const filterTransformedBudget = (budget, access) => {
+  if (!budget) return budget;
+  const byDivision = Object.fromEntries(Object.entries(budget.byDivision || {})
+    .filter(([name]) => !access.divisions || access.divisions.includes(name))
+    .map(([name, entry]) => [name, access.revenue ? entry : { ...entry, budgetRevenue: null, budgetLaborPercent: null }]));
+  return { ...budget, byDivision };
+};
+
+// Drop the revenue-derived lodging metrics (see transformLodging) for roles without revenue access
+const filterTransformedLodging = (lodging, access) => {
+  if (!lodging || access.revenue) return lodging;
+  const hide = rooms => rooms && { ...rooms, roomRevenue: null, adr: null, revpar: null };
+  return { ...hide(lodging), lastYear: hide(lodging.lastYear) };
+};
+
+// Keep only the entries of a webhook-keyed map (errors, quality) the user may see
+const pickWebhooks = (map, allowed) => (
+  map ? Object.fromEntries(Object.entries(map).filter(([name]) => allowed(name))) : map
+);
+
+/**
+ * Filter a history snapshot (see snapshotScheduler.js) for a user
+ * @param {Object} snapshot - Saved snapshot
+ * @param {Object} access - From resolveAccess
+ * @param {Object} divisionRules - Labor division rules
+ * @returns {Object} Snapshot with hidden cards, divisions and revenue removed
+ */
+export const filterSnapshot = (snapshot, access, divisionRules) => {
+  if (!access.restricted || !snapshot) return snapshot;
+  const allowed = name => canUseWebhook(access, name, divisionRules);
+  return {
+    ...snapshot,
+    sales: {
+      ticketSales: allowed('TICKET_SALES') ? snapshot.sales?.ticketSales ?? null : null,
+      seasonPassSales: allowed('SEASON_PASS_SALES') ? snapshot.sales?.seasonPassSales ?? null : null,
+    },
+    labor: allowed('LABOR') ? filterTransformedLabor(snapshot.labor, access) : null,
+    satisfaction: allowed('NPS') ? snapshot.satisfaction : null,
+    trailsLifts: allowed('TRAILS_LIFTS') ? snapshot.trailsLifts : null,
+    laborBudget: allowed('LABOR_BUDGET') ? filterTransformedBudget(snapshot.laborBudget, access) : null,
+    lodging: allowed('LODGING') ? filterTransformedLodging(snapshot.lodging, access) : null,
+    errors: pickWebhooks(snapshot.errors, allowed),
+    quality: pickWebhooks(snapshot.quality, allowed),
+  };
+};
+
+/**
+ * Filter trend series (see trends.js) for a user
+ * @param {Object} trends - From buildTrends
+ * @param {Object} access - From resolveAccess
+ * @param {Object} divisionRules - Labor division rules
+ * @returns {Object} Trends with hidden series emptied and hidden divisions removed
+ */
+export const filterTrends = (trends, access, divisionRules) => {
+  if (!access.restricted) return trends;
+  const allowed = name => canUseWebhook(access, name, divisionRules);
+  const visibleDivision = name => !access.divisions || access.divisions.includes(name);
+  const pickDivisions = values => Object.fromEntries(Object.entries(values || {}).filter(([name]) => visibleDivision(name)));
+  // Labor % of revenue reveals revenue, so it needs revenue access as well as the labor card
+  const showLabor = allowed('LABOR') && access.revenue;
+  // Labor per open trail/lift is the mountain divisions' labor
+  const mountainDivisions = (divisionRules?.divisions || [])
+    .filter(rule => (rule.extraMetrics || []).includes('trailsLifts'))
+    .map(rule => rule.name);
+  const showMountainLabor = allowed('LABOR') && mountainDivisions.every(visibleDivision);
+  const mountainOps = trends.mountainOps || [];
+
+  return {
+    ...trends,
+    nps: allowed('NPS') ? trends.nps : [],
+    seasonRevenue: allowed('TICKET_SALES') || allowed('SEASON_PASS_SALES') ? trends.seasonRevenue : [],
+    laborPercent: showLabor
+      ? trends.laborPercent.map(point => ({
+        ...point,
+        byDivision: pickDivisions(point.byDivision),
+        lastYear: pickDivisions(point.lastYear),
+      }))
+      : [],
+    divisions: showLabor ? trends.divisions.filter(visibleDivision) : [],
+    mountainOps: allowed('TRAILS_LIFTS')
+      ? mountainOps.map(point => (showMountainLabor ? point : { ...point, laborPerOpenTrail: null, laborPerOpenLift: null }))
+      : [],
+  };
+};
+
+/**
+ * Filter KPI alerts (see alertEngine.js) and alert rules for a user
+ * @param {Array<Object>} items - Alerts or rules, each with source, division and revenue
+ * @param {Object} access - From resolveAccess
+ * @param {Object} divisionRules - Labor division rules
+ * @returns {Array<Object>} Those on webhooks and divisions the user may see
+ */
+export const filterAlerts = (items, access, divisionRules) => {
+  if (!access.restricted) return items;
+  return items.filter(item => (
+    canUseWebhook(access, item.source, divisionRules)
+    && (access.revenue || !item.revenue)
+    // Resort-wide labor figures include hidden divisions, so only per-division labor alerts show
+    && (!access.divisions || (item.division ? access.divisions.includes(item.division) : item.source !== 'LABOR'))
+  ));
+};
+
+/**
+ * What the browser is told about its own access, for hiding cards (served in /api/config)
+ * @param {Object} access - From resolveAccess
+ * @returns {Object} { cards, divisions, revenue, roles, budgetUpload }
+ */
+export const toClientAccess = ({ cards, divisions, revenue, roles, restricted }) => ({
+  cards,
+  divisions,
+  revenue,
+  roles,
+  // Matches the PUT /api/budgets check in server.js
+  budgetUpload: !restricted,
+});
@@ -0,0 +1,220 @@
+/**
+ * Alert Engine
+ *
+ * Evaluates the KPI alert rules (see src/utils/alertRules.js) whenever fresh data arrives:
+ * each live labor, NPS, ticket sales or season pass response server.js fetches from n8n
+ * (not ones served from its cache), and each daily snapshot. A rule that needs several days running checks the earlier days against
+ * the history snapshots.
+ *
+ * Alerts are deduplicated per rule: a notification goes out when a rule starts firing,
+ * not on every refresh while it stays active. Snoozing an alert silences it until the
+ * snooze ends; if it is still active then, it notifies once more.
+ */
+import {
+  transformLabor,
+  transformNPS,
+  transformTicketSales,
+  transformSeasonPassSales,
+  unwrapResponseData,
+} from '../src/utils/dataTransformers.js';
+import {
+  ALERT_METRICS,
+  ALERT_SOURCES,
+  describeAlertRule,
+  evaluateAlertRule,
+  formatAlertValue,
+} from '../src/utils/alertRules.js';
+
+// Longest snooze, in minutes (a week)
+export const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+// Webhook name -> transformer, as the dashboard and snapshots run them
+const TRANSFORMS = {
+  LABOR: (payload, { divisionRules }) => transformLabor(payload, divisionRules),
+  NPS: payload => transformNPS(payload),
+  TICKET_SALES: (payload, { fiscalOptions }) => transformTicketSales(unwrapResponseData(payload), fiscalOptions),
+  SEASON_PASS_SALES: (payload, { fiscalOptions }) => transformSeasonPassSales(payload, fiscalOptions),
+};
+
+/**
+ * Transform a raw webhook payload into the data alert rules read
+ * @param {string} name - Webhook name (LABOR, NPS, TICKET_SALES or SEASON_PASS_SALES)
+ * @param {*} payload - Parsed webhook response
+ * @param {Object} options - { divisionRules, fiscalOptions }
+ * @returns {Object} e.g. { labor: ... }, or {} for webhooks no rule reads
+ */
+export const toAlertData = (name, payload, options) => (
+  TRANSFORMS[name] ? { [ALERT_SOURCES[name]]: TRANSFORMS[name](payload, options) } : {}
+);
+
+/**
+ * The data alert rules read from a history snapshot
+ * @param {Object|null} snapshot - Saved snapshot (see snapshotScheduler.js)
+ * @returns {Object} { labor, satisfaction, ticketSales, seasonPassSales }
+ */
+export const snapshotToAlertData = snapshot => ({
+  labor: snapshot?.labor ?? null,
+  satisfaction: snapshot?.satisfaction ?? null,
+  ticketSales: snapshot?.sales?.ticketSales ?? null,
+  seasonPassSales: snapshot?.sales?.seasonPassSales ?? null,
+});
+
+// YYYY-MM-DD a number of days earlier
+const daysBefore = (date, days) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() - days);
+  return parsed.toISOString().slice(0, 10);
+};
+
+/**
+ * One-line summary of an alert for notifications
+ * @param {Object} alert - Alert from the engine
+ * @returns {string} e.g. "WARNING: Food & Beverage labor % of revenue > 35% (now 36.2%, data for 2026-02-10)"
+ */
+export const describeAlert = alert => (
+  `${alert.severity.toUpperCase()}: ${alert.message} (now ${formatAlertValue(alert.metric, alert.value)}, data for ${alert.date})`
+);
+
+/**
+ * Create the alert engine
+ * @param {Object} options
+ * @param {Object} options.store - Alert store (see alertStore.js)
+ * @param {Function} options.loadRules - Returns the validated alert rules (see runtimeConfig.js)
+ * @param {Function} options.getSnapshot - Returns the history snapshot for a date, or null
+ * @param {Function} options.notify - Async function called with the alerts to send (see alertNotifier.js)
+ * @returns {Object} { evaluate, list, listRules, snooze }
+ */
+export const createAlertEngine = ({ store, loadRules, getSnapshot, notify }) => {
+  // Whether the rule also fired on each of the days before this one
+  const heldOnEarlierDays = (rule, date) => {
+    for (let day = 1; day < rule.days; day += 1) {
+      const { triggered } = evaluateAlertRule(rule, snapshotToAlertData(getSnapshot(daysBefore(date, day))));
+      if (!triggered) return false;
+    }
+    return true;
+  };
+
+  const isSnoozed = (alert, now) => Boolean(alert.snoozedUntil && new Date(alert.snoozedUntil) > now);
+
+  /**
+   * Evaluate every rule whose metric is in the data, update alert state and send notifications
+   * @param {Object} data - Transformed data keyed as ALERT_SOURCES (missing sources are skipped)
+   * @param {Object} options - { date: YYYY-MM-DD the data is for }
+   * @returns {Array<Object>} Alerts that were notified
+   */
+  const evaluate = (data, { date }) => {
+    const now = new Date();
+    const alerts = store.load();
+    const before = JSON.stringify(alerts);
+    const toNotify = [];
+
+    loadRules().forEach((rule) => {
+      const { value, triggered } = evaluateAlertRule(rule, data);
+      // No data for this rule's metric in this refresh; leave its alert as it was
+      if (triggered === null) return;
+
+      const active = triggered && heldOnEarlierDays(rule, date);
+      const previous = alerts[rule.id];
+      const metric = ALERT_METRICS[rule.metric];
+      const alert = {
+        ...previous,
+        id: rule.id,
+        message: describeAlertRule(rule),
+        metric: rule.metric,
+        source: metric.source,
+        division: rule.division || null,
+        revenue: Boolean(metric.revenue),
+        severity: rule.severity,
+        threshold: rule.threshold,
+        value,
+        date,
+      };
+
+      if (active) {
+        if (previous?.status !== 'active') {
+          // Newly firing (or firing again after it resolved): notify afresh
+          Object.assign(alert, { status: 'active', triggeredAt: now.toISOString(), resolvedAt: null, notifiedAt: null });
+          console.log(`Alert ${rule.id} triggered: ${alert.message} (now ${formatAlertValue(rule.metric, value)})`);
+        }
+        if (!alert.notifiedAt && !isSnoozed(alert, now)) {
+          alert.notifiedAt = now.toISOString();
+          toNotify.push(alert);
+        }
+      } else if (previous?.status === 'active') {
+        Object.assign(alert, { status: 'resolved', resolvedAt: now.toISOString() });
+        console.log(`Alert ${rule.id} resolved (now ${formatAlertValue(rule.metric, value)})`);
+      } else {
+        alert.status = previous?.status || 'ok';
+      }
+      alerts[rule.id] = alert;
+    });
+
+    // Most refreshes change nothing, so only write when they do
+    if (JSON.stringify(alerts) !== before) {
+      store.save(alerts);
+    }
+    if (toNotify.length > 0) {
+      notify(toNotify).catch(error => console.error('Alert notification failed:', error.message));
+    }
+    return toNotify;
+  };
+
+  /**
+   * Alerts for the configured rules, active first, newest first
+   * @returns {Array<Object>} Alerts with a "snoozed" flag
+   */
+  const list = () => {
+    const now = new Date();
+    const alerts = store.load();
+    return loadRules()
+      .map(rule => alerts[rule.id])
+      .filter(alert => alert && alert.status !== 'ok')
+      .map(alert => ({ ...alert, snoozed: isSnoozed(alert, now) }))
+      .sort((a, b) => (a.status === b.status
+        ? String(b.triggeredAt).localeCompare(String(a.triggeredAt))
+        : a.status === 'active' ? -1 : 1));
+  };
+
+  /**
+   * The configured rules, described for people
+   * @returns {Array<Object>} { id, message, metric, source, division, revenue, severity, days }
+   */
+  const listRules = () => loadRules().map(rule => ({
+    id: rule.id,
+    message: describeAlertRule(rule),
+    metric: rule.metric,
+    source: ALERT_METRICS[rule.metric].source,
+    division: rule.division || null,
+    revenue: Boolean(ALERT_METRICS[rule.metric].revenue),
+    severity: rule.severity,
+    days: rule.days,
+  }));
+
+  /**
+   * Snooze an alert, or end its snooze
+   * @param {string} id - Alert (rule) id
+   * @param {number} minutes - How long to snooze; 0 ends the snooze
+   * @param {string|null} by - Who snoozed it
+   * @returns {Object|null} Updated alert, or null if there is no alert with that id
+   */
+  const snooze = (id, minutes, by = null) => {
+    const alerts = store.load();
+    const alert = alerts[id];
+    if (!alert || alert.status === 'ok') return null;
+
+    const now = new Date();
+    if (minutes > 0) {
+      alert.snoozedUntil = new Date(now.getTime() + minutes * 60000).toISOString();
+      alert.snoozedBy = by;
+      // Remind once the snooze is over if it is still active
+      alert.notifiedAt = null;
+    } else {
+      alert.snoozedUntil = null;
+      alert.snoozedBy = null;
+    }
+    store.save(alerts);
+    return { ...alert, snoozed: isSnoozed(alert, now) };
+  };
+
+  return { evaluate, list, listRules, snooze };
+};
@@ -0,0 +1,115 @@
+/**
+ * Alert Notifier
+ *
+ * Notification hooks for KPI alerts (see alertEngine.js). The engine calls notify once per
+ * evaluation with the alerts that just started firing (or whose snooze ended), and each
+ * configured channel gets them:
+ * - ALERT_WEBHOOK_URL: POST { text, alerts } as JSON (Slack and Teams incoming webhooks read "text")
+ * - ALERT_EMAIL_TO: email through SMTP_HOST:SMTP_PORT (see smtpClient.js)
+ *
+ * With neither set, alerts only show in the dashboard and the server log.
+ */
+import { hostname } from 'os';
+import { encodeHeaderValue, sendMail } from './smtpClient.js';
+import { requestFor } from './upstream.js';
+import { describeAlert } from './alertEngine.js';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const toText = alerts => [
+  `${alerts.length} KPI alert${alerts.length === 1 ? '' : 's'} from the GM dashboard:`,
+  ...alerts.map(alert => `- ${describeAlert(alert)}`),
+].join('\n');
+
+/**
+ * Hook that posts alerts to a webhook
+ * @param {Object} options - { url: URL }
+ * @returns {Function} Async notify(alerts)
+ */
+export const createWebhookNotifier = ({ url }) => alerts => new Promise((resolve, reject) => {
+  const body = JSON.stringify({ text: toText(alerts), alerts });
+  const request = requestFor(url)(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    timeout: WEBHOOK_TIMEOUT_MS,
+  }, (response) => {
+    response.resume();
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      console.log(`✓ Posted ${alerts.length} alert(s) to ${url.host}`);
+      resolve();
+    } else {
+      reject(new Error(`Alert webhook returned ${response.statusCode}`));
+    }
+  });
+  request.on('timeout', () => request.destroy(new Error('Alert webhook timed out')));
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Hook that emails alerts
+ * @param {Object} options - { host, port, from, to: string[] }
+ * @returns {Function} Async notify(alerts)
+ */
+export const createEmailNotifier = ({ host, port, from, to }) => async (alerts) => {
+  const worst = alerts.some(alert => alert.severity === 'critical') ? 'Critical' : 'Warning';
+  const message = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeaderValue(`[${worst}] ${alerts.length === 1 ? alerts[0].message : `${alerts.length} KPI alerts`}`)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(toText(alerts)).toString('base64').replace(/.{76}/g, '$&\r\n'),
+    '',
+  ].join('\r\n');
+  const reply = await sendMail({ host, port, from, to, message });
+  console.log(`✓ Emailed ${alerts.length} alert(s) to ${to.join(', ')} (${reply})`);
+};
+
+/**
+ * Build the notify function from the environment
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Function} Async notify(alerts); a failing channel is logged and doesn't stop the others
+ * @throws {Error} If ALERT_WEBHOOK_URL is invalid or email is missing SMTP_HOST
+ */
+export const loadAlertNotifier = (env = process.env) => {
+  const channels = [];
+
+  if (env.ALERT_WEBHOOK_URL) {
+    let url;
+    try {
+      url = new URL(env.ALERT_WEBHOOK_URL);
+    } catch {
+      throw new Error(`Invalid ALERT_WEBHOOK_URL: ${env.ALERT_WEBHOOK_URL}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`ALERT_WEBHOOK_URL must be an http or https URL: ${env.ALERT_WEBHOOK_URL}`);
+    }
+    channels.push({ name: 'webhook', send: createWebhookNotifier({ url }) });
+  }
+
+  const to = (env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+  if (to.length > 0) {
+    if (!env.SMTP_HOST) {
+      throw new Error('ALERT_EMAIL_TO needs SMTP_HOST');
+    }
+    channels.push({
+      name: 'email',
+      send: createEmailNotifier({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT || '25', 10),
+        from: env.ALERT_EMAIL_FROM || env.BRIEFING_FROM || `gm-dashboard@${hostname()}`,
+        to,
+      }),
+    });
+  }
+
+  return async (alerts) => {
+    await Promise.all(channels.map(channel => channel.send(alerts).catch((error) => {
+      console.error(`Alert ${channel.name} notification failed:`, error.message);
+    })));
+  };
+};
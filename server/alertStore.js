@@ -0,0 +1,47 @@
+/**
+ * Alert Store
+ *
+ * File-backed state of the KPI alerts (see alertEngine.js): one entry per rule with its
+ * status, last value, snooze and when it was last notified, kept in ALERTS_FILE
+ * (default ./data/alerts.json) so deduplication and snoozes survive a restart.
+ */
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Create the alert store
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file holding the alert state
+ * @returns {Object} { load, save }
+ */
+export const createAlertStore = ({ filePath }) => {
+  /**
+   * Read the alert state
+   * @returns {Object} Rule id -> alert (empty when nothing was saved yet)
+   */
+  const load = () => {
+    if (!existsSync(filePath)) return {};
+    try {
+      return JSON.parse(readFileSync(filePath, 'utf8')).alerts || {};
+    } catch (error) {
+      console.error(`Failed to read alerts ${filePath}:`, error.message);
+      return {};
+    }
+  };
+
+  /**
+   * Replace the alert state
+   * @param {Object} alerts - Rule id -> alert
+   */
+  const save = (alerts) => {
+    if (!existsSync(dirname(filePath))) {
+      mkdirSync(dirname(filePath), { recursive: true });
+    }
+    // Write to a temp file first so a crash never leaves half-written state
+    const tempPath = `${filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify({ alerts, savedAt: new Date().toISOString() }, null, 2));
+    renameSync(tempPath, filePath);
+  };
+
+  return { load, save };
+};
@@ -0,0 +1,345 @@
+/**
+ * Auth
+ *
+ * Pluggable authentication for server.js. Providers are enabled with AUTH_MODE:
+ * - none:  no authentication (default, matches the dashboard's original behaviour)
+ * - oidc:  OpenID Connect / OAuth2 login with a server-side session (server/oidc.js)
+ * - token: static kiosk tokens, for wall displays that cannot sign in interactively
+ * Both can be combined ("oidc,token"). When any provider is on, the static bundle and
+ * every /api route require a signed-in user; /health and /auth/* stay public.
+ *
+ * Routes:
+ * - GET /auth/login?returnTo=/path  Start an OIDC login
+ * - GET /auth/callback              OIDC redirect URI
+ * - GET /auth/token?token=...       Exchange a kiosk token for a session cookie
+ * - POST /auth/logout               End the session (and the provider session, if supported)
+ * - GET /auth/logged-out            Signed-out page
+ * - GET /api/me                     Current user, for the dashboard header
+ */
+import { createHash, timingSafeEqual } from 'crypto';
+import { createOidcClient } from './oidc.js';
+import { createSessionStore, parseCookies, serializeCookie } from './sessions.js';
+
+export const SESSION_COOKIE = 'gm_session';
+
+// Pending OIDC logins (state -> verifier/nonce) are kept this long
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+const PROVIDERS = ['oidc', 'token'];
+
+/**
+ * Parse AUTH_KIOSK_TOKENS ("lobby:token1,office:token2") into kiosk entries
+ * @param {string} value - Raw environment variable value
+ * @returns {Array<{name: string, digest: Buffer}>} Kiosks with a hash of their token
+ */
+const parseKioskTokens = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const index = entry.indexOf(':');
+    const name = index > 0 ? entry.slice(0, index).trim() : 'Kiosk';
+    const token = index > 0 ? entry.slice(index + 1).trim() : entry;
+    return { name, digest: createHash('sha256').update(token).digest() };
+  })
+  .filter(({ name }) => name);
+
+/**
+ * Read auth settings from the environment
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Auth configuration
+ */
+export const loadAuthConfig = (env = process.env) => {
+  const modes = (env.AUTH_MODE || 'none').split(',').map(mode => mode.trim().toLowerCase()).filter(Boolean);
+  const unknown = modes.filter(mode => mode !== 'none' && !PROVIDERS.includes(mode));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown AUTH_MODE "${unknown.join(', ')}" (expected none, oidc, token or a combination)`);
+  }
+  const providers = PROVIDERS.filter(mode => modes.includes(mode));
+
+  const config = {
+    providers,
+    sessionTtlMs: (parseFloat(env.AUTH_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000,
+    // "true", "false" or "auto" (Secure when the request arrived over https)
+    cookieSecure: (env.AUTH_COOKIE_SECURE || 'auto').toLowerCase(),
+    oidc: {
+      issuer: env.OIDC_ISSUER,
+      clientId: env.OIDC_CLIENT_ID,
+      clientSecret: env.OIDC_CLIENT_SECRET || '',
+      redirectUri: env.OIDC_REDIRECT_URI || '',
+      postLogoutRedirectUri: env.OIDC_POST_LOGOUT_REDIRECT_URI || '',
+      scopes: env.OIDC_SCOPES || 'openid profile email',
+      groupsClaim: env.OIDC_GROUPS_CLAIM || 'groups',
+    },
+    kiosks: parseKioskTokens(env.AUTH_KIOSK_TOKENS),
+  };
+
+  if (providers.includes('oidc') && (!config.oidc.issuer || !config.oidc.clientId)) {
+    throw new Error('AUTH_MODE=oidc requires OIDC_ISSUER and OIDC_CLIENT_ID');
+  }
+  if (providers.includes('token') && config.kiosks.length === 0) {
+    throw new Error('AUTH_MODE=token requires AUTH_KIOSK_TOKENS');
+  }
+  return config;
+};
+
+// Origin the browser used, honouring a TLS-terminating reverse proxy
+const requestOrigin = (req) => {
+  const proto = String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim()
+    || (req.socket.encrypted ? 'https' : 'http');
+  const host = String(req.headers['x-forwarded-host'] || req.headers.host || 'localhost').split(',')[0].trim();
+  return `${proto}://${host}`;
+};
+
+// Only same-site paths are allowed as post-login destinations
+const safeReturnTo = (value) => (
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.startsWith('/auth/')
+    ? value
+    : '/'
+);
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const sendPage = (res, statusCode, title, message, headers = {}) => {
+  res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(`<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)} - GM Dashboard</title>
+<style>body{font-family:system-ui,sans-serif;background:#f5f7fa;color:#2c3e50;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0}main{background:#fff;padding:2rem 2.5rem;border-radius:8px;box-shadow:0 2px 8px rgba(0,0,0,.1);max-width:28rem}a{color:#3498db}</style>
+</head>
+<body><main><h1>${escapeHtml(title)}</h1><p>${message}</p></main></body>
+</html>`);
+};
+
+const sendJson = (res, statusCode, body, headers = {}) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const redirect = (res, location, headers = {}) => {
+  res.writeHead(302, { Location: location, 'Cache-Control': 'no-store', ...headers });
+  res.end();
+};
+
+// Map ID token claims to the user shape the dashboard and role rules use
+const userFromClaims = (claims, groupsClaim) => {
+  const groups = [].concat(claims[groupsClaim] || [], claims.roles || []).map(String);
+  return {
+    id: claims.sub,
+    name: claims.name || claims.preferred_username || claims.email || claims.sub,
+    email: claims.email || null,
+    groups: [...new Set(groups)],
+    via: 'oidc',
+  };
+};
+
+/**
+ * Create the auth layer
+ * @param {Object} config - From loadAuthConfig
+ * @returns {Object} { enabled, handle, authenticate, stats }
+ */
+export const createAuth = (config = loadAuthConfig()) => {
+  const enabled = config.providers.length > 0;
+  const oidcEnabled = config.providers.includes('oidc');
+  const tokenEnabled = config.providers.includes('token');
+  const sessions = createSessionStore({ ttlMs: config.sessionTtlMs });
+  const oidc = oidcEnabled ? createOidcClient(config.oidc) : null;
+  const pendingLogins = new Map();
+
+  const isSecure = (req) => (
+    config.cookieSecure === 'auto' ? requestOrigin(req).startsWith('https:') : config.cookieSecure === 'true'
+  );
+
+  const sessionCookie = (req, session) => serializeCookie(SESSION_COOKIE, session.id, {
+    maxAgeSeconds: (session.expiresAt - Date.now()) / 1000,
+    secure: isSecure(req),
+  });
+
+  const clearedCookie = (req) => serializeCookie(SESSION_COOKIE, '', { maxAgeSeconds: 0, secure: isSecure(req) });
+
+  const redirectUriFor = (req) => config.oidc.redirectUri || `${requestOrigin(req)}/auth/callback`;
+
+  // Constant-time comparison against each configured kiosk token
+  const findKiosk = (token) => {
+    if (!token) return null;
+    const digest = createHash('sha256').update(token).digest();
+    return config.kiosks.find(kiosk => timingSafeEqual(kiosk.digest, digest)) || null;
+  };
+
+  const kioskUser = (kiosk) => ({ id: `kiosk:${kiosk.name}`, name: kiosk.name, email: null, groups: [], via: 'token' });
+
+  /**
+   * Identify the user making a request, from the session cookie or a kiosk bearer token
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object|null} { user, session } or null if not signed in
+   */
+  const authenticate = (req) => {
+    const session = sessions.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    if (session) return { user: session.user, session };
+
+    const authorization = req.headers.authorization || '';
+    if (tokenEnabled && authorization.startsWith('Bearer ')) {
+      const kiosk = findKiosk(authorization.slice('Bearer '.length).trim());
+      if (kiosk) return { user: kioskUser(kiosk), session: null };
+    }
+    return null;
+  };
+
+  const startLogin = async (req, res, url) => {
+    if (!oidcEnabled) {
+      sendPage(res, 404, 'Sign-in unavailable', 'This dashboard only accepts kiosk links. Ask an administrator for one.');
+      return;
+    }
+    const now = Date.now();
+    pendingLogins.forEach((login, state) => {
+      if (login.expiresAt <= now) pendingLogins.delete(state);
+    });
+
+    const redirectUri = redirectUriFor(req);
+    const authorization = await oidc.createAuthorization(redirectUri);
+    pendingLogins.set(authorization.state, {
+      nonce: authorization.nonce,
+      codeVerifier: authorization.codeVerifier,
+      redirectUri,
+      returnTo: safeReturnTo(url.searchParams.get('returnTo')),
+      expiresAt: now + LOGIN_TIMEOUT_MS,
+    });
+    redirect(res, authorization.url);
+  };
+
+  const finishLogin = async (req, res, url) => {
+    const state = url.searchParams.get('state');
+    const login = state ? pendingLogins.get(state) : null;
+    if (state) pendingLogins.delete(state);
+
+    if (url.searchParams.get('error')) {
+      const reason = url.searchParams.get('error_description') || url.searchParams.get('error');
+      sendPage(res, 401, 'Sign-in failed', `${escapeHtml(reason)}. <a href="/auth/login">Try again</a>.`);
+      return;
+    }
+    if (!oidcEnabled || !login || login.expiresAt <= Date.now() || !url.searchParams.get('code')) {
+      sendPage(res, 400, 'Sign-in expired', 'That sign-in link is no longer valid. <a href="/auth/login">Sign in again</a>.');
+      return;
+    }
+
+    const { claims, idToken } = await oidc.completeAuthorization({
+      code: url.searchParams.get('code'),
+      redirectUri: login.redirectUri,
+      nonce: login.nonce,
+      codeVerifier: login.codeVerifier,
+    });
+    const session = sessions.create({ user: userFromClaims(claims, config.oidc.groupsClaim), idToken });
+    console.log(`Auth: ${session.user.name} signed in via OIDC`);
+    redirect(res, login.returnTo, { 'Set-Cookie': sessionCookie(req, session) });
+  };
+
+  const exchangeKioskToken = (req, res, url) => {
+    const kiosk = tokenEnabled ? findKiosk(url.searchParams.get('token')) : null;
+    if (!kiosk) {
+      sendPage(res, 401, 'Invalid kiosk link', 'This kiosk token is not recognised.');
+      return;
+    }
+    const session = sessions.create({ user: kioskUser(kiosk) });
+    console.log(`Auth: kiosk "${kiosk.name}" signed in`);
+    redirect(res, safeReturnTo(url.searchParams.get('returnTo')), { 'Set-Cookie': sessionCookie(req, session) });
+  };
+
+  const logout = async (req, res) => {
+    const current = authenticate(req);
+    sessions.destroy(current?.session?.id);
+    const headers = { 'Set-Cookie': clearedCookie(req) };
+    const signedOutUrl = `${requestOrigin(req)}/auth/logged-out`;
+
+    if (current?.session?.idToken && oidc) {
+      try {
+        const endSessionUrl = await oidc.getEndSessionUrl({
+          idToken: current.session.idToken,
+          postLogoutRedirectUri: config.oidc.postLogoutRedirectUri || signedOutUrl,
+        });
+        if (endSessionUrl) {
+          redirect(res, endSessionUrl, headers);
+          return;
+        }
+      } catch (error) {
+        console.warn('Auth: provider logout unavailable:', error.message);
+      }
+    }
+    redirect(res, '/auth/logged-out', headers);
+  };
+
+  // Reject a request with no user: JSON for the API, a login redirect or page otherwise
+  const rejectAnonymous = (req, res, url) => {
+    const loginUrl = oidcEnabled ? '/auth/login' : null;
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+      sendJson(res, 401, { error: 'Unauthorized', message: 'Sign in to use the dashboard', loginUrl });
+      return;
+    }
+    if (loginUrl && req.method === 'GET') {
+      redirect(res, `${loginUrl}?returnTo=${encodeURIComponent(url.pathname + url.search)}`);
+      return;
+    }
+    sendPage(res, 401, 'Sign-in required', 'Open this dashboard with its kiosk link, or ask an administrator for one.');
+  };
+
+  /**
+   * Handle auth routes and enforce sign-in for everything else
+   * @param {http.IncomingMessage} req - Request; req.user is set for signed-in users
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<boolean>} True if a response was sent and routing should stop
+   */
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const current = enabled ? authenticate(req) : null;
+    req.user = current?.user || null;
+
+    try {
+      switch (url.pathname) {
+        case '/auth/login':
+          await startLogin(req, res, url);
+          return true;
+        case '/auth/callback':
+          await finishLogin(req, res, url);
+          return true;
+        case '/auth/token':
+          exchangeKioskToken(req, res, url);
+          return true;
+        case '/auth/logout':
+          // POST only, so a link or image on another page can't sign people out
+          if (req.method !== 'POST') {
+            sendPage(res, 405, 'Method not allowed', 'Use the Log out button in the dashboard header to sign out.', { Allow: 'POST' });
+            return true;
+          }
+          await logout(req, res);
+          return true;
+        case '/auth/logged-out':
+          sendPage(res, 200, 'Signed out', `You have signed out. <a href="${oidcEnabled ? '/auth/login' : '/'}">Sign in again</a>.`);
+          return true;
+        default:
+          break;
+      }
+    } catch (error) {
+      console.error(`Auth error on ${url.pathname}:`, error.message);
+      sendPage(res, 502, 'Sign-in failed', 'The identity provider could not be reached. <a href="/auth/login">Try again</a>.');
+      return true;
+    }
+
+    if (url.pathname === '/api/me') {
+      if (enabled && !req.user) {
+        rejectAnonymous(req, res, url);
+      } else {
+        sendJson(res, 200, { authEnabled: enabled, user: req.user });
+      }
+      return true;
+    }
+
+    if (enabled && !req.user) {
+      rejectAnonymous(req, res, url);
+      return true;
+    }
+    return false;
+  };
+
+  const stats = () => ({ enabled, providers: config.providers, ...sessions.stats() });
+
+  return { enabled, handle, authenticate, stats };
+};
@@ -0,0 +1,118 @@
+/**
+ * Briefing Delivery
+ *
+ * Delivery hooks for the daily briefing (see briefingScheduler.js). A hook is an async
+ * function called with { date, fileName, filePath, pdf, briefing } once the PDF is in
+ * the outbox; if it throws, the briefing stays in the outbox and the error is logged.
+ *
+ * BRIEFING_DELIVERY picks the hook:
+ * - outbox (default): leave the PDF in the outbox for something else to pick up
+ * - smtp: email it as an attachment through SMTP_HOST:SMTP_PORT (see smtpClient.js)
+ */
+import { hostname } from 'os';
+import { encodeHeaderValue, sendMail } from './smtpClient.js';
+
+// Base64 in 76-character lines, as MIME requires
+const toBase64Lines = data => Buffer.from(data).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+/**
+ * Plain-text version of a briefing: each section's headline figures
+ * @param {Object} briefing - From buildBriefing (see dailyBriefing.js)
+ * @returns {string} Text body
+ */
+export const toBriefingText = (briefing) => {
+  const lines = [briefing.title, briefing.subtitle, ''];
+  briefing.sections.forEach((section) => {
+    lines.push(section.title);
+    section.tiles.forEach((tile) => {
+      lines.push(`  ${tile.label}: ${tile.value}${tile.detail ? ` (${tile.detail})` : ''}`);
+    });
+    section.notes.forEach(note => lines.push(`  ${note}`));
+    lines.push('');
+  });
+  lines.push('The full briefing is attached as a PDF.');
+  return lines.join('\n');
+};
+
+/**
+ * Build a MIME message with the briefing as text and the PDF attached
+ * @param {Object} options - { from, to, subject, text, fileName, pdf }
+ * @returns {string} Message: headers, blank line, body
+ */
+export const buildBriefingMessage = ({ from, to, subject, text, fileName, pdf, date = new Date() }) => {
+  const boundary = `briefing-${date.getTime().toString(36)}`;
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeaderValue(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${boundary}@${hostname()}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    toBase64Lines(text),
+    `--${boundary}`,
+    `Content-Type: application/pdf; name="${fileName}"`,
+    `Content-Disposition: attachment; filename="${fileName}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    toBase64Lines(pdf),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+};
+
+/**
+ * Hook that leaves the briefing in the outbox
+ * @returns {Function} Delivery hook
+ */
+export const createOutboxDelivery = () => async ({ date, filePath }) => {
+  console.log(`Daily briefing for ${date} is in the outbox: ${filePath}`);
+};
+
+/**
+ * Hook that emails the briefing
+ * @param {Object} options - { host, port, from, to: string[] }
+ * @returns {Function} Delivery hook
+ */
+export const createSmtpDelivery = ({ host, port, from, to }) => async ({ date, fileName, pdf, briefing }) => {
+  const message = buildBriefingMessage({
+    from,
+    to,
+    subject: `${briefing.title} - ${briefing.subtitle}`,
+    text: toBriefingText(briefing),
+    fileName,
+    pdf,
+  });
+  const reply = await sendMail({ host, port, from, to, message });
+  console.log(`✓ Emailed daily briefing for ${date} to ${to.join(', ')} (${reply})`);
+};
+
+/**
+ * Choose the delivery hook from the environment
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Function} Delivery hook
+ * @throws {Error} If BRIEFING_DELIVERY is unknown or smtp is missing its settings
+ */
+export const loadBriefingDelivery = (env = process.env) => {
+  const mode = (env.BRIEFING_DELIVERY || 'outbox').trim().toLowerCase();
+  if (mode === 'outbox') return createOutboxDelivery();
+  if (mode !== 'smtp') {
+    throw new Error(`Unknown BRIEFING_DELIVERY "${env.BRIEFING_DELIVERY}" (use outbox or smtp)`);
+  }
+
+  const to = (env.BRIEFING_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+  if (!env.SMTP_HOST || to.length === 0) {
+    throw new Error('BRIEFING_DELIVERY=smtp needs SMTP_HOST and BRIEFING_TO');
+  }
+  return createSmtpDelivery({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT || '25', 10),
+    from: env.BRIEFING_FROM || `gm-dashboard@${hostname()}`,
+    to,
+  });
+};
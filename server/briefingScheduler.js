@@ -0,0 +1,102 @@
+/**
+ * Briefing Scheduler
+ *
+ * Renders the daily briefing (see dailyBriefing.js) at a set time each day, prints it with
+ * a headless browser (see pdfRenderer.js), writes the PDF to the outbox as
+ * daily-briefing-<YYYY-MM-DD>.pdf and hands it to a delivery hook (see briefingDelivery.js).
+ */
+import { existsSync, mkdirSync, writeFileSync, renameSync } from 'fs';
+import { join, basename } from 'path';
+import { buildBriefing, renderBriefingHtml } from './dailyBriefing.js';
+import { parseTimeOfDay, msUntil } from './snapshotScheduler.js';
+import { toLocalDateString } from './historyStore.js';
+
+/**
+ * Create the daily briefing scheduler
+ * @param {Object} options
+ * @param {Function} options.loadSnapshot - Async function returning the snapshot for a date
+ *   (see historyStore.js), or null if there is no data for it; it may throw when the date can't have one
+ * @param {Function} options.renderPdf - Async function printing HTML to a PDF Buffer (see pdfRenderer.js)
+ * @param {string} options.outboxDir - Directory the PDFs are written to
+ * @param {Function} options.deliver - Delivery hook, called with { date, fileName, filePath, pdf, briefing }
+ * @param {string} options.briefingTime - Local time of day to send, "HH:MM"; the scheduler doesn't start without one
+ * @param {string} options.title - Briefing title
+ * @returns {Object} Scheduler with generate, start and stop methods
+ */
+export const createBriefingScheduler = ({ loadSnapshot, renderPdf, outboxDir, deliver, briefingTime, title }) => {
+  const time = parseTimeOfDay(briefingTime);
+  let timer = null;
+
+  const briefingPath = date => join(outboxDir, `daily-briefing-${date}.pdf`);
+
+  /**
+   * Render the briefing for a date into the outbox, then deliver it
+   * @param {string} date - YYYY-MM-DD (defaults to today)
+   * @returns {Promise<Object|null>} { date, filePath, delivered }, or null without data for the date
+   */
+  const generate = async (date = toLocalDateString()) => {
+    const snapshot = await loadSnapshot(date);
+    if (!snapshot) {
+      console.error(`Daily briefing for ${date} skipped: no snapshot data`);
+      return null;
+    }
+
+    const briefing = buildBriefing(snapshot, { title: title || undefined });
+    const pdf = await renderPdf(renderBriefingHtml(briefing));
+    if (!existsSync(outboxDir)) {
+      mkdirSync(outboxDir, { recursive: true });
+    }
+    // Write to a temp file first so whatever watches the outbox never picks up half a PDF
+    const filePath = briefingPath(date);
+    writeFileSync(`${filePath}.tmp`, pdf);
+    renameSync(`${filePath}.tmp`, filePath);
+    console.log(`✓ Wrote daily briefing for ${date} to ${filePath}`);
+
+    try {
+      await deliver({ date, fileName: basename(filePath), filePath, pdf, briefing });
+      return { date, filePath, delivered: true };
+    } catch (error) {
+      console.error(`Daily briefing for ${date} was not delivered (it is still in the outbox):`, error.message);
+      return { date, filePath, delivered: false };
+    }
+  };
+
+  // Generate, then schedule the next run at the same time tomorrow
+  const scheduleNext = () => {
+    timer = setTimeout(async () => {
+      try {
+        await generate();
+      } catch (error) {
+        console.error('Daily briefing failed:', error);
+      }
+      scheduleNext();
+    }, msUntil(time));
+  };
+
+  const start = () => {
+    if (!briefingTime) {
+      console.log('Daily briefing disabled: set BRIEFING_TIME to enable it');
+      return;
+    }
+
+    // Catch up if the server starts after today's briefing time and today's isn't in the outbox
+    const now = new Date();
+    const todayRun = new Date(now);
+    todayRun.setHours(time.hours, time.minutes, 0, 0);
+    if (now >= todayRun && !existsSync(briefingPath(toLocalDateString(now)))) {
+      generate().catch((error) => console.error('Daily briefing failed:', error));
+    }
+
+    scheduleNext();
+    console.log(`✓ Daily briefing scheduled at ${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}, outbox ${outboxDir}`);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return { generate, start, stop };
+};
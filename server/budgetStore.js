@@ -0,0 +1,168 @@
+/**
+ * Budget Store
+ *
+ * Labor budgets uploaded as a file, for resorts without a budget webhook. The latest
+ * upload is kept in LABOR_BUDGET_FILE (default ./data/labor-budget.json) and served at
+ * /api/data/labor-budget when N8N_LABOR_BUDGET_ENDPOINT isn't configured.
+ *
+ * Uploads are CSV or JSON with one row per division:
+ *   division,budgetLabor,budgetRevenue,budgetLaborPercent
+ *   Food & Beverage,36000,,30
+ * budgetRevenue and budgetLaborPercent are optional; division names may be source or
+ * consolidated names (see src/config/divisions.json).
+ */
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname } from 'path';
+import { validatePayload } from '../src/utils/dataQuality.js';
+
+// Maximum upload size; a budget is a handful of rows
+export const MAX_BUDGET_UPLOAD_BYTES = 256 * 1024;
+
+// CSV header (lower-cased, spaces and underscores removed) -> row field
+const CSV_COLUMNS = {
+  division: 'division',
+  divisionname: 'division',
+  budgetlabor: 'budgetLabor',
+  budget: 'budgetLabor',
+  budgetrevenue: 'budgetRevenue',
+  budgetlaborpercent: 'budgetLaborPercent',
+};
+
+const NUMERIC_FIELDS = ['budgetLabor', 'budgetRevenue', 'budgetLaborPercent'];
+
+// Split one CSV line, honouring double-quoted fields ("Food, Beverage" and "" escapes)
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+// "$36,000" -> 36000, "30%" -> 30; blank stays undefined so optional fields can be omitted
+const parseAmount = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const number = Number(String(value).replace(/[$,%\s]/g, ''));
+  return Number.isFinite(number) ? number : value;
+};
+
+/**
+ * Parse budget rows from CSV text
+ * @param {string} text - CSV with a header row
+ * @returns {Array<Object>} Rows
+ */
+export const parseBudgetCsv = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+  const columns = splitCsvLine(lines[0]).map(name => CSV_COLUMNS[name.toLowerCase().replace(/[\s_]/g, '')] || null);
+  if (!columns.includes('division') || !columns.includes('budgetLabor')) {
+    throw new Error('CSV needs "division" and "budgetLabor" columns');
+  }
+
+  return lines.slice(1).map((line) => {
+    const row = {};
+    splitCsvLine(line).forEach((value, index) => {
+      const field = columns[index];
+      if (!field) return;
+      row[field] = NUMERIC_FIELDS.includes(field) ? parseAmount(value) : value;
+    });
+    NUMERIC_FIELDS.forEach((field) => {
+      if (row[field] === undefined) delete row[field];
+    });
+    return row;
+  });
+};
+
+/**
+ * Parse and validate an uploaded budget
+ * @param {string} body - Request body
+ * @param {string} contentType - Request Content-Type
+ * @returns {Array<Object>} Budget rows
+ * @throws {Error} When the upload can't be parsed or doesn't match the LABOR_BUDGET schema
+ */
+export const parseBudgetUpload = (body, contentType = '') => {
+  let rows;
+  if (contentType.includes('json') || /^\s*[[{]/.test(body)) {
+    const parsed = JSON.parse(body);
+    rows = Array.isArray(parsed) ? parsed : parsed?.budgets;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON must be an array of rows or { "budgets": [...] }');
+    }
+    rows = rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [
+      key,
+      NUMERIC_FIELDS.includes(key) ? parseAmount(value) : value,
+    ])));
+  } else {
+    rows = parseBudgetCsv(body);
+  }
+
+  const report = validatePayload('LABOR_BUDGET', rows);
+  if (report.status !== 'ok') {
+    throw new Error(report.messages.join('; ') || `Budget is ${report.status}`);
+  }
+  return rows;
+};
+
+/**
+ * Create the budget store
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file holding the latest upload
+ * @returns {Object} { has, load, save }
+ */
+export const createBudgetStore = ({ filePath }) => {
+  const has = () => existsSync(filePath);
+
+  /**
+   * Read the stored budget
+   * @returns {Object|null} { rows, uploadedAt, uploadedBy, fileName }, or null if nothing was uploaded
+   */
+  const load = () => {
+    if (!has()) return null;
+    try {
+      return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Failed to read labor budget ${filePath}:`, error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Replace the stored budget
+   * @param {Array<Object>} rows - Validated rows (see parseBudgetUpload)
+   * @param {Object} meta - { uploadedBy, fileName }
+   * @returns {Object} Stored budget
+   */
+  const save = (rows, { uploadedBy = null, fileName = null } = {}) => {
+    const budget = { rows, uploadedAt: new Date().toISOString(), uploadedBy, fileName };
+    if (!existsSync(dirname(filePath))) {
+      mkdirSync(dirname(filePath), { recursive: true });
+    }
+    // Write to a temp file first so a crash never leaves a half-written budget
+    const tempPath = `${filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(budget, null, 2));
+    renameSync(tempPath, filePath);
+    return budget;
+  };
+
+  return { has, load, save };
+};
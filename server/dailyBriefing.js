@@ -0,0 +1,383 @@
+/**
+ * Daily Briefing
+ *
+ * Printable one-to-two page summary of a history snapshot for the GM's inbox: sales vs
+ * last season, labor by division, NPS vs compset, and lifts and trails open. The briefing
+ * is built as plain sections (buildBriefing), laid out as a printable HTML page
+ * (renderBriefingHtml) and printed to PDF by a headless browser (see pdfRenderer.js).
+ */
+import {
+  formatCurrencyForDisplay,
+  formatNumberForDisplay,
+  formatPercentForDisplay,
+} from '../src/utils/dataTransformers.js';
+import { compareToBudget, normalizeBudgetThresholds } from '../src/utils/laborBudget.js';
+
+const COLORS = {
+  text: '#1e293b',
+  muted: '#64748b',
+  border: '#e2e8f0',
+  panel: '#f8fafc',
+  accent: '#3b82f6',
+  good: '#10b981',
+  warning: '#f59e0b',
+  bad: '#ef4444',
+};
+
+const MISSING = '—';
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+const toNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return isNumber(number) ? number : null;
+};
+
+// Whole dollars; the briefing is read at a glance, cents add nothing
+const formatDollars = value => (isNumber(value)
+  ? new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(value)
+  : MISSING);
+
+const formatCents = value => (isNumber(value) ? formatCurrencyForDisplay(value) : MISSING);
+
+const formatCount = value => (isNumber(value) ? formatNumberForDisplay(value) : MISSING);
+
+const formatChange = value => (isNumber(value) ? formatPercentForDisplay(value) : MISSING);
+
+const formatScore = value => (isNumber(toNumber(value)) ? toNumber(value).toFixed(1) : MISSING);
+
+const changeTone = value => (!isNumber(value) ? null : value >= 0 ? 'good' : 'bad');
+
+// "2026-02-10" -> "Tuesday, February 10, 2026" (the date is a calendar day, not an instant)
+const formatLongDate = date => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+  weekday: 'long', month: 'long', day: 'numeric', year: 'numeric',
+});
+
+// Section for a source the snapshot doesn't have
+const unavailable = (title, error) => ({
+  title,
+  tiles: [],
+  table: null,
+  notes: [error ? `No data: ${error}` : 'No data in this snapshot.'],
+});
+
+const buildSalesSection = ({ ticketSales, seasonPassSales } = {}, errors) => {
+  if (!ticketSales && !seasonPassSales) {
+    return unavailable('Sales vs Last Season', errors.TICKET_SALES || errors.SEASON_PASS_SALES);
+  }
+  const lastPeriod = ticketSales?.lastSeason?.period || seasonPassSales?.lastSeason?.period || 'last season';
+  const row = (label, current, last, change, format) => [
+    label, format(current), format(last), { text: formatChange(change), tone: changeTone(change) },
+  ];
+  const rows = [];
+  if (ticketSales) {
+    rows.push(
+      row('Ticket revenue', ticketSales.currentSeason?.revenue, ticketSales.lastSeason?.revenue,
+        ticketSales.revenueComparison?.percentChange, formatDollars),
+      row('Tickets sold', ticketSales.currentSeason?.quantity, ticketSales.lastSeason?.quantity,
+        ticketSales.quantityComparison?.percentChange, formatCount),
+      row('Yield per ticket', ticketSales.currentSeason?.yieldPerTicket, ticketSales.lastSeason?.yieldPerTicket,
+        ticketSales.yieldComparison?.percentChange, formatCents),
+    );
+  }
+  if (seasonPassSales) {
+    rows.push(
+      row('Season pass revenue', seasonPassSales.currentSeason?.revenue, seasonPassSales.lastSeason?.revenue,
+        seasonPassSales.revenueComparison?.percentChange, formatDollars),
+      row('Season passes sold', seasonPassSales.currentSeason?.quantity, seasonPassSales.lastSeason?.quantity,
+        seasonPassSales.quantityComparison?.percentChange, formatCount),
+    );
+  }
+
+  const tile = (label, sales) => ({
+    label,
+    value: formatDollars(sales?.currentSeason?.revenue),
+    detail: `${formatChange(sales?.revenueComparison?.percentChange)} vs ${lastPeriod}`,
+    tone: changeTone(sales?.revenueComparison?.percentChange),
+  });
+
+  return {
+    title: 'Sales vs Last Season',
+    tiles: [
+      ...(ticketSales ? [tile('Ticket revenue', ticketSales)] : []),
+      ...(seasonPassSales ? [tile('Season pass revenue', seasonPassSales)] : []),
+    ],
+    table: {
+      columns: [
+        { label: 'Season to date', width: 2 },
+        { label: ticketSales?.currentSeason?.period || 'This season', align: 'right' },
+        { label: lastPeriod, align: 'right' },
+        { label: 'Change', align: 'right' },
+      ],
+      rows,
+    },
+    notes: [
+      ...(!ticketSales ? [`Ticket sales unavailable${errors.TICKET_SALES ? `: ${errors.TICKET_SALES}` : ''}`] : []),
+      ...(!seasonPassSales ? [`Season pass sales unavailable${errors.SEASON_PASS_SALES ? `: ${errors.SEASON_PASS_SALES}` : ''}`] : []),
+    ],
+  };
+};
+
+const BUDGET_TONES = { green: 'good', amber: 'warning', red: 'bad' };
+
+const buildLaborSection = (labor, laborBudget, errors) => {
+  if (!labor) return unavailable('Labor by Division', errors.LABOR);
+  const thresholds = normalizeBudgetThresholds(laborBudget?.thresholds || undefined);
+  const hasBudget = Boolean(laborBudget?.byDivision);
+
+  const rows = (labor.byDivision || []).map((division) => {
+    const comparison = hasBudget
+      ? compareToBudget(division, laborBudget.byDivision[division.division], thresholds)
+      : null;
+    const variance = comparison && Number.isFinite(comparison.variancePercent)
+      ? `${formatChange(comparison.variancePercent)} vs budget`
+      : comparison ? 'Over (no budget)' : MISSING;
+    return [
+      division.division,
+      formatDollars(division.totalLabor),
+      formatCount(division.totalHours),
+      division.revenue > 0 ? `${formatNumberForDisplay(division.percentOfRevenue, 1)}%` : MISSING,
+      ...(hasBudget ? [{ text: variance, tone: comparison ? BUDGET_TONES[comparison.status] : null }] : []),
+    ];
+  });
+
+  return {
+    title: 'Labor by Division',
+    tiles: [
+      { label: 'Total labor', value: formatDollars(labor.totalLabor), detail: `${formatCount(labor.totalHours)} hours` },
+      {
+        label: 'Labor % of revenue',
+        value: isNumber(labor.percentOfRevenue) ? `${formatNumberForDisplay(labor.percentOfRevenue, 1)}%` : MISSING,
+        detail: `Revenue ${formatDollars(labor.totalRevenue)}`,
+      },
+    ],
+    table: {
+      columns: [
+        { label: 'Division', width: 2 },
+        { label: 'Labor', align: 'right' },
+        { label: 'Hours', align: 'right' },
+        { label: '% of revenue', align: 'right' },
+        ...(hasBudget ? [{ label: 'Budget', align: 'right', width: 1.4 }] : []),
+      ],
+      rows,
+    },
+    notes: (labor.unmappedDivisions || []).length > 0
+      ? [`Not mapped to a division: ${labor.unmappedDivisions.join(', ')}`]
+      : [],
+  };
+};
+
+const buildSatisfactionSection = (satisfaction, errors) => {
+  if (!satisfaction) return unavailable('Guest Satisfaction (NPS) vs Compset', errors.NPS);
+  const score = toNumber(satisfaction.yesterdayScore);
+  const compset = toNumber(satisfaction.yesterdayCompset);
+  const difference = isNumber(score) && isNumber(compset) ? Math.round((score - compset) * 10) / 10 : null;
+  const confidence = satisfaction.confidence || {};
+  const rolling = satisfaction.rolling || {};
+
+  const interval = value => (value ? `${formatScore(value.low)} to ${formatScore(value.high)}` : MISSING);
+  const row = (label, value, fallback) => [
+    label,
+    formatScore(value?.score ?? fallback),
+    interval(value),
+    formatCount(value?.responses ?? null),
+  ];
+
+  const vsCompset = satisfaction.significance?.vsCompset;
+  const significance = vsCompset === null || vsCompset === undefined
+    ? null
+    : vsCompset
+      ? 'The gap to the compset is statistically significant (95% intervals don’t overlap).'
+      : 'The gap to the compset is within the margin of error (95% intervals overlap).';
+
+  return {
+    title: 'Guest Satisfaction (NPS) vs Compset',
+    tiles: [
+      {
+        label: 'Yesterday’s NPS',
+        value: formatScore(score),
+        detail: confidence.score ? `±${formatScore(confidence.score.marginOfError)} (${formatCount(confidence.score.responses)} responses)` : '',
+      },
+      { label: 'Compset', value: formatScore(compset), detail: `Last year ${formatScore(satisfaction.lastYearYesterdayCompset)}` },
+      {
+        label: 'vs Compset',
+        value: isNumber(difference) ? `${difference >= 0 ? '+' : ''}${difference.toFixed(1)}` : MISSING,
+        detail: vsCompset ? 'Significant' : vsCompset === false ? 'Not significant' : '',
+        tone: isNumber(difference) ? (difference >= 0 ? 'good' : 'bad') : null,
+      },
+      { label: 'Last year', value: formatScore(satisfaction.lastYearYesterdayScore), detail: satisfaction.lastYearYesterdayDate || '' },
+    ],
+    table: {
+      columns: [
+        { label: 'NPS', width: 2 },
+        { label: 'Score', align: 'right' },
+        { label: '95% interval', align: 'right', width: 1.4 },
+        { label: 'Responses', align: 'right' },
+      ],
+      rows: [
+        row('Resort (yesterday)', confidence.score, score),
+        row('Compset (yesterday)', confidence.compset, compset),
+        row('Resort, last year', confidence.lastYearScore, toNumber(satisfaction.lastYearYesterdayScore)),
+        row('Resort, rolling 7 days', rolling.days7),
+        row('Resort, rolling 28 days', rolling.days28),
+      ],
+    },
+    notes: significance ? [significance] : [],
+  };
+};
+
+const buildMountainSection = (trailsLifts, errors) => {
+  if (!trailsLifts) return unavailable('Lifts & Trails Open', errors.TRAILS_LIFTS);
+  const openOf = (open, total) => (isNumber(open) ? `${open}${isNumber(total) && total > 0 ? ` / ${total}` : ''}` : MISSING);
+  const areas = [...new Set([
+    ...(trailsLifts.trailsByArea || []).map(area => area.name),
+    ...(trailsLifts.liftsByArea || []).map(area => area.name),
+  ])];
+  const find = (list, name) => (list || []).find(item => item.name === name);
+  const snow = trailsLifts.snow || {};
+
+  return {
+    title: 'Lifts & Trails Open',
+    tiles: [
+      { label: 'Lifts open', value: openOf(trailsLifts.liftsOpen, trailsLifts.liftsTotal) },
+      { label: 'Trails open', value: openOf(trailsLifts.trailsOpen, trailsLifts.trailsTotal) },
+      {
+        label: 'Terrain open',
+        value: isNumber(trailsLifts.terrainOpenPercent) ? `${formatNumberForDisplay(trailsLifts.terrainOpenPercent, 1)}%` : MISSING,
+      },
+      {
+        label: 'New snow (24h)',
+        value: isNumber(snow.snowfall24h) ? `${snow.snowfall24h}"` : MISSING,
+        detail: isNumber(snow.baseDepth) ? `Base ${snow.baseDepth}"` : '',
+      },
+    ],
+    table: areas.length > 0 ? {
+      columns: [
+        { label: 'Area', width: 2 },
+        { label: 'Trails open', align: 'right' },
+        { label: 'Lifts open', align: 'right' },
+      ],
+      rows: areas.map((name) => {
+        const trails = find(trailsLifts.trailsByArea, name);
+        const lifts = find(trailsLifts.liftsByArea, name);
+        return [name, trails ? openOf(trails.open, trails.total) : MISSING, lifts ? openOf(lifts.open, lifts.total) : MISSING];
+      }),
+    } : null,
+    notes: [],
+  };
+};
+
+/**
+ * Build the briefing's sections from a history snapshot
+ * @param {Object} snapshot - Snapshot from historyStore ({ date, capturedAt, sales, labor, ... })
+ * @param {Object} options - { title, generatedAt }
+ * @returns {Object} { title, date, subtitle, generatedAt, capturedAt, sections: [{ title, tiles, table, notes }] }
+ */
+export const buildBriefing = (snapshot, { title = 'GM Daily Briefing', generatedAt = new Date() } = {}) => {
+  const errors = snapshot.errors || {};
+  return {
+    title,
+    date: snapshot.date,
+    subtitle: formatLongDate(snapshot.date),
+    generatedAt: generatedAt.toISOString(),
+    capturedAt: snapshot.capturedAt || null,
+    sections: [
+      buildSalesSection(snapshot.sales, errors),
+      buildLaborSection(snapshot.labor, snapshot.laborBudget, errors),
+      buildSatisfactionSection(snapshot.satisfaction, errors),
+      buildMountainSection(snapshot.trailsLifts, errors),
+    ],
+  };
+};
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Inline style for a tone ("good", "bad", ...), or nothing
+const toneStyle = tone => (COLORS[tone] ? ` style="color: ${COLORS[tone]}"` : '');
+
+// Letter paper; tiles and table rows never split across pages, and
+// Chrome repeats each table's header row on every page it runs onto
+const STYLES = `
+@page { size: letter; margin: 0.6in 0.65in; }
+* { box-sizing: border-box; }
+body { margin: 0; font-family: "Helvetica Neue", Helvetica, Arial, sans-serif; font-size: 9pt; color: ${COLORS.text}; }
+header { border-top: 4pt solid ${COLORS.accent}; padding-top: 14pt; margin-bottom: 16pt; display: flex; justify-content: space-between; align-items: flex-end; }
+h1 { font-size: 20pt; margin: 0 0 4pt; }
+.subtitle { font-size: 11pt; color: ${COLORS.muted}; }
+.captured, .footer, .note { font-size: 8pt; color: ${COLORS.muted}; }
+section { margin-bottom: 16pt; }
+h2 { font-size: 13pt; margin: 0 0 8pt; padding-bottom: 4pt; border-bottom: 1.5pt solid ${COLORS.border}; break-after: avoid; }
+.tiles { display: flex; gap: 8pt; margin-bottom: 10pt; break-inside: avoid; }
+.tile { flex: 1; min-width: 0; background: ${COLORS.panel}; padding: 7pt 8pt; }
+.tile-label, .tile-detail { font-size: 8pt; color: ${COLORS.muted}; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.tile-value { font-size: 15pt; font-weight: bold; margin: 2pt 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+table { width: 100%; border-collapse: collapse; table-layout: fixed; margin-bottom: 6pt; }
+th { text-align: left; color: ${COLORS.muted}; border-bottom: 1pt solid ${COLORS.border}; }
+th, td { padding: 3pt 4pt; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+tr { break-inside: avoid; }
+tbody tr:nth-child(even) { background: ${COLORS.panel}; }
+.right { text-align: right; }
+.note { margin: 2pt 0; }
+.footer { margin-top: 20pt; }
+`;
+
+const renderTiles = tiles => (tiles.length === 0 ? '' : `<div class="tiles">${tiles.map(tile => `
+  <div class="tile">
+    <div class="tile-label">${escapeHtml(tile.label)}</div>
+    <div class="tile-value"${toneStyle(tile.tone)}>${escapeHtml(tile.value)}</div>
+    ${tile.detail ? `<div class="tile-detail">${escapeHtml(tile.detail)}</div>` : ''}
+  </div>`).join('')}
+</div>`);
+
+const renderTable = ({ columns, rows }) => {
+  const units = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const cellClass = index => (columns[index].align === 'right' ? ' class="right"' : '');
+  const cell = (value, index) => {
+    const { text, tone } = typeof value === 'object' && value !== null ? value : { text: value, tone: null };
+    return `<td${cellClass(index)}${toneStyle(tone)}>${escapeHtml(text ?? MISSING)}</td>`;
+  };
+  return `<table>
+  <colgroup>${columns.map(column => `<col style="width: ${((column.width || 1) / units) * 100}%">`).join('')}</colgroup>
+  <thead><tr>${columns.map((column, index) => `<th${cellClass(index)}>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+  <tbody>${rows.map(row => `
+    <tr>${row.map(cell).join('')}</tr>`).join('')}
+  </tbody>
+</table>`;
+};
+
+const renderSection = section => `<section>
+  <h2>${escapeHtml(section.title)}</h2>
+  ${renderTiles(section.tiles)}
+  ${section.table && section.table.rows.length > 0 ? renderTable(section.table) : ''}
+  ${section.notes.map(note => `<p class="note">${escapeHtml(note)}</p>`).join('')}
+</section>`;
+
+/**
+ * Lay out a briefing as a printable HTML page (self-contained, no external resources)
+ * @param {Object} briefing - From buildBriefing
+ * @returns {string} HTML document, ready for pdfRenderer.js
+ */
+export const renderBriefingHtml = briefing => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${briefing.title} - ${briefing.date}`)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <div>
+    <h1>${escapeHtml(briefing.title)}</h1>
+    <div class="subtitle">${escapeHtml(briefing.subtitle)}</div>
+  </div>
+  ${briefing.capturedAt ? `<div class="captured">Data captured ${escapeHtml(new Date(briefing.capturedAt).toLocaleString('en-US'))}</div>` : ''}
+</header>
+${briefing.sections.map(renderSection).join('\n')}
+<div class="footer">Generated ${escapeHtml(new Date(briefing.generatedAt).toLocaleString('en-US'))} by the GM Dashboard</div>
+</body>
+</html>
+`;
@@ -0,0 +1,80 @@
+/**
+ * Division Configuration
+ *
+ * Loads the labor division consolidation rules. The default rules live in
+ * src/config/divisions.json (also bundled into the client as a fallback); a resort can
+ * override them with <DIVISION_CONFIG_DIR>/<resort>.json.
+ */
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+const RESORT_ID_PATTERN = /^[a-z0-9_-]+$/i;
+
+/**
+ * Check that division rules have the expected shape
+ * @param {Object} rules - Parsed rules
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export const validateDivisionRules = (rules) => {
+  const errors = [];
+  if (!rules || !Array.isArray(rules.divisions)) {
+    return ['"divisions" must be an array'];
+  }
+
+  const seenSources = new Map();
+  rules.divisions.forEach((division, index) => {
+    if (!division.name || typeof division.name !== 'string') {
+      errors.push(`divisions[${index}].name must be a non-empty string`);
+    }
+    if (!Array.isArray(division.sources) || division.sources.length === 0) {
+      errors.push(`divisions[${index}].sources must be a non-empty array`);
+      return;
+    }
+    division.sources.forEach((source) => {
+      const key = String(source).trim().toLowerCase();
+      if (seenSources.has(key) && seenSources.get(key) !== division.name) {
+        errors.push(`Source "${source}" is mapped to both "${seenSources.get(key)}" and "${division.name}"`);
+      }
+      seenSources.set(key, division.name);
+    });
+  });
+
+  if (rules.otherDivision !== undefined && typeof rules.otherDivision !== 'string') {
+    errors.push('"otherDivision" must be a string');
+  }
+  return errors;
+};
+
+/**
+ * Create a loader for division rules
+ * @param {Object} options
+ * @param {string} options.defaultPath - Path to the default rules JSON
+ * @param {string} options.overrideDir - Directory holding per-resort override files
+ * @param {string} options.defaultResort - Resort used when none is requested
+ * @returns {Function} load(resortId) -> { resort, source, rules }
+ */
+export const createDivisionConfigLoader = ({ defaultPath, overrideDir, defaultResort }) => {
+  const readRules = (path) => {
+    const rules = JSON.parse(readFileSync(path, 'utf8'));
+    const errors = validateDivisionRules(rules);
+    if (errors.length > 0) {
+      throw new Error(`Invalid division rules in ${path}: ${errors.join('; ')}`);
+    }
+    return rules;
+  };
+
+  // Files are re-read on each call so overrides can be edited without a restart
+  return (resortId = defaultResort) => {
+    if (resortId && RESORT_ID_PATTERN.test(resortId) && overrideDir) {
+      const overridePath = join(overrideDir, `${resortId}.json`);
+      if (existsSync(overridePath)) {
+        try {
+          return { resort: resortId, source: 'override', rules: readRules(overridePath) };
+        } catch (error) {
+          console.error(`Falling back to default division rules: ${error.message}`);
+        }
+      }
+    }
+    return { resort: resortId || null, source: 'default', rules: readRules(defaultPath) };
+  };
+};
@@ -0,0 +1,106 @@
+/**
+ * History Store
+ *
+ * File-backed store of daily dashboard snapshots. Each snapshot is the transformed
+ * payload the dashboard renders ({ sales, labor, satisfaction, trailsLifts }) and is
+ * written to <HISTORY_DIR>/<YYYY-MM-DD>.json.
+ */
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { join } from 'path';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that a string is a YYYY-MM-DD date
+ * @param {string} date - Date string to check
+ * @returns {boolean} True if the date is well formed
+ */
+export const isValidSnapshotDate = (date) => {
+  if (!DATE_PATTERN.test(date || '')) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time
+ * @param {Date} date - Date to format
+ * @returns {string} Local date string
+ */
+export const toLocalDateString = (date = new Date()) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Create a history store rooted at a directory
+ * @param {string} directory - Directory holding the snapshot files
+ * @returns {Object} Store with listDates, hasSnapshot, getSnapshot and saveSnapshot methods
+ */
+export const createHistoryStore = (directory) => {
+  const snapshotPath = (date) => join(directory, `${date}.json`);
+
+  const ensureDirectory = () => {
+    if (!existsSync(directory)) {
+      mkdirSync(directory, { recursive: true });
+    }
+  };
+
+  /**
+   * List the dates that have a snapshot, oldest first
+   * @returns {string[]} Snapshot dates
+   */
+  const listDates = () => {
+    if (!existsSync(directory)) return [];
+    return readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.replace(/\.json$/, ''))
+      .filter(isValidSnapshotDate)
+      .sort();
+  };
+
+  const hasSnapshot = (date) => isValidSnapshotDate(date) && existsSync(snapshotPath(date));
+
+  /**
+   * Read the snapshot for a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object|null} Snapshot, or null if none was saved for that date
+   */
+  const getSnapshot = (date) => {
+    if (!hasSnapshot(date)) return null;
+    try {
+      return JSON.parse(readFileSync(snapshotPath(date), 'utf8'));
+    } catch (error) {
+      console.error(`Could not read history snapshot for ${date}:`, error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Write the snapshot for a date, replacing any existing one
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} payload - Transformed dashboard data
+   * @returns {Object} The stored snapshot
+   */
+  const saveSnapshot = (date, payload) => {
+    if (!isValidSnapshotDate(date)) {
+      throw new Error(`Invalid snapshot date: ${date}`);
+    }
+    ensureDirectory();
+
+    const snapshot = {
+      date,
+      capturedAt: new Date().toISOString(),
+      ...payload,
+    };
+
+    // Write to a temp file first so a crash never leaves a half-written snapshot
+    const tempPath = `${snapshotPath(date)}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(snapshot, null, 2));
+    renameSync(tempPath, snapshotPath(date));
+    return snapshot;
+  };
+
+  return { listDates, hasSnapshot, getSnapshot, saveSnapshot };
+};
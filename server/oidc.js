@@ -0,0 +1,194 @@
+/**
+ * OIDC Client
+ *
+ * Minimal OpenID Connect relying party for the auth layer: discovery, the authorization
+ * code flow with PKCE, and ID token verification against the provider's JWKS.
+ * Uses only Node's crypto and fetch, so any standards-compliant provider works
+ * (Azure AD / Entra ID, Okta, Google, Keycloak, or mock/oidcProvider.js locally).
+ */
+import { createHash, createPublicKey, randomBytes, verify } from 'crypto';
+
+// Allowed clock skew when checking token expiry
+const CLOCK_SKEW_SECONDS = 60;
+
+// Signature algorithms we verify, mapped to Node's digest and signature encoding
+const ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+};
+
+const randomToken = () => randomBytes(32).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const fetchJson = async (url, init) => {
+  const response = await fetch(url, init);
+  const text = await response.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    throw new Error(`${url} returned non-JSON (HTTP ${response.status})`);
+  }
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new Error(`${url} failed: ${detail}`);
+  }
+  return body;
+};
+
+/**
+ * Create an OIDC client for one provider
+ * @param {Object} config
+ * @param {string} config.issuer - Issuer URL (discovery is read from /.well-known/openid-configuration)
+ * @param {string} config.clientId - Registered client id
+ * @param {string} [config.clientSecret] - Client secret, omitted for public clients
+ * @param {string} config.scopes - Space-separated scopes
+ * @returns {Object} { createAuthorization, completeAuthorization, getEndSessionUrl }
+ */
+export const createOidcClient = ({ issuer, clientId, clientSecret, scopes }) => {
+  const issuerUrl = issuer.replace(/\/+$/, '');
+  let discoveryPromise = null;
+  let jwks = null;
+
+  // Discovery is fetched once; a failure is not cached so the next login retries
+  const discover = () => {
+    if (!discoveryPromise) {
+      discoveryPromise = fetchJson(`${issuerUrl}/.well-known/openid-configuration`).catch((error) => {
+        discoveryPromise = null;
+        throw error;
+      });
+    }
+    return discoveryPromise;
+  };
+
+  // Find the signing key, refetching the JWKS once in case the provider rotated keys
+  const getSigningKey = async (kid) => {
+    const { jwks_uri: jwksUri } = await discover();
+    const findKey = () => jwks?.keys?.find(key => !kid || key.kid === kid);
+    if (!findKey()) {
+      jwks = await fetchJson(jwksUri);
+    }
+    const jwk = findKey();
+    if (!jwk) {
+      throw new Error(`No signing key${kid ? ` with kid "${kid}"` : ''} in ${jwksUri}`);
+    }
+    return createPublicKey({ key: jwk, format: 'jwk' });
+  };
+
+  /**
+   * Verify an ID token's signature and standard claims
+   * @param {string} idToken - Compact JWT
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Token claims
+   */
+  const verifyIdToken = async (idToken, nonce) => {
+    const segments = String(idToken || '').split('.');
+    if (segments.length !== 3) {
+      throw new Error('ID token is not a signed JWT');
+    }
+    const header = decodeSegment(segments[0]);
+    const claims = decodeSegment(segments[1]);
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new Error(`Unsupported ID token algorithm "${header.alg}"`);
+    }
+
+    const key = await getSigningKey(header.kid);
+    const signed = Buffer.from(`${segments[0]}.${segments[1]}`);
+    const signature = Buffer.from(segments[2], 'base64url');
+    const valid = verify(
+      algorithm.digest,
+      signed,
+      algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+      signature
+    );
+    if (!valid) {
+      throw new Error('ID token signature is invalid');
+    }
+
+    const { issuer: expectedIssuer } = await discover();
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (claims.iss !== expectedIssuer) {
+      throw new Error(`ID token issuer "${claims.iss}" does not match "${expectedIssuer}"`);
+    }
+    if (!audiences.includes(clientId)) {
+      throw new Error('ID token was not issued for this client');
+    }
+    if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+      throw new Error('ID token has expired');
+    }
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match the login request');
+    }
+    return claims;
+  };
+
+  /**
+   * Start a login: build the provider's authorization URL
+   * @param {string} redirectUri - Our callback URL
+   * @returns {Promise<Object>} { url, state, nonce, codeVerifier } - keep all but url until the callback
+   */
+  const createAuthorization = async (redirectUri) => {
+    const { authorization_endpoint: authorizationEndpoint } = await discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const url = new URL(authorizationEndpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', createHash('sha256').update(codeVerifier).digest('base64url'));
+    url.searchParams.set('code_challenge_method', 'S256');
+    return { url: url.href, state, nonce, codeVerifier };
+  };
+
+  /**
+   * Finish a login: exchange the code and verify the ID token
+   * @param {Object} params - { code, redirectUri, nonce, codeVerifier }
+   * @returns {Promise<Object>} { claims, idToken }
+   */
+  const completeAuthorization = async ({ code, redirectUri, nonce, codeVerifier }) => {
+    const { token_endpoint: tokenEndpoint } = await discover();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: codeVerifier,
+    });
+    if (clientSecret) body.set('client_secret', clientSecret);
+
+    const tokens = await fetchJson(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body,
+    });
+    const claims = await verifyIdToken(tokens.id_token, nonce);
+    return { claims, idToken: tokens.id_token };
+  };
+
+  /**
+   * Provider logout URL, if the provider supports RP-initiated logout
+   * @param {Object} params - { idToken, postLogoutRedirectUri }
+   * @returns {Promise<string|null>} URL to redirect to, or null
+   */
+  const getEndSessionUrl = async ({ idToken, postLogoutRedirectUri }) => {
+    const { end_session_endpoint: endSessionEndpoint } = await discover();
+    if (!endSessionEndpoint) return null;
+    const url = new URL(endSessionEndpoint);
+    if (idToken) url.searchParams.set('id_token_hint', idToken);
+    url.searchParams.set('client_id', clientId);
+    if (postLogoutRedirectUri) url.searchParams.set('post_logout_redirect_uri', postLogoutRedirectUri);
+    return url.href;
+  };
+
+  return { createAuthorization, completeAuthorization, getEndSessionUrl };
+};
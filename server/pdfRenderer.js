@@ -0,0 +1,120 @@
+/**
+ * PDF Renderer
+ *
+ * Prints HTML to PDF with a headless Chrome or Chromium on this machine, run as a child
+ * process for each document (chrome --headless --print-to-pdf). The page is written to a
+ * temporary file with no external resources, and the browser gets a throwaway profile.
+ *
+ * BRIEFING_BROWSER names the browser executable; without it the first of BROWSER_NAMES
+ * found on the PATH is used.
+ */
+import { spawn } from 'child_process';
+import { accessSync, constants, existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { delimiter, join } from 'path';
+import { pathToFileURL } from 'url';
+
+// Executables tried on the PATH, in order
+export const BROWSER_NAMES = [
+  'chromium',
+  'chromium-browser',
+  'google-chrome',
+  'google-chrome-stable',
+  'chrome',
+  'chrome-headless-shell',
+  'microsoft-edge',
+];
+
+const RENDER_TIMEOUT_MS = 60000;
+
+const isExecutable = (filePath) => {
+  try {
+    accessSync(filePath, constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Find the browser to print with
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {string|null} Path to the executable, or null if there is none
+ * @throws {Error} If BRIEFING_BROWSER is set but isn't an executable
+ */
+export const findBrowser = (env = process.env) => {
+  if (env.BRIEFING_BROWSER) {
+    if (!isExecutable(env.BRIEFING_BROWSER)) {
+      throw new Error(`BRIEFING_BROWSER is not an executable: ${env.BRIEFING_BROWSER}`);
+    }
+    return env.BRIEFING_BROWSER;
+  }
+  const directories = (env.PATH || '').split(delimiter).filter(Boolean);
+  for (const name of BROWSER_NAMES) {
+    const found = directories.map(directory => join(directory, name)).find(isExecutable);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Create a function that prints HTML to PDF
+ * @param {Object} options
+ * @param {string} options.browserPath - Chrome or Chromium executable (see findBrowser)
+ * @param {number} options.timeoutMs - How long one document may take before the browser is stopped
+ * @returns {Function} Async renderPdf(html) resolving to the PDF as a Buffer
+ */
+export const createPdfRenderer = ({ browserPath, timeoutMs = RENDER_TIMEOUT_MS }) => async (html) => {
+  const workDir = mkdtempSync(join(tmpdir(), 'gm-dashboard-pdf-'));
+  const htmlPath = join(workDir, 'document.html');
+  const pdfPath = join(workDir, 'document.pdf');
+  writeFileSync(htmlPath, html);
+
+  const args = [
+    '--headless',
+    '--disable-gpu',
+    '--disable-extensions',
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--hide-scrollbars',
+    '--no-pdf-header-footer',
+    `--user-data-dir=${join(workDir, 'profile')}`,
+    `--print-to-pdf=${pdfPath}`,
+    // Chrome refuses to start its sandbox as root, which is how servers in containers often run
+    ...(process.getuid?.() === 0 ? ['--no-sandbox'] : []),
+    pathToFileURL(htmlPath).href,
+  ];
+
+  try {
+    await new Promise((resolve, reject) => {
+      const browser = spawn(browserPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      browser.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+      const timer = setTimeout(() => {
+        browser.kill('SIGKILL');
+        reject(new Error(`Browser took longer than ${timeoutMs / 1000}s to print the PDF`));
+      }, timeoutMs);
+      browser.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Could not start ${browserPath}: ${error.message}`));
+      });
+      browser.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Browser exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+        }
+      });
+    });
+    const pdf = existsSync(pdfPath) ? readFileSync(pdfPath) : null;
+    if (!pdf || pdf.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new Error('Browser did not write a PDF');
+    }
+    return pdf;
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+};
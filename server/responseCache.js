@@ -0,0 +1,141 @@
+/**
+ * Response Cache
+ *
+ * In-memory cache for the n8n proxy. The n8n webhooks run slow stored procedures,
+ * so identical GETs are served from memory and concurrent misses share one upstream call.
+ *
+ * Entries go through three states:
+ * - fresh  (age <= ttl)            -> served as HIT
+ * - stale  (ttl < age <= ttl+stale) -> served as STALE while a background refresh runs
+ * - expired                        -> treated as a MISS
+ */
+
+/**
+ * Parse per-endpoint TTL overrides from the PROXY_CACHE_TTLS environment variable
+ * Format: JSON object mapping a path prefix to a TTL in seconds, e.g.
+ * {"/webhook/7f177939-222c-40cc-bb2f-0fcb90a9a207": 3600}
+ * @param {string} value - Raw environment variable value
+ * @returns {Array<{prefix: string, ttlMs: number}>} Overrides, longest prefix first
+ */
+const parseTtlOverrides = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Object.entries(parsed)
+      .map(([prefix, seconds]) => ({ prefix, ttlMs: Number(seconds) * 1000 }))
+      .filter(({ ttlMs }) => Number.isFinite(ttlMs) && ttlMs >= 0)
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+  } catch (error) {
+    console.error('Invalid PROXY_CACHE_TTLS, ignoring per-endpoint TTLs:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Read cache configuration from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Cache configuration
+ */
+export const loadCacheConfig = (env = process.env) => ({
+  enabled: env.PROXY_CACHE_ENABLED !== 'false',
+  defaultTtlMs: parseInt(env.PROXY_CACHE_TTL || '300', 10) * 1000,
+  staleTtlMs: parseInt(env.PROXY_CACHE_STALE_TTL || '3600', 10) * 1000,
+  maxEntries: parseInt(env.PROXY_CACHE_MAX_ENTRIES || '100', 10),
+  ttlOverrides: parseTtlOverrides(env.PROXY_CACHE_TTLS),
+});
+
+/**
+ * Create a response cache
+ * @param {Object} config - Configuration from loadCacheConfig()
+ * @returns {Object} Cache with ttlFor, fetch, clear and stats methods
+ */
+export const createResponseCache = (config) => {
+  const entries = new Map();
+  const inFlight = new Map();
+
+  /**
+   * Resolve the TTL for a request path (longest matching prefix wins)
+   * @param {string} path - Upstream path including query string
+   * @returns {number} TTL in milliseconds (0 disables caching)
+   */
+  const ttlFor = (path) => {
+    const override = config.ttlOverrides.find(({ prefix }) => path.startsWith(prefix));
+    return override ? override.ttlMs : config.defaultTtlMs;
+  };
+
+  // Drop the oldest entries once the cache grows past maxEntries
+  const evict = () => {
+    while (entries.size > config.maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      entries.delete(oldestKey);
+    }
+  };
+
+  // Run the loader once per key, storing successful responses
+  const load = (key, loader) => {
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const promise = loader()
+      .then((response) => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          entries.delete(key);
+          entries.set(key, { response, storedAt: Date.now() });
+          evict();
+        }
+        return response;
+      })
+      .finally(() => {
+        inFlight.delete(key);
+      });
+
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  /**
+   * Get a response from cache or load it
+   * @param {string} key - Cache key (method + path + query)
+   * @param {number} ttlMs - Freshness lifetime for this key
+   * @param {Function} loader - Async function returning { statusCode, headers, body }
+   * @param {Object} options - { forceRefresh: boolean }
+   * @returns {Promise<{response: Object, status: string, age: number}>}
+   */
+  const fetch = async (key, ttlMs, loader, { forceRefresh = false } = {}) => {
+    if (!config.enabled || ttlMs <= 0) {
+      return { response: await loader(), status: 'BYPASS', age: 0 };
+    }
+
+    const entry = entries.get(key);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (entry && !forceRefresh) {
+      if (age <= ttlMs) {
+        return { response: entry.response, status: 'HIT', age };
+      }
+
+      if (age <= ttlMs + config.staleTtlMs) {
+        // Serve stale immediately and refresh in the background
+        load(key, loader).catch((error) => {
+          console.error(`Background refresh failed for ${key}:`, error.message);
+        });
+        return { response: entry.response, status: 'STALE', age };
+      }
+    }
+
+    return { response: await load(key, loader), status: 'MISS', age: 0 };
+  };
+
+  const clear = () => {
+    entries.clear();
+  };
+
+  const stats = () => ({
+    entries: entries.size,
+    inFlight: inFlight.size,
+    keys: Array.from(entries.keys()),
+  });
+
+  return { ttlFor, fetch, clear, stats };
+};
@@ -0,0 +1,159 @@
+/**
+ * Runtime Configuration
+ *
+ * Builds the configuration document served at /api/config, so webhook URLs are read
+ * when the server runs instead of being baked into the client bundle at build time.
+ *
+ * Webhooks come from the N8N_*_ENDPOINT environment variables (see webhooks.js) and can be
+ * overridden by a JSON config file, re-read on every load so edits apply without a restart:
+ *
+ *   { "webhooks": { "LABOR": "https://n8n.example.com/webhook/abc123" } }
+ *
+ * The client only ever sees named routes (/api/data/labor, see src/config/dataRoutes.js),
+ * never the n8n host or webhook IDs.
+ */
+import { existsSync, readFileSync } from 'fs';
+import { WEBHOOK_ENV_VARS, loadWebhookPaths, toWebhookPath } from './webhooks.js';
+import { getDataRoutePath, findDataRoute } from '../src/config/dataRoutes.js';
+import { validateRoles } from './access.js';
+import { normalizeBudgetThresholds } from '../src/utils/laborBudget.js';
+import { DEFAULT_ALERT_RULES, validateAlertRules } from '../src/utils/alertRules.js';
+import { normalizeStartMonth } from '../src/utils/fiscalCalendar.js';
+
+/**
+ * Create a loader for the runtime configuration
+ * @param {Object} options
+ * @param {Object} options.env - Environment (defaults to process.env)
+ * @param {string} options.configPath - Optional JSON config file
+ * @param {Object} options.localRoutes - Webhook name -> function returning true when the server
+ *   can answer the route itself without a webhook (e.g. an uploaded labor budget)
+ * @returns {Object} { load, loadWebhookPaths, loadAccessConfig, loadBudgetThresholds, loadAlertRules, toClientConfig, resolveDataRequest }
+ */
+export const createRuntimeConfigLoader = ({ env = process.env, configPath, localRoutes = {} } = {}) => {
+  const readConfigFile = () => {
+    if (!configPath || !existsSync(configPath)) return {};
+    try {
+      return JSON.parse(readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      console.error(`Ignoring invalid config file ${configPath}:`, error.message);
+      // Remembered so role rules can fail closed (see loadAccessConfig)
+      return { error: error.message };
+    }
+  };
+
+  /**
+   * Resolve the current configuration
+   * @returns {Object} { webhooks: name -> n8n path or null, source: 'env' | 'file' }
+   */
+  const load = () => {
+    const webhooks = loadWebhookPaths(env);
+    const file = readConfigFile();
+    let source = 'env';
+    Object.keys(WEBHOOK_ENV_VARS).forEach((name) => {
+      const value = file.webhooks?.[name];
+      if (value === undefined) return;
+      webhooks[name] = toWebhookPath(value, `${configPath} (${name})`);
+      source = 'file';
+    });
+    return { webhooks, source };
+  };
+
+  /**
+   * Role definitions for access control (see access.js), re-read with the rest of the file
+   * @returns {Object} { roles, defaultRoles, error } - error is set when the file or roles are invalid
+   */
+  const loadAccessConfig = () => {
+    const file = readConfigFile();
+    if (file.error) return { error: `Invalid config file: ${file.error}` };
+    const roles = file.roles || {};
+    const defaultRoles = file.defaultRoles || [];
+    const errors = validateRoles(roles, defaultRoles);
+    if (errors.length > 0) {
+      console.error(`Invalid roles in ${configPath}: ${errors.join('; ')}`);
+      return { error: errors.join('; ') };
+    }
+    return { roles, defaultRoles };
+  };
+
+  /**
+   * Red/amber/green thresholds for labor vs budget (see src/utils/laborBudget.js)
+   * LABOR_BUDGET_AMBER_PERCENT and LABOR_BUDGET_RED_PERCENT, overridden by "budgetThresholds" in the file
+   * @returns {Object} { amber, red } in percent over budget
+   */
+  const loadBudgetThresholds = () => {
+    const file = readConfigFile();
+    return normalizeBudgetThresholds({
+      amber: file.budgetThresholds?.amber ?? env.LABOR_BUDGET_AMBER_PERCENT,
+      red: file.budgetThresholds?.red ?? env.LABOR_BUDGET_RED_PERCENT,
+    });
+  };
+
+  /**
+   * KPI alert rules (see src/utils/alertRules.js): "alertRules" in the file, or the defaults
+   * Invalid rules are logged and skipped so one typo doesn't silence every alert.
+   * @returns {Array<Object>} Validated rules
+   */
+  const loadAlertRules = () => {
+    const file = readConfigFile();
+    const { rules, errors } = validateAlertRules(file.alertRules ?? DEFAULT_ALERT_RULES);
+    if (errors.length > 0) {
+      console.error(`Invalid alert rules in ${configPath}: ${errors.join('; ')}`);
+    }
+    return rules;
+  };
+
+  const hasLocalRoute = name => Boolean(localRoutes[name]?.());
+
+  /**
+   * The document served to the browser at /api/config
+   * @param {Object} options
+   * @param {Function} options.allowWebhook - Whether the user may use a webhook (hidden ones are sent as null)
+   * @param {Object} options.access - What the user may see, included as "access" (see access.js)
+   * @returns {Object} { endpoints: name -> data route path or null, access, budgetThresholds, fiscalYearStartMonth }
+   */
+  const toClientConfig = ({ allowWebhook = () => true, access } = {}) => {
+    const { webhooks } = load();
+    return {
+      endpoints: Object.fromEntries(Object.entries(webhooks).map(([name, path]) => [
+        name,
+        (path || hasLocalRoute(name)) && allowWebhook(name) ? getDataRoutePath(name) : null,
+      ])),
+      ...(access && { access }),
+      budgetThresholds: loadBudgetThresholds(),
+      // FISCAL_YEAR_START_MONTH, so the cards name the same fiscal years as snapshots, alerts and the briefing
+      fiscalYearStartMonth: normalizeStartMonth(env.FISCAL_YEAR_START_MONTH),
+    };
+  };
+
+  /**
+   * Map a /api/data request to the n8n webhook path it should be forwarded to.
+   * The client's query (date params) is added to the webhook's own query; parameters
+   * configured on the server side win, so a client can't override them.
+   * @param {string} url - Request URL (e.g. /api/data/labor?asOf=2026-01-15)
+   * @returns {Object} { status: 'ok', name, path } | { status: 'local', name } | { status: 'unconfigured', name } | { status: 'unknown' }
+   */
+  const resolveDataRequest = (url) => {
+    const requestUrl = new URL(url, 'http://localhost');
+    const name = findDataRoute(requestUrl.pathname);
+    if (!name) return { status: 'unknown' };
+
+    const webhookPath = load().webhooks[name];
+    if (!webhookPath) return { status: hasLocalRoute(name) ? 'local' : 'unconfigured', name };
+
+    const target = new URL(webhookPath, 'http://localhost');
+    requestUrl.searchParams.forEach((value, key) => {
+      if (!target.searchParams.has(key)) target.searchParams.append(key, value);
+    });
+    return { status: 'ok', name, path: `${target.pathname}${target.search}` };
+  };
+
+  return {
+    load,
+    loadWebhookPaths: () => load().webhooks,
+    loadAccessConfig,
+    loadBudgetThresholds,
+    loadAlertRules,
+    toClientConfig,
+    resolveDataRequest,
+  };
+};
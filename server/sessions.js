@@ -0,0 +1,101 @@
+/**
+ * Sessions
+ *
+ * In-memory login sessions for the auth layer (server/auth.js). A session is created
+ * after an OIDC login or a kiosk token exchange and is identified by a random id in an
+ * HttpOnly cookie. Sessions do not survive a restart; users simply sign in again.
+ */
+import { randomBytes } from 'crypto';
+
+/**
+ * Parse a Cookie header into a name -> value map
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} Cookies
+ */
+export const parseCookies = (header) => {
+  const cookies = {};
+  (header || '').split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+};
+
+/**
+ * Build a Set-Cookie header value
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {Object} options - { maxAgeSeconds, secure }
+ * @returns {string} Set-Cookie value
+ */
+export const serializeCookie = (name, value, { maxAgeSeconds, secure = false } = {}) => {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  if (maxAgeSeconds !== undefined) parts.push(`Max-Age=${Math.max(0, Math.floor(maxAgeSeconds))}`);
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+};
+
+/**
+ * Create an in-memory session store
+ * @param {Object} options
+ * @param {number} options.ttlMs - Session lifetime from creation
+ * @returns {Object} Store with create, get, destroy and stats
+ */
+export const createSessionStore = ({ ttlMs }) => {
+  const sessions = new Map();
+
+  // Drop expired sessions so abandoned logins don't pile up
+  const prune = (now = Date.now()) => {
+    sessions.forEach((session, id) => {
+      if (session.expiresAt <= now) sessions.delete(id);
+    });
+  };
+
+  /**
+   * Start a session
+   * @param {Object} data - Session contents (user, plus anything needed at logout)
+   * @returns {Object} Session { id, expiresAt, ...data }
+   */
+  const create = (data) => {
+    prune();
+    const session = {
+      ...data,
+      id: randomBytes(32).toString('base64url'),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttlMs,
+    };
+    sessions.set(session.id, session);
+    return session;
+  };
+
+  /**
+   * Look up a live session
+   * @param {string} id - Session id from the cookie
+   * @returns {Object|null} Session, or null if unknown or expired
+   */
+  const get = (id) => {
+    if (!id) return null;
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  };
+
+  const destroy = (id) => {
+    if (id) sessions.delete(id);
+  };
+
+  const stats = () => ({ sessions: sessions.size });
+
+  return { create, get, destroy, stats };
+};
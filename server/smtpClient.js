@@ -0,0 +1,131 @@
+/**
+ * SMTP Client
+ *
+ * Sends one message over plain SMTP (RFC 5321): EHLO, MAIL FROM, RCPT TO, DATA, QUIT.
+ * There is no STARTTLS or AUTH, so point it at a relay on the local network (or at
+ * mock/smtpServer.js), not at a public mail provider.
+ */
+import { createConnection } from 'net';
+import { hostname } from 'os';
+
+// Reads complete replies off the socket; "250-..." continues a multi-line reply and "250 ..." ends it
+const createReplyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (line.charAt(3) !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  });
+
+  const fail = (error) => {
+    failure = failure || error;
+    settle();
+  };
+  socket.on('error', fail);
+  socket.on('timeout', () => {
+    fail(new Error('SMTP server timed out'));
+    socket.destroy();
+  });
+  socket.on('close', () => fail(new Error('SMTP server closed the connection')));
+
+  return () => new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    settle();
+  });
+};
+
+// Longest UTF-8 text per encoded-word: 45 bytes is 60 base64 characters, which with the
+// "=?UTF-8?B?" and "?=" around them stays within RFC 2047's 75-character limit
+const ENCODED_WORD_BYTES = 45;
+
+/**
+ * Encode a header value (such as a Subject) for SMTP
+ * Plain ASCII is returned as it is; anything else becomes RFC 2047 "=?UTF-8?B?...?=" encoded-words,
+ * split between characters and folded onto continuation lines, so strict relays don't garble it.
+ * @param {string} value - Header value
+ * @returns {string} Value safe to write after "Name: "
+ */
+export const encodeHeaderValue = (value) => {
+  const text = String(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+  const words = [];
+  let chunk = '';
+  Array.from(text.replace(/[\r\n]+/g, ' ')).forEach((char) => {
+    if (Buffer.byteLength(chunk + char) > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  });
+  words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+};
+
+/**
+ * Send a message
+ * @param {Object} options
+ * @param {string} options.host - SMTP server host
+ * @param {number} options.port - SMTP server port
+ * @param {string} options.from - Envelope sender address
+ * @param {string[]} options.to - Envelope recipient addresses
+ * @param {string} options.message - Full message: headers, blank line, body
+ * @param {number} options.timeout - Socket inactivity timeout in ms
+ * @returns {Promise<string>} The server's reply to the message (usually its queue ID)
+ */
+export const sendMail = async ({ host, port = 25, from, to, message, timeout = 30000 }) => {
+  const socket = createConnection({ host, port });
+  socket.setTimeout(timeout);
+  const readReply = createReplyReader(socket);
+
+  const command = async (line, expected, name = line) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await readReply();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${name} rejected: ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220], 'greeting');
+    await command(`EHLO ${hostname()}`, [250], 'EHLO');
+    await command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    for (const recipient of to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], `RCPT TO ${recipient}`);
+    }
+    await command('DATA', [354]);
+    // A lone "." ends the message, so lines starting with "." get a second one
+    const data = message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const accepted = await command(`${data}\r\n.`, [250], 'message');
+    await command('QUIT', [221]);
+    return accepted.text;
+  } finally {
+    socket.end();
+  }
+};
@@ -0,0 +1,194 @@
+/**
+ * Snapshot Scheduler
+ *
+ * Captures one history snapshot per day: fetches every n8n webhook, runs the same
+ * transformers the dashboard uses, and saves the result to the history store.
+ */
+import {
+  transformTicketSales,
+  transformSeasonPassSales,
+  transformLabor,
+  transformNPS,
+  transformTrailsLifts,
+  transformLaborBudget,
+  transformLodging,
+  unwrapResponseData,
+} from '../src/utils/dataTransformers.js';
+import { validatePayload, addTransformIssues, createErrorReport } from '../src/utils/dataQuality.js';
+import { toLocalDateString } from './historyStore.js';
+import { createFiscalOptions } from '../src/utils/fiscalCalendar.js';
+
+/**
+ * Parse an HH:MM time of day
+ * @param {string} value - Time string, e.g. "07:00"
+ * @returns {{hours: number, minutes: number}} Parsed time (07:00 if invalid)
+ */
+export const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return { hours: 7, minutes: 0 };
+  }
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+};
+
+/**
+ * Milliseconds from now until the next occurrence of a local time of day
+ * @param {{hours: number, minutes: number}} time - Time of day
+ * @param {Date} now - Current time
+ * @returns {number} Delay in milliseconds
+ */
+export const msUntil = ({ hours, minutes }, now = new Date()) => {
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime() - now.getTime();
+};
+
+/**
+ * Create the daily snapshot scheduler
+ * @param {Object} options
+ * @param {Object} options.store - History store (see historyStore.js)
+ * @param {Function} options.fetchJson - Async function fetching an n8n path and returning parsed JSON
+ * @param {Function} options.getWebhookPaths - Returns the map of webhook name to n8n path (see runtimeConfig.js)
+ * @param {Function} options.getDivisionRules - Returns the labor division rules (see divisionConfig.js)
+ * @param {Object} options.localData - Webhook name -> function returning data to use when the webhook
+ *   isn't configured (e.g. the uploaded labor budget, see budgetStore.js)
+ * @param {Function} options.getBudgetThresholds - Returns the labor budget red/amber thresholds, saved
+ *   with the budget so past days keep the statuses they had
+ * @param {number} options.fiscalYearStartMonth - Fiscal year start month (1-12)
+ * @param {string} options.snapshotTime - Local time of day to capture, "HH:MM"
+ * @param {Function} options.onCapture - Called with each saved snapshot and its date (e.g. to evaluate alerts)
+ * @returns {Object} Scheduler with capture, start and stop methods
+ */
+export const createSnapshotScheduler = ({ store, fetchJson, getWebhookPaths, getDivisionRules, localData = {}, getBudgetThresholds = () => null, fiscalYearStartMonth, snapshotTime, onCapture = () => {} }) => {
+  const time = parseTimeOfDay(snapshotTime);
+  let timer = null;
+  // Captures under way, by date, so concurrent callers share one fetch and one save
+  const inFlight = new Map();
+
+  // Fetch a webhook (or its local stand-in), or reject if it isn't configured
+  const fetchWebhook = (name) => {
+    const path = getWebhookPaths()[name];
+    const local = !path && localData[name] ? localData[name]() : null;
+    if (local) return Promise.resolve(local);
+    if (!path) {
+      return Promise.reject(new Error(`${name} webhook is not configured`));
+    }
+    return fetchJson(path);
+  };
+
+  // Fetch, transform and save the snapshot for a date
+  const captureSnapshot = async (date) => {
+    const names = ['TICKET_SALES', 'SEASON_PASS_SALES', 'LABOR', 'NPS', 'TRAILS_LIFTS', 'LABOR_BUDGET', 'LODGING'];
+    const results = await Promise.allSettled(names.map(fetchWebhook));
+
+    const raw = {};
+    const errors = {};
+    const quality = {};
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        raw[names[index]] = result.value;
+      } else {
+        errors[names[index]] = result.reason?.message || String(result.reason);
+        quality[names[index]] = createErrorReport(names[index], result.reason);
+        console.error(`Snapshot: failed to fetch ${names[index]}:`, errors[names[index]]);
+      }
+    });
+
+    if (Object.keys(raw).length === 0) {
+      console.error(`Snapshot for ${date} skipped: every webhook failed`);
+      return null;
+    }
+
+    // Resolved once, so ticket sales and season passes are labelled from the same fiscal years
+    const fiscalOptions = createFiscalOptions({ asOf: date, fiscalYearStartMonth });
+    
+    // Validate each fetched payload and record its data-quality report alongside the result
+    const check = (source, transform) => {
+      if (!(source in raw)) return null;
+      const transformed = transform(raw[source]);
+      quality[source] = addTransformIssues(validatePayload(source, raw[source], fiscalOptions), transformed);
+      return transformed;
+    };
+    
+    const snapshot = store.saveSnapshot(date, {
+      sales: {
+        ticketSales: check('TICKET_SALES', data => transformTicketSales(unwrapResponseData(data), fiscalOptions)),
+        seasonPassSales: check('SEASON_PASS_SALES', data => transformSeasonPassSales(data, fiscalOptions)),
+      },
+      labor: check('LABOR', data => transformLabor(data, getDivisionRules())),
+      satisfaction: check('NPS', data => transformNPS(data)),
+      trailsLifts: check('TRAILS_LIFTS', data => transformTrailsLifts(data)),
+      laborBudget: check('LABOR_BUDGET', (data) => {
+        const budget = transformLaborBudget(unwrapResponseData(data), getDivisionRules());
+        return budget && { ...budget, thresholds: getBudgetThresholds() };
+      }),
+      lodging: check('LODGING', data => transformLodging(unwrapResponseData(data))),
+      errors,
+      quality,
+    });
+    console.log(`✓ Saved history snapshot for ${date}`);
+    try {
+      onCapture(snapshot, date);
+    } catch (error) {
+      console.error(`Snapshot for ${date}: capture hook failed:`, error.message);
+    }
+    return snapshot;
+  };
+
+  /**
+   * Fetch, transform and save the snapshot for a date
+   * A capture already running for the date (the schedule, the startup catch-up or a briefing
+   * with no snapshot yet) is shared rather than started again.
+   * @param {string} date - YYYY-MM-DD (defaults to today)
+   * @returns {Promise<Object|null>} Saved snapshot, or null if every source failed
+   */
+  const capture = (date = toLocalDateString()) => {
+    if (!inFlight.has(date)) {
+      inFlight.set(date, captureSnapshot(date).finally(() => inFlight.delete(date)));
+    }
+    return inFlight.get(date);
+  };
+
+  // Capture, then schedule the next run at the same time tomorrow
+  const scheduleNext = () => {
+    timer = setTimeout(async () => {
+      try {
+        await capture();
+      } catch (error) {
+        console.error('Snapshot capture failed:', error);
+      }
+      scheduleNext();
+    }, msUntil(time));
+  };
+
+  const start = () => {
+    const configured = Object.values(getWebhookPaths()).some(Boolean);
+    if (!configured) {
+      console.warn('History snapshots disabled: no n8n webhook endpoints configured');
+      return;
+    }
+
+    // Catch up if the server starts after today's snapshot time and it hasn't run yet
+    const now = new Date();
+    const todayRun = new Date(now);
+    todayRun.setHours(time.hours, time.minutes, 0, 0);
+    if (now >= todayRun && !store.hasSnapshot(toLocalDateString(now))) {
+      capture().catch((error) => console.error('Snapshot capture failed:', error));
+    }
+
+    scheduleNext();
+    console.log(`✓ History snapshots scheduled daily at ${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return { capture, start, stop };
+};
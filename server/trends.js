@@ -0,0 +1,190 @@
+/**
+ * Trends
+ *
+ * Builds time series from the daily history snapshots (see historyStore.js):
+ * daily NPS vs compset, cumulative ticket and season pass revenue by day of season,
+ * labor % of revenue by division, and trails/lifts open with mountain labor per open
+ * trail and lift. Revenue and labor % points can carry the same day of season from
+ * last year for overlay.
+ */
+import { toLocalDateString } from './historyStore.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Parse YYYY-MM-DD as a UTC midnight Date so day arithmetic ignores DST
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => formatDate(new Date(parseDate(date).getTime() + days * MS_PER_DAY));
+
+/**
+ * Parse a season start "MM-DD"
+ * @param {string} value - Month and day the season starts, e.g. "11-01"
+ * @returns {{month: number, day: number}} Parsed start (November 1 if invalid)
+ */
+export const parseSeasonStart = (value) => {
+  const match = /^(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 12 || Number(match[2]) < 1 || Number(match[2]) > 31) {
+    return { month: 11, day: 1 };
+  }
+  return { month: Number(match[1]), day: Number(match[2]) };
+};
+
+/**
+ * Find the start date of the season a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @param {{month: number, day: number}} seasonStart - Season start month/day
+ * @returns {string} Season start date (YYYY-MM-DD)
+ */
+export const getSeasonStartDate = (date, seasonStart) => {
+  const year = parseDate(date).getUTCFullYear();
+  const pad = (n) => String(n).padStart(2, '0');
+  const thisYearStart = `${year}-${pad(seasonStart.month)}-${pad(seasonStart.day)}`;
+  return date >= thisYearStart ? thisYearStart : `${year - 1}-${pad(seasonStart.month)}-${pad(seasonStart.day)}`;
+};
+
+/**
+ * Day number within the season (season start is day 1)
+ * @param {string} date - YYYY-MM-DD
+ * @param {{month: number, day: number}} seasonStart - Season start month/day
+ * @returns {number} Day of season
+ */
+export const getDayOfSeason = (date, seasonStart) => {
+  const start = getSeasonStartDate(date, seasonStart);
+  return Math.round((parseDate(date) - parseDate(start)) / MS_PER_DAY) + 1;
+};
+
+/**
+ * The date with the same day of season in the previous season
+ * @param {string} date - YYYY-MM-DD
+ * @param {{month: number, day: number}} seasonStart - Season start month/day
+ * @returns {string} Matching date last season
+ */
+export const getSameDayLastSeason = (date, seasonStart) => {
+  const start = getSeasonStartDate(date, seasonStart);
+  const lastSeasonStart = getSeasonStartDate(addDays(start, -1), seasonStart);
+  return addDays(lastSeasonStart, getDayOfSeason(date, seasonStart) - 1);
+};
+
+// Labor % of revenue keyed by division name
+const laborPercentByDivision = (labor) => {
+  const values = {};
+  (labor?.byDivision || []).forEach((division) => {
+    values[division.division] = division.percentOfRevenue;
+  });
+  return values;
+};
+
+// Labor of the divisions that run the mountain ("trailsLifts" in extraMetrics), or null if none
+const mountainLabor = (labor) => {
+  const divisions = (labor?.byDivision || []).filter(division => (division.extraMetrics || []).includes('trailsLifts'));
+  if (divisions.length === 0) return null;
+  return divisions.reduce((sum, division) => sum + (division.totalLabor || 0), 0);
+};
+
+/**
+ * Build trend series from history snapshots
+ * @param {Object} store - History store
+ * @param {Object} options
+ * @param {number} options.days - Number of days of NPS and labor history (e.g. 30, 60, 90)
+ * @param {string} options.seasonStart - Season start "MM-DD"
+ * @param {string} options.to - Last date to include (defaults to today)
+ * @returns {Object} { range, nps, seasonRevenue, laborPercent, divisions, mountainOps }
+ */
+export const buildTrends = (store, { days = 30, seasonStart, to = toLocalDateString() } = {}) => {
+  const start = parseSeasonStart(seasonStart);
+  const from = addDays(to, -(days - 1));
+  const seasonFrom = getSeasonStartDate(to, start);
+  const dates = store.listDates().filter(date => date <= to);
+
+  // Snapshots are read once per request and shared by every series
+  const snapshots = new Map();
+  const getSnapshot = (date) => {
+    if (!snapshots.has(date)) {
+      snapshots.set(date, store.getSnapshot(date));
+    }
+    return snapshots.get(date);
+  };
+  const getLastYear = (date) => getSnapshot(getSameDayLastSeason(date, start));
+
+  const nps = dates
+    .filter(date => date >= from)
+    .map((date) => {
+      const satisfaction = getSnapshot(date)?.satisfaction;
+      if (!satisfaction) return null;
+      return {
+        date: satisfaction.yesterdayDate || date,
+        score: satisfaction.yesterdayScore,
+        compset: satisfaction.yesterdayCompset,
+        // The NPS webhook already reports the same day last year alongside each score
+        lastYearScore: satisfaction.lastYearYesterdayScore,
+        lastYearCompset: satisfaction.lastYearYesterdayCompset,
+      };
+    })
+    .filter(Boolean);
+
+  const seasonRevenue = dates
+    .filter(date => date >= seasonFrom)
+    .map((date) => {
+      const sales = getSnapshot(date)?.sales;
+      if (!sales) return null;
+      // Prefer last season's own snapshot; fall back to the comparison figures in today's payload
+      const lastYearSales = getLastYear(date)?.sales;
+      return {
+        date,
+        dayOfSeason: getDayOfSeason(date, start),
+        ticketRevenue: sales.ticketSales?.currentSeason?.revenue ?? null,
+        seasonPassRevenue: sales.seasonPassSales?.currentSeason?.revenue ?? null,
+        lastYearTicketRevenue: lastYearSales?.ticketSales?.currentSeason?.revenue
+          ?? sales.ticketSales?.lastSeason?.revenue ?? null,
+        lastYearSeasonPassRevenue: lastYearSales?.seasonPassSales?.currentSeason?.revenue
+          ?? sales.seasonPassSales?.lastSeason?.revenue ?? null,
+      };
+    })
+    .filter(Boolean);
+
+  const divisions = new Set();
+  const laborPercent = dates
+    .filter(date => date >= from)
+    .map((date) => {
+      const labor = getSnapshot(date)?.labor;
+      if (!labor) return null;
+      const current = laborPercentByDivision(labor);
+      Object.keys(current).forEach(name => divisions.add(name));
+      return {
+        date,
+        byDivision: current,
+        lastYear: laborPercentByDivision(getLastYear(date)?.labor),
+      };
+    })
+    .filter(Boolean);
+
+  // Season to date, like revenue: how much of the mountain was open and what it cost to run
+  const mountainOps = dates
+    .filter(date => date >= seasonFrom)
+    .map((date) => {
+      const snapshot = getSnapshot(date);
+      const trailsLifts = snapshot?.trailsLifts;
+      if (!trailsLifts) return null;
+      const labor = mountainLabor(snapshot.labor);
+      const perOpen = count => (labor !== null && count > 0 ? Math.round((labor / count) * 100) / 100 : null);
+      return {
+        date,
+        dayOfSeason: getDayOfSeason(date, start),
+        trailsOpen: trailsLifts.trailsOpen,
+        liftsOpen: trailsLifts.liftsOpen,
+        terrainOpenPercent: trailsLifts.terrainOpenPercent ?? null,
+        laborPerOpenTrail: perOpen(trailsLifts.trailsOpen),
+        laborPerOpenLift: perOpen(trailsLifts.liftsOpen),
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    range: { from, to, days, seasonStart: seasonFrom },
+    nps,
+    seasonRevenue,
+    laborPercent,
+    divisions: Array.from(divisions),
+    mountainOps,
+  };
+};
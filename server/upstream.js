@@ -0,0 +1,48 @@
+/**
+ * Upstream n8n
+ *
+ * Where the proxy sends webhook requests. N8N_BASE_URL sets the n8n origin (and an optional
+ * path prefix), so staging can point at a different n8n and development can use the local
+ * mock (mock/n8nServer.js). Both http and https upstreams are supported.
+ */
+import { request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+
+export const DEFAULT_N8N_BASE_URL = 'https://n8n-v2.mcp.hyperplane.dev';
+
+/**
+ * Read the upstream base URL from the environment
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {URL} Base URL
+ */
+export const loadUpstreamBaseUrl = (env = process.env) => {
+  const value = env.N8N_BASE_URL || DEFAULT_N8N_BASE_URL;
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`Invalid N8N_BASE_URL: ${value}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`N8N_BASE_URL must be an http or https URL: ${value}`);
+  }
+  return url;
+};
+
+/**
+ * Full upstream URL for a webhook path
+ * @param {URL} baseUrl - From loadUpstreamBaseUrl
+ * @param {string} path - Webhook path and query (e.g. /webhook/abc?x=1)
+ * @returns {URL} Upstream URL
+ */
+export const resolveUpstreamUrl = (baseUrl, path) => {
+  const prefix = baseUrl.pathname.replace(/\/+$/, '');
+  return new URL(`${prefix}${path}`, baseUrl.origin);
+};
+
+/**
+ * The http or https request function for an upstream URL
+ * @param {URL} url - Upstream URL
+ * @returns {Function} http.request or https.request
+ */
+export const requestFor = (url) => (url.protocol === 'http:' ? httpRequest : httpsRequest);
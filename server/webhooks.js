@@ -0,0 +1,48 @@
+/**
+ * Webhook Configuration
+ *
+ * Server-side view of the n8n webhook URLs. Reads N8N_*_ENDPOINT variables and falls back
+ * to the VITE_N8N_*_ENDPOINT variables the client build uses, so one .env serves both.
+ */
+
+// Logical webhook name -> environment variable (without the VITE_ prefix)
+export const WEBHOOK_ENV_VARS = {
+  TICKET_SALES: 'N8N_TICKET_SALES_ENDPOINT',
+  SEASON_PASS_SALES: 'N8N_SEASON_PASS_SALES_ENDPOINT',
+  LABOR: 'N8N_LABOR_ENDPOINT',
+  NPS: 'N8N_NPS_ENDPOINT',
+  TRAILS_LIFTS: 'N8N_TRAILS_LIFTS_ENDPOINT',
+  LABOR_BUDGET: 'N8N_LABOR_BUDGET_ENDPOINT',
+  LODGING: 'N8N_LODGING_ENDPOINT',
+};
+
+/**
+ * Reduce a webhook URL to the n8n path (pathname + query) the proxy forwards
+ * The host of a full URL is ignored; requests always go to N8N_BASE_URL (see upstream.js).
+ * @param {string} value - Full webhook URL, or a path such as /webhook/abc
+ * @param {string} source - Where the value came from, for error messages
+ * @returns {string|null} Path, or null when empty or invalid
+ */
+export const toWebhookPath = (value, source) => {
+  if (!value || value === 'undefined') return null;
+  try {
+    const url = value.startsWith('/') ? new URL(value, 'http://localhost') : new URL(value);
+    return `${url.pathname}${url.search}`;
+  } catch {
+    console.error(`Invalid URL in ${source}: ${value}`);
+    return null;
+  }
+};
+
+/**
+ * Resolve the n8n path (pathname + query) for each configured webhook
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Map of webhook name to path, or null when not configured
+ */
+export const loadWebhookPaths = (env = process.env) => {
+  const paths = {};
+  Object.entries(WEBHOOK_ENV_VARS).forEach(([name, variable]) => {
+    paths[name] = toWebhookPath(env[variable] || env[`VITE_${variable}`], variable);
+  });
+  return paths;
+};
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { formatAlertValue } from '../utils/alertRules';
+import '../styles/Dashboard.css';
+
+const SEVERITY_COLORS = {
+  critical: '#ef4444',
+  warning: '#f59e0b',
+};
+
+const SNOOZE_OPTIONS = [
+  { label: '1h', minutes: 60 },
+  { label: '4h', minutes: 240 },
+  { label: '1 day', minutes: 1440 },
+];
+
+const formatTime = value => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+/**
+ * Active KPI alerts with snooze controls (see server/alertEngine.js)
+ * @param {Array<Object>} alerts - Alerts from the server
+ * @param {Array<Object>} rules - Rules the user can see, to say what is being watched
+ * @param {Function} onSnooze - Called with (id, minutes); 0 minutes ends the snooze
+ */
+const AlertsPanel = ({ alerts, rules, onSnooze }) => {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (rules.length === 0) return null;
+  const active = alerts.filter(alert => alert.status === 'active');
+
+  const handleSnooze = async (id, minutes) => {
+    setPending(id);
+    setError(null);
+    try {
+      await onSnooze(id, minutes);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (active.length === 0) {
+    return (
+      <p className="alerts-clear">
+        No KPI alerts · watching {rules.length} rule{rules.length === 1 ? '' : 's'}
+      </p>
+    );
+  }
+
+  return (
+    <div className="alerts-panel" role="region" aria-label="KPI alerts">
+      <div className="alerts-panel-title">
+        {active.length} KPI alert{active.length === 1 ? '' : 's'}
+      </div>
+      {error && <div className="alerts-panel-error">{error}</div>}
+      <ul className="alerts-list">
+        {active.map(alert => (
+          <li
+            key={alert.id}
+            className={`alert-item${alert.snoozed ? ' alert-item-snoozed' : ''}`}
+            style={{ borderLeftColor: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.warning }}
+          >
+            <div className="alert-item-body">
+              <span className="alert-severity" style={{ color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.warning }}>
+                {alert.severity}
+              </span>
+              <span className="alert-message">{alert.message}</span>
+              <span className="alert-detail">
+                Now {formatAlertValue(alert.metric, alert.value)} · since {formatTime(alert.triggeredAt)}
+                {alert.snoozed && ` · snoozed until ${formatTime(alert.snoozedUntil)}`}
+              </span>
+            </div>
+            <div className="alert-actions">
+              {alert.snoozed ? (
+                <button
+                  type="button"
+                  className="card-retry-button"
+                  disabled={pending === alert.id}
+                  onClick={() => handleSnooze(alert.id, 0)}
+                >
+                  Unsnooze
+                </button>
+              ) : (
+                SNOOZE_OPTIONS.map(option => (
+                  <button
+                    key={option.minutes}
+                    type="button"
+                    className="card-retry-button"
+                    disabled={pending === alert.id}
+                    title={`Snooze for ${option.label}`}
+                    onClick={() => handleSnooze(alert.id, option.minutes)}
+                  >
+                    {option.label}
+                  </button>
+                ))
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AlertsPanel;
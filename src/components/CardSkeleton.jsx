@@ -0,0 +1,17 @@
+import React from 'react';
+import '../styles/Dashboard.css';
+
+// Placeholder shown while a card loads for the first time
+const CardSkeleton = ({ title, rows = 3 }) => {
+  return (
+    <div className="dashboard-card" aria-busy="true">
+      <h2>{title}</h2>
+      {Array.from({ length: rows }, (_, index) => (
+        <div key={index} className="card-skeleton-block" />
+      ))}
+      <p className="loading-text">Loading {title.toLowerCase()}...</p>
+    </div>
+  );
+};
+
+export default CardSkeleton;
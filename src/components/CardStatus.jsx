@@ -0,0 +1,49 @@
+import React from 'react';
+import '../styles/Dashboard.css';
+
+const formatTime = (date) => date.toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+// Per-card load state: refresh indicator, request errors with retry, last successful load
+const CardStatus = ({ status, onRetry }) => {
+  if (!status) return null;
+  const { loading, errors = [], unavailable = [], lastSuccess } = status;
+  if (!loading && errors.length === 0 && unavailable.length === 0 && !lastSuccess) return null;
+
+  return (
+    <div className="card-status">
+      {unavailable.length > 0 && (
+        <div className="card-status-unavailable">
+          {unavailable.join(', ')} {unavailable.length === 1 ? 'is' : 'are'} not configured on the server
+        </div>
+      )}
+      {errors.map((error) => (
+        <div key={`${error.endpoint}-${error.label}`} className="card-status-error">
+          <span className="card-status-error-source">{error.label}</span>
+          {' failed'}
+          {error.status ? ` (HTTP ${error.status}, ${error.endpoint})` : ` (${error.endpoint})`}
+          {`: ${error.message}`}
+        </div>
+      ))}
+      <div className="card-status-footer">
+        <span>
+          {loading && 'Refreshing… '}
+          {lastSuccess
+            ? `${errors.length > 0 ? 'Last successful update' : 'Updated'} ${formatTime(lastSuccess)}`
+            : errors.length > 0 && 'Never loaded successfully'}
+        </span>
+        {errors.length > 0 && onRetry && (
+          <button className="card-retry-button" onClick={onRetry} disabled={loading}>
+            {loading ? 'Retrying...' : 'Retry'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CardStatus;
@@ -0,0 +1,16 @@
+import React from 'react';
+import '../styles/Dashboard.css';
+
+// Shown instead of a card when the server has no webhook configured for any of its sources
+const CardUnavailable = ({ title, sources }) => {
+  return (
+    <div className="dashboard-card card-unavailable">
+      <h2>{title}</h2>
+      <p>
+        Not available: {sources.join(', ')} {sources.length === 1 ? 'is' : 'are'} not configured on the server.
+      </p>
+    </div>
+  );
+};
+
+export default CardUnavailable;
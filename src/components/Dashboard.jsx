@@ -1,55 +1,232 @@
-import React, { useState, useEffect } from 'react';
-import { fetchAllData } from '../services/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchHistoryDates,
+  fetchCurrentUser,
+  fetchAccess,
+  fetchLastSeasonSnapshot,
+  uploadLaborBudget,
+  getRawPayloads,
+  EMPTY_DATE_OPTIONS,
+} from '../services/api';
+import { downloadExport } from '../services/exportService';
+import { getDataRoutePath } from '../config/dataRoutes';
+import useDataSources, { DATA_SOURCES, CARD_SOURCES } from '../hooks/useDataSources';
+import useRefreshScheduler from '../hooks/useRefreshScheduler';
+import useAlerts from '../hooks/useAlerts';
+import { REFRESH_SCHEDULE } from '../config/refreshSchedule';
+import { formatCountdown } from '../utils/refreshSchedule';
 import SalesComparison from './SalesComparison';
 import LaborExpenses from './LaborExpenses';
 import GuestSatisfaction from './GuestSatisfaction';
-import LoadingSpinner from './LoadingSpinner';
+import MountainOperations from './MountainOperations';
+import TrendCharts from './TrendCharts';
+import DateControls from './DateControls';
+import CardSkeleton from './CardSkeleton';
+import CardUnavailable from './CardUnavailable';
+import UserBadge from './UserBadge';
+import ExportMenu from './ExportMenu';
+import AlertsPanel from './AlertsPanel';
 import '../styles/Dashboard.css';
 
+const ALL_SOURCES = Object.keys(DATA_SOURCES);
+
+// Card component (as named in access rules) -> CARD_SOURCES key and title
+const EXPORT_CARDS = {
+  SalesComparison: { card: 'sales', title: 'Sales Comparison' },
+  LaborExpenses: { card: 'labor', title: 'Labor Expenses' },
+  GuestSatisfaction: { card: 'satisfaction', title: 'Guest Satisfaction' },
+  MountainOperations: { card: 'mountain', title: 'Mountain Operations' },
+};
+
+// "Labor Expenses" -> "labor-expenses"
+const toFileSlug = title => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Today as YYYY-MM-DD in local time, the date live data is for
+const getToday = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// Skeleton on first load, a notice when the server has no webhook for the card, otherwise the card
+const CardSlot = ({ title, state, children }) => {
+  if (state.disabled) return <CardUnavailable title={title} sources={state.unavailable} />;
+  if (state.loading && !state.hasData) return <CardSkeleton title={title} />;
+  return children;
+};
+
 const Dashboard = () => {
-  const [data, setData] = useState({
-    sales: null,
-    labor: null,
-    satisfaction: null,
-    trailsLifts: null,
-  });
-  const [loading, setLoading] = useState(true);
+  const { sources, quality, loadSources, loadSnapshot, getCardState } = useDataSources();
+  const { alerts, rules: alertRules, loadAlerts, snooze: snoozeAlert } = useAlerts();
   const [error, setError] = useState(null);
   const [lastRefresh, setLastRefresh] = useState(null);
+  // Empty string means live data; otherwise a YYYY-MM-DD history snapshot date
+  const [selectedDate, setSelectedDate] = useState('');
+  const [historyDates, setHistoryDates] = useState([]);
+  const [capturedAt, setCapturedAt] = useState(null);
+  // Date options sent to every webhook when viewing live data
+  const [dateOptions, setDateOptions] = useState(EMPTY_DATE_OPTIONS);
+  // Signed-in user, when the server has auth enabled
+  const [currentUser, setCurrentUser] = useState(null);
+  // Cards the user's roles include (null until the server says; see server/access.js)
+  const [visibleCards, setVisibleCards] = useState(null);
+  // Whether the user may replace the labor budget file
+  const [canUploadBudget, setCanUploadBudget] = useState(false);
+  // Snapshot from the same day last season, for year-over-year labor productivity
+  const [lastSeason, setLastSeason] = useState(null);
+  const comparisonDate = selectedDate || dateOptions.asOf || dateOptions.to || getToday();
 
-  const loadData = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const allData = await fetchAllData();
-      setData(allData);
+  // Refresh whichever sources the schedule says are due (live data only; snapshots never change)
+  const { markRefreshed, next: nextRefresh, now, paused } = useRefreshScheduler({
+    schedule: REFRESH_SCHEDULE,
+    enabled: !selectedDate,
+    onRefresh: (keys) => loadSources(keys, dateOptions).then(() => {
       setLastRefresh(new Date());
-    } catch (err) {
-      console.error('Error loading dashboard data:', err);
-      setError(err.message || 'Failed to load dashboard data');
+      // The server evaluates alerts as it serves the fresh data
+      loadAlerts();
+    }),
+  });
+
+  // Each source settles on its own; cards render as soon as their sources arrive
+  const loadData = useCallback(async (date, options) => {
+    try {
+      if (date) {
+        const snapshot = await loadSnapshot(date);
+        setCapturedAt(snapshot?.capturedAt ? new Date(snapshot.capturedAt) : null);
+      } else {
+        await loadSources(ALL_SOURCES, options);
+        setCapturedAt(null);
+        markRefreshed(ALL_SOURCES);
+      }
     } finally {
-      setLoading(false);
+      setLastRefresh(new Date());
+      loadAlerts();
+    }
+  }, [loadSnapshot, loadSources, markRefreshed, loadAlerts]);
+
+  // Reload only the sources behind one card
+  const retryCard = (card) => {
+    if (selectedDate) {
+      loadSnapshot(selectedDate);
+    } else {
+      loadSources(CARD_SOURCES[card], dateOptions);
     }
   };
 
   useEffect(() => {
-    loadData();
-    
-    // Set up daily refresh (every 24 hours)
-    const dailyInterval = setInterval(loadData, 24 * 60 * 60 * 1000);
-    
-    // Also set up a shorter interval for development/testing (every 5 minutes)
-    // Remove or adjust this in production
-    // const refreshInterval = setInterval(loadData, 5 * 60 * 1000);
-    
+    fetchAccess()
+      .then((access) => {
+        setVisibleCards(access.cards);
+        setCanUploadBudget(access.budgetUpload);
+      })
+      .catch((err) => console.warn('Card access unavailable, showing every card:', err.message));
+  }, []);
+
+  useEffect(() => {
+    fetchCurrentUser()
+      .then(({ user }) => setCurrentUser(user))
+      .catch((err) => console.warn('Current user unavailable:', err.message));
+  }, []);
+
+  useEffect(() => {
+    // Load the list of days that can be viewed from history
+    fetchHistoryDates()
+      .then(setHistoryDates)
+      .catch((err) => console.warn('History snapshots unavailable:', err.message));
+  }, []);
+
+  useEffect(() => {
+    // Cancel the request if the date changes before it finishes
+    const controller = new AbortController();
+    fetchLastSeasonSnapshot(comparisonDate, { signal: controller.signal })
+      .then(setLastSeason)
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.warn('Last season snapshot unavailable:', err.message);
+        setLastSeason(null);
+      });
     return () => {
-      clearInterval(dailyInterval);
-      // clearInterval(refreshInterval);
+      controller.abort();
     };
-  }, []);
+  }, [comparisonDate]);
+
+  useEffect(() => {
+    // Later refreshes come from the refresh scheduler
+    loadData(selectedDate, dateOptions);
+  }, [selectedDate, dateOptions, loadData]);
+
+  const loading = ALL_SOURCES.some(key => sources[key].loading);
+  const salesState = getCardState('sales');
+  const laborState = getCardState('labor');
+  const satisfactionState = getCardState('satisfaction');
+  const mountainState = getCardState('mountain');
+  // Hidden cards aren't rendered at all; the server withholds their data either way
+  const isVisible = card => !visibleCards || visibleCards.includes(card);
+  const salesData = salesState.hasData
+    ? { ticketSales: sources.ticketSales.data, seasonPassSales: sources.seasonPassSales.data }
+    : null;
+
+  // Store the new budget, then reload it so the divisions pick up their new status
+  const handleBudgetUpload = async (file) => {
+    const budget = await uploadLaborBudget(file);
+    loadSources(['laborBudget'], dateOptions);
+    return budget;
+  };
+
+  // Transformed data plus, for live data, the raw webhook payload behind each source
+  // (history snapshots only keep transformed data)
+  const getExportDatasets = (keys) => {
+    const rawPayloads = selectedDate ? {} : getRawPayloads();
+    return keys
+      .filter(key => sources[key].data)
+      .map((key) => {
+        const { endpoint, label } = DATA_SOURCES[key];
+        const raw = rawPayloads[endpoint] || null;
+        return {
+          source: endpoint,
+          label,
+          endpoint: selectedDate ? `/api/history/${selectedDate}` : raw?.endpoint || getDataRoutePath(endpoint),
+          transformed: sources[key].data,
+          raw,
+        };
+      });
+  };
+
+  const handleExport = (title, keys, format) => {
+    downloadExport({
+      format,
+      fileName: `${toFileSlug(title)}-${comparisonDate}`,
+      title,
+      asOf: comparisonDate,
+      snapshotDate: selectedDate || null,
+      datasets: getExportDatasets(keys),
+    });
+  };
+
+  const exportCard = (component) => {
+    const { card, title } = EXPORT_CARDS[component];
+    return format => handleExport(title, CARD_SOURCES[card], format);
+  };
+
+  // Every source behind the cards this user can see
+  const handleExportAll = (format) => {
+    const keys = Object.keys(EXPORT_CARDS)
+      .filter(isVisible)
+      .flatMap(component => CARD_SOURCES[EXPORT_CARDS[component].card]);
+    handleExport('GM Dashboard', [...new Set(keys)], format);
+  };
 
   const handleRefresh = () => {
-    loadData();
+    setError(null);
+    loadData(selectedDate, dateOptions);
+  };
+
+  const handleDateChange = (date) => {
+    if (date && !historyDates.includes(date)) {
+      setError(`No snapshot was saved for ${date}. Choose one of the highlighted dates.`);
+      return;
+    }
+    setError(null);
+    setSelectedDate(date);
   };
 
   const formatLastRefresh = (date) => {
@@ -64,45 +241,119 @@ const Dashboard = () => {
   return (
     <div className="dashboard-container">
       <div className="dashboard-header">
+        <UserBadge user={currentUser} />
         <h1 className="dashboard-title">General Manager Dashboard</h1>
         <p className="dashboard-subtitle">Resort Performance Overview</p>
-        {lastRefresh && (
+        {lastRefresh && !selectedDate && (
           <p style={{ fontSize: '0.875rem', color: '#64748b', marginTop: '0.5rem' }}>
             Last updated: {formatLastRefresh(lastRefresh)}
+            {dateOptions.asOf && ` · As of ${dateOptions.asOf}`}
+            {dateOptions.from && dateOptions.to && ` · ${dateOptions.from} to ${dateOptions.to}`}
+            {dateOptions.compareTo && ` · Compared to ${dateOptions.compareTo}`}
           </p>
         )}
+        {!selectedDate && nextRefresh && (
+          <p className="refresh-countdown">
+            {paused
+              ? 'Auto-refresh paused while this tab is hidden'
+              : `Next refresh in ${formatCountdown(nextRefresh.at - now)} · ${DATA_SOURCES[nextRefresh.key]?.label || nextRefresh.key}`}
+          </p>
+        )}
+        {selectedDate && (
+          <p className="history-banner">
+            Viewing snapshot from {selectedDate}
+            {capturedAt && ` (captured ${capturedAt.toLocaleString('en-US')})`}
+          </p>
+        )}
+        <DateControls
+          dateOptions={dateOptions}
+          onApply={setDateOptions}
+          historyDates={historyDates}
+          snapshotDate={selectedDate}
+          onSnapshotChange={handleDateChange}
+          disabled={loading}
+        />
         <button 
           className="refresh-button" 
           onClick={handleRefresh}
-          disabled={loading}
+          disabled={loading || !!selectedDate}
         >
           {loading ? 'Refreshing...' : 'Refresh Data'}
         </button>
+        {ALL_SOURCES.some(key => sources[key].data) && (
+          <ExportMenu label="Download everything" className="export-menu-header" onExport={handleExportAll} />
+        )}
       </div>
 
-      {loading && <LoadingSpinner />}
+      <AlertsPanel alerts={alerts} rules={alertRules} onSnooze={snoozeAlert} />
 
       {error && (
         <div className="error-container">
           <div className="error-title">Error Loading Data</div>
           <div className="error-message">{error}</div>
-          <button 
-            className="refresh-button" 
-            onClick={handleRefresh}
-            style={{ marginTop: '1rem' }}
-          >
-            Try Again
-          </button>
         </div>
       )}
 
-      {!loading && !error && (
-        <div className="dashboard-grid">
-          <SalesComparison data={data.sales} />
-          <LaborExpenses data={data.labor} trailsLifts={data.trailsLifts} />
-          <GuestSatisfaction data={data.satisfaction} />
+      {visibleCards && visibleCards.length === 0 && (
+        <div className="error-container">
+          <div className="error-title">No cards available</div>
+          <div className="error-message">Your role does not include any dashboard cards. Ask an administrator for access.</div>
         </div>
       )}
+
+      <div className="dashboard-grid">
+        {isVisible('SalesComparison') && (
+          <CardSlot title="Sales Comparison" state={salesState}>
+            <SalesComparison
+              data={salesData}
+              quality={[quality.TICKET_SALES, quality.SEASON_PASS_SALES]}
+              status={salesState}
+              onRetry={() => retryCard('sales')}
+              onExport={exportCard('SalesComparison')}
+            />
+          </CardSlot>
+        )}
+        {isVisible('LaborExpenses') && (
+          <CardSlot title="Labor Expenses" state={laborState}>
+            <LaborExpenses
+              data={sources.labor.data}
+              trailsLifts={sources.trailsLifts.data}
+              budget={sources.laborBudget.data}
+              lodging={sources.lodging.data}
+              lastYear={lastSeason}
+              quality={[quality.LABOR, quality.TRAILS_LIFTS, quality.LABOR_BUDGET, quality.LODGING]}
+              status={laborState}
+              onRetry={() => retryCard('labor')}
+              onUploadBudget={canUploadBudget && !selectedDate ? handleBudgetUpload : null}
+              onExport={exportCard('LaborExpenses')}
+            />
+          </CardSlot>
+        )}
+        {isVisible('GuestSatisfaction') && (
+          <CardSlot title="Guest Satisfaction" state={satisfactionState}>
+            <GuestSatisfaction
+              data={sources.satisfaction.data}
+              quality={[quality.NPS]}
+              status={satisfactionState}
+              onRetry={() => retryCard('satisfaction')}
+              onExport={exportCard('GuestSatisfaction')}
+            />
+          </CardSlot>
+        )}
+        {isVisible('MountainOperations') && (
+          <CardSlot title="Mountain Operations" state={mountainState}>
+            <MountainOperations
+              data={sources.trailsLifts.data}
+              asOf={selectedDate || dateOptions.asOf || dateOptions.to}
+              quality={[quality.TRAILS_LIFTS]}
+              status={mountainState}
+              onRetry={() => retryCard('mountain')}
+              onExport={exportCard('MountainOperations')}
+            />
+          </CardSlot>
+        )}
+        <TrendCharts asOf={selectedDate || dateOptions.asOf || dateOptions.to} />
+      </div>
     </div>
   );
 };
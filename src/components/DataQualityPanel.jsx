@@ -0,0 +1,41 @@
+import React from 'react';
+import '../styles/Dashboard.css';
+
+const STATUS_LABELS = {
+  partial: 'Partial data',
+  empty: 'No data returned',
+  invalid: 'Unexpected data format',
+  error: 'Request failed',
+};
+
+// Small diagnostics panel explaining why a card is empty or partial
+const DataQualityPanel = ({ reports }) => {
+  const problems = (reports || []).filter(report => report && report.status !== 'ok');
+  if (problems.length === 0) return null;
+
+  return (
+    <div className="data-quality-panel">
+      {problems.map((report) => (
+        <details key={report.source} className={`data-quality-item data-quality-${report.status}`}>
+          <summary>
+            <span className="data-quality-label">{report.label}</span>
+            <span className="data-quality-status">{STATUS_LABELS[report.status] || report.status}</span>
+          </summary>
+          <ul>
+            {report.messages.map((message, index) => (
+              <li key={index}>{message}</li>
+            ))}
+          </ul>
+          {report.checkedAt && (
+            <div className="data-quality-meta">
+              Checked {new Date(report.checkedAt).toLocaleString('en-US')}
+              {report.rowCount > 0 && ` · ${report.rowCount} row(s)`}
+            </div>
+          )}
+        </details>
+      ))}
+    </div>
+  );
+};
+
+export default DataQualityPanel;
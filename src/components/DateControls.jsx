@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { buildDateParams, EMPTY_DATE_OPTIONS } from '../services/api';
+import '../styles/Dashboard.css';
+
+const DATE_FIELDS = [
+  { key: 'asOf', label: 'As of' },
+  { key: 'from', label: 'From' },
+  { key: 'to', label: 'To' },
+  { key: 'compareTo', label: 'Compare to' },
+];
+
+// Global date controls: live query dates sent to every webhook, plus saved history snapshots
+const DateControls = ({
+  dateOptions,
+  onApply,
+  historyDates,
+  snapshotDate,
+  onSnapshotChange,
+  disabled,
+}) => {
+  const [draft, setDraft] = useState(dateOptions);
+  const [validationError, setValidationError] = useState(null);
+
+  const isDirty = DATE_FIELDS.some(({ key }) => draft[key] !== dateOptions[key]);
+  const hasOptions = DATE_FIELDS.some(({ key }) => dateOptions[key]);
+
+  const handleApply = () => {
+    try {
+      buildDateParams(draft);
+      setValidationError(null);
+      onApply(draft);
+    } catch (err) {
+      setValidationError(err.message);
+    }
+  };
+
+  const handleReset = () => {
+    setDraft(EMPTY_DATE_OPTIONS);
+    setValidationError(null);
+    onApply(EMPTY_DATE_OPTIONS);
+  };
+
+  return (
+    <div className="date-controls">
+      <div className="date-controls-row">
+        {DATE_FIELDS.map(({ key, label }) => (
+          <label key={key} className="date-control">
+            <span>{label}</span>
+            <input
+              type="date"
+              value={draft[key]}
+              disabled={disabled || !!snapshotDate}
+              onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+        <button
+          className="date-controls-button"
+          onClick={handleApply}
+          disabled={disabled || !!snapshotDate || !isDirty}
+        >
+          Apply
+        </button>
+        {hasOptions && (
+          <button className="history-live-button" onClick={handleReset} disabled={disabled}>
+            Reset to current
+          </button>
+        )}
+      </div>
+
+      <div className="history-picker">
+        <label htmlFor="history-date">Saved snapshot</label>
+        <input
+          id="history-date"
+          type="date"
+          list="history-dates"
+          value={snapshotDate}
+          min={historyDates[0]}
+          max={historyDates[historyDates.length - 1]}
+          disabled={disabled || historyDates.length === 0}
+          onChange={(e) => onSnapshotChange(e.target.value)}
+        />
+        <datalist id="history-dates">
+          {historyDates.map((date) => (
+            <option key={date} value={date} />
+          ))}
+        </datalist>
+        {snapshotDate && (
+          <button className="history-live-button" onClick={() => onSnapshotChange('')}>
+            Back to live
+          </button>
+        )}
+      </div>
+
+      {validationError && <p className="date-controls-error">{validationError}</p>}
+    </div>
+  );
+};
+
+export default DateControls;
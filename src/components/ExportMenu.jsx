@@ -0,0 +1,38 @@
+import React, { useRef } from 'react';
+import { EXPORT_FORMATS } from '../services/exportService';
+
+/**
+ * Drop-down to download data as CSV or XLSX
+ * @param {Function} onExport - Called with the chosen format ('csv' or 'xlsx')
+ * @param {string} label - Button text
+ * @param {string} className - Extra class for placement (e.g. in the dashboard header)
+ */
+const ExportMenu = ({ onExport, label = 'Export', className = '' }) => {
+  const menuRef = useRef(null);
+
+  const handleSelect = (format) => {
+    menuRef.current.open = false;
+    onExport(format);
+  };
+
+  return (
+    <details ref={menuRef} className={`export-menu${className ? ` ${className}` : ''}`}>
+      <summary className="card-retry-button">{label}</summary>
+      <div className="export-menu-items" role="menu">
+        {Object.entries(EXPORT_FORMATS).map(([format, { label: formatLabel }]) => (
+          <button
+            key={format}
+            type="button"
+            role="menuitem"
+            className="export-menu-item"
+            onClick={() => handleSelect(format)}
+          >
+            {formatLabel}
+          </button>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default ExportMenu;
@@ -1,7 +1,10 @@
 import React from 'react';
 import {
-  LineChart,
+  ComposedChart,
   Line,
+  Area,
+  BarChart,
+  Bar,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -9,14 +12,135 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
-import { formatNumberForDisplay } from '../utils/dataTransformers';
+import { formatDateForDisplay, formatNumberForDisplay } from '../utils/dataTransformers';
+import { NPS_BANDS } from '../utils/npsScore';
+import DataQualityPanel from './DataQualityPanel';
+import CardStatus from './CardStatus';
+import ExportMenu from './ExportMenu';
+import SurveyComments from './SurveyComments';
 
-const GuestSatisfaction = ({ data }) => {
+const tooltipStyle = {
+  backgroundColor: 'white',
+  border: '1px solid #e2e8f0',
+  borderRadius: '0.5rem',
+};
+
+// 95% interval as an Area range, or null so the band is left out
+const toRange = interval => (interval ? [interval.low, interval.high] : null);
+
+// "44.6 – 80.4" for interval bands, one decimal for scores
+const formatScoreOrRange = value => (Array.isArray(value)
+  ? `${formatNumberForDisplay(value[0], 1)} – ${formatNumberForDisplay(value[1], 1)}`
+  : formatNumberForDisplay(value, 1));
+
+// Lowest value the y axis needs to show, rounded down to 10 and never above 0
+const getAxisMin = ranges => Math.min(0, ...ranges.filter(Boolean).map(range => Math.floor(range[0] / 10) * 10));
+
+// Response counts per band, in NPS_BANDS order ('promoter' -> responses.promoters)
+const BAND_FIELDS = { promoter: 'promoters', passive: 'passives', detractor: 'detractors' };
+
+// Helper component for a titled block within the card
+const Section = ({ title, children }) => (
+  <div style={{ marginTop: '1.5rem' }}>
+    <h3 style={{
+      fontSize: '1.1rem',
+      fontWeight: '600',
+      color: '#475569',
+      marginBottom: '0.75rem',
+    }}>
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+// Score with its margin of error and response count
+const ScoreTile = ({ label, interval }) => (
+  <div style={{
+    padding: '0.75rem',
+    backgroundColor: '#f8fafc',
+    borderRadius: '0.5rem',
+    border: '1px solid #e2e8f0',
+  }}>
+    <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.25rem' }}>{label}</div>
+    <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: '#1e293b' }}>
+      {interval ? formatNumberForDisplay(interval.score, 1) : '—'}
+      {interval && (
+        <span style={{ fontSize: '0.8125rem', fontWeight: 'normal', color: '#64748b' }}>
+          {' '}± {formatNumberForDisplay(interval.marginOfError, 1)}
+        </span>
+      )}
+    </div>
+    {interval && (
+      <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+        {formatNumberForDisplay(interval.responses)} responses
+      </div>
+    )}
+  </div>
+);
+
+// Change between two scores, marked significant only when their intervals don't overlap
+const SignificanceBadge = ({ label, current, previous, significant }) => {
+  if (significant === null || significant === undefined || !current || !previous) return null;
+  const difference = current.score - previous.score;
+  const color = !significant ? '#64748b' : difference >= 0 ? '#10b981' : '#ef4444';
+  return (
+    <span
+      style={{
+        padding: '0.25rem 0.75rem',
+        borderRadius: '9999px',
+        border: `1px solid ${color}40`,
+        backgroundColor: `${color}15`,
+        color,
+        fontSize: '0.8125rem',
+      }}
+      title={significant ? "95% intervals don't overlap" : '95% intervals overlap'}
+    >
+      {label}: {difference >= 0 ? '+' : ''}{formatNumberForDisplay(difference, 1)} pts
+      {' · '}
+      <strong>{significant ? 'Significant' : 'Not significant'}</strong>
+    </span>
+  );
+};
+
+// Promoters, passives and detractors as one proportional bar with counts underneath
+const ResponseMix = ({ responses }) => (
+  <div>
+    <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: '0.5rem' }}>
+      {formatNumberForDisplay(responses.total)} responses
+    </div>
+    <div style={{ display: 'flex', height: '0.75rem', borderRadius: '9999px', overflow: 'hidden', backgroundColor: '#e2e8f0' }}>
+      {NPS_BANDS.map(band => (
+        <div
+          key={band.key}
+          title={band.label}
+          style={{ width: `${responses.total ? (responses[BAND_FIELDS[band.key]] / responses.total) * 100 : 0}%`, backgroundColor: band.color }}
+        />
+      ))}
+    </div>
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginTop: '0.5rem', fontSize: '0.8125rem', color: '#475569' }}>
+      {NPS_BANDS.map((band) => {
+        const count = responses[BAND_FIELDS[band.key]];
+        return (
+          <span key={band.key}>
+            <span style={{ display: 'inline-block', width: '0.625rem', height: '0.625rem', borderRadius: '50%', backgroundColor: band.color, marginRight: '0.375rem' }} />
+            {band.label}: {formatNumberForDisplay(count)}
+            {responses.total > 0 && ` (${((count / responses.total) * 100).toFixed(1)}%)`}
+          </span>
+        );
+      })}
+    </div>
+  </div>
+);
+
+const GuestSatisfaction = ({ data, quality, status, onRetry, onExport }) => {
   if (!data) {
     return (
       <div className="dashboard-card">
         <h2>Guest Satisfaction</h2>
+        <CardStatus status={status} onRetry={onRetry} />
         <p>No data available</p>
+        <DataQualityPanel reports={quality} />
       </div>
     );
   }
@@ -26,7 +150,15 @@ const GuestSatisfaction = ({ data }) => {
     lastYearYesterdayScore, 
     yesterdayCompset,
     lastYearYesterdayCompset,
+    responses,
   } = data;
+  // Older snapshots were saved before the breakdowns and intervals existed
+  const byTouchpoint = data.byTouchpoint || [];
+  const dailyResponses = data.dailyResponses || [];
+  const comments = data.comments || [];
+  const confidence = data.confidence || {};
+  const significance = data.significance || {};
+  const rolling = data.rolling || {};
 
   // Prepare data for line chart
   const chartData = [
@@ -34,21 +166,44 @@ const GuestSatisfaction = ({ data }) => {
       period: 'Last Year',
       score: lastYearYesterdayScore,
       compset: lastYearYesterdayCompset,
+      scoreRange: toRange(confidence.lastYearScore),
+      compsetRange: toRange(confidence.lastYearCompset),
     },
     {
       period: 'Yesterday',
       score: yesterdayScore,
       compset: yesterdayCompset,
+      scoreRange: toRange(confidence.score),
+      compsetRange: toRange(confidence.compset),
     },
   ];
+  const hasIntervals = chartData.some(point => point.scoreRange || point.compsetRange);
+
+  // Start at the first full 7-day window; a later window with a missing day has no score,
+  // so the line breaks there instead of bridging the gap
+  const rollingScores = data.rollingScores || [];
+  const firstFullWindow = rollingScores.findIndex(point => point.days7);
+  const rollingData = (firstFullWindow < 0 ? [] : rollingScores.slice(firstFullWindow))
+    .map(point => ({
+      date: point.date,
+      days7: point.days7?.score ?? null,
+      days7Range: toRange(point.days7),
+      days28: point.days28?.score ?? null,
+      days28Range: toRange(point.days28),
+    }));
 
   return (
     <div className="dashboard-card" style={{ padding: '1rem', display: 'flex', flexDirection: 'column' }}>
-      <h2 style={{ marginBottom: '0.75rem', marginTop: 0 }}>Guest Satisfaction</h2>
+      <h2 style={{ marginBottom: '0.75rem', marginTop: 0 }}>
+        Guest Satisfaction
+        {onExport && <ExportMenu onExport={onExport} />}
+      </h2>
+      <CardStatus status={status} onRetry={onRetry} />
+      <DataQualityPanel reports={quality} />
       
-      {/* Line Chart */}
+      {/* Line Chart, with 95% interval bands when the webhook sends response counts */}
       <ResponsiveContainer width="100%" height={300}>
-          <LineChart data={chartData} margin={{ left: 20, right: 100 }}>
+          <ComposedChart data={chartData} margin={{ left: 20, right: 100 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
             <XAxis 
               dataKey="period" 
@@ -58,7 +213,7 @@ const GuestSatisfaction = ({ data }) => {
             <YAxis 
               stroke="#64748b"
               style={{ fontSize: '0.75rem' }}
-              domain={[0, 100]}
+              domain={[getAxisMin(chartData.flatMap(point => [point.scoreRange, point.compsetRange])), 100]}
               label={{ 
                 value: 'NPS Score', 
                 angle: -90, 
@@ -67,7 +222,7 @@ const GuestSatisfaction = ({ data }) => {
               }}
             />
             <Tooltip 
-              formatter={(value) => formatNumberForDisplay(value, 2)}
+              formatter={(value) => (Array.isArray(value) ? formatScoreOrRange(value) : formatNumberForDisplay(value, 2))}
               contentStyle={{ 
                 backgroundColor: 'white', 
                 border: '1px solid #e2e8f0',
@@ -75,6 +230,8 @@ const GuestSatisfaction = ({ data }) => {
               }}
             />
             <Legend />
+            <Area dataKey="scoreRange" name="NPS 95% Interval" stroke="none" fill="#3b82f6" fillOpacity={0.15} legendType="none" />
+            <Area dataKey="compsetRange" name="Compset 95% Interval" stroke="none" fill="#94a3b8" fillOpacity={0.2} legendType="none" />
             <Line 
               type="monotone" 
               dataKey="score" 
@@ -93,8 +250,130 @@ const GuestSatisfaction = ({ data }) => {
               dot={{ r: 6, fill: '#94a3b8', strokeWidth: 2, stroke: 'white' }}
               activeDot={{ r: 8 }}
             />
-          </LineChart>
+          </ComposedChart>
         </ResponsiveContainer>
+
+      {hasIntervals && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem' }}>
+          <SignificanceBadge
+            label="vs Last Year"
+            current={confidence.score}
+            previous={confidence.lastYearScore}
+            significant={significance.vsLastYear}
+          />
+          <SignificanceBadge
+            label="vs Compset"
+            current={confidence.score}
+            previous={confidence.compset}
+            significant={significance.vsCompset}
+          />
+          <span style={{ fontSize: '0.75rem', color: '#64748b' }}>
+            Shaded bands are 95% confidence intervals from response counts.
+          </span>
+        </div>
+      )}
+
+      {(rolling.days7 || rolling.days28) && (
+        <Section title="Rolling NPS">
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+            gap: '0.75rem',
+            marginBottom: '1rem',
+          }}>
+            <ScoreTile label="Yesterday" interval={confidence.score} />
+            <ScoreTile label="Last 7 Days" interval={rolling.days7} />
+            <ScoreTile label="Last 28 Days" interval={rolling.days28} />
+          </div>
+          {rollingData.length > 1 && (
+            <ResponsiveContainer width="100%" height={250}>
+              <ComposedChart data={rollingData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis
+                  dataKey="date"
+                  stroke="#64748b"
+                  style={{ fontSize: '0.75rem' }}
+                  tickFormatter={(value) => formatDateForDisplay(value)}
+                />
+                <YAxis
+                  stroke="#64748b"
+                  style={{ fontSize: '0.75rem' }}
+                  domain={[getAxisMin(rollingData.flatMap(point => [point.days7Range, point.days28Range])), 100]}
+                />
+                <Tooltip
+                  formatter={formatScoreOrRange}
+                  labelFormatter={(value) => formatDateForDisplay(value, 'medium')}
+                  contentStyle={tooltipStyle}
+                />
+                <Legend />
+                <Area dataKey="days7Range" name="7-Day 95% Interval" stroke="none" fill="#3b82f6" fillOpacity={0.15} legendType="none" />
+                <Area dataKey="days28Range" name="28-Day 95% Interval" stroke="none" fill="#f59e0b" fillOpacity={0.15} legendType="none" />
+                <Line type="monotone" dataKey="days7" name="7-Day NPS" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="days28" name="28-Day NPS" stroke="#f59e0b" strokeWidth={2} dot={false} connectNulls />
+              </ComposedChart>
+            </ResponsiveContainer>
+          )}
+        </Section>
+      )}
+
+      {responses && (
+        <Section title="Yesterday's Responses">
+          <ResponseMix responses={responses} />
+        </Section>
+      )}
+
+      {dailyResponses.length > 0 && (
+        <Section title="Response Volume (Last 28 Days)">
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={dailyResponses.slice(-28)}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis
+                dataKey="date"
+                stroke="#64748b"
+                style={{ fontSize: '0.75rem' }}
+                tickFormatter={(value) => formatDateForDisplay(value)}
+              />
+              <YAxis stroke="#64748b" style={{ fontSize: '0.75rem' }} allowDecimals={false} />
+              <Tooltip
+                labelFormatter={(value) => formatDateForDisplay(value, 'medium')}
+                contentStyle={tooltipStyle}
+              />
+              <Legend />
+              {NPS_BANDS.map(band => (
+                <Bar key={band.key} dataKey={BAND_FIELDS[band.key]} name={band.label} stackId="responses" fill={band.color} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </Section>
+      )}
+
+      {byTouchpoint.length > 0 && (
+        <Section title="NPS by Touchpoint">
+          <ResponsiveContainer width="100%" height={Math.max(120, byTouchpoint.length * 40 + 40)}>
+            <BarChart layout="vertical" data={byTouchpoint} margin={{ left: 16 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis type="number" domain={[-100, 100]} stroke="#64748b" style={{ fontSize: '0.75rem' }} />
+              <YAxis type="category" dataKey="name" width={80} stroke="#64748b" style={{ fontSize: '0.75rem' }} />
+              <Tooltip
+                formatter={(value, name, item) => [
+                  item.payload.responses !== null
+                    ? `${formatNumberForDisplay(value, 1)} (${formatNumberForDisplay(item.payload.responses)} responses)`
+                    : formatNumberForDisplay(value, 1),
+                  'NPS',
+                ]}
+                contentStyle={tooltipStyle}
+              />
+              <Bar dataKey="score" name="NPS" fill="#3b82f6" radius={[0, 4, 4, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </Section>
+      )}
+
+      {comments.length > 0 && (
+        <Section title="Survey Comments">
+          <SurveyComments comments={comments} />
+        </Section>
+      )}
     </div>
   );
 };
@@ -1,31 +1,59 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import { formatCurrencyForDisplay, formatPercentForDisplay, formatNumberForDisplay } from '../utils/dataTransformers';
+import { compareToBudget, normalizeBudgetThresholds } from '../utils/laborBudget';
+import { getLaborProductivity, getChangePercent } from '../utils/laborProductivity';
+import DataQualityPanel from './DataQualityPanel';
+import CardStatus from './CardStatus';
+import ExportMenu from './ExportMenu';
 
-// Helper component for a metric display
-const Metric = ({ label, value, formatter = formatCurrencyForDisplay, formatterArgs = [] }) => (
-  <div style={{
-    padding: '1rem',
-    backgroundColor: '#f8fafc',
-    borderRadius: '0.5rem',
-    border: '1px solid #e2e8f0',
-  }}>
-    <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: '0.5rem' }}>
-      {label}
-    </div>
-    <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#0f172a' }}>
-      {formatter(value || 0, ...formatterArgs)}
+// Helper component for a metric display, optionally with last year's value underneath
+const Metric = ({ label, value, formatter = formatCurrencyForDisplay, formatterArgs = [], lastYear = null }) => {
+  const change = getChangePercent(value, lastYear);
+  return (
+    <div style={{
+      padding: '1rem',
+      backgroundColor: '#f8fafc',
+      borderRadius: '0.5rem',
+      border: '1px solid #e2e8f0',
+    }}>
+      <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: '0.5rem' }}>
+        {label}
+      </div>
+      <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#0f172a' }}>
+        {formatter(value || 0, ...formatterArgs)}
+      </div>
+      {lastYear !== null && (
+        <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+          Last year: {formatter(lastYear, ...formatterArgs)}
+          {change !== null && ` (${formatPercentForDisplay(change, 1)})`}
+        </div>
+      )}
     </div>
-  </div>
-);
+  );
+};
+
+// Border colour for a division's labor vs budget status (see utils/laborBudget.js)
+const BUDGET_STATUS_COLORS = {
+  green: '#10b981',
+  amber: '#f59e0b',
+  red: '#ef4444',
+};
+
+const BUDGET_STATUS_LABELS = {
+  green: 'On track',
+  amber: 'Watch',
+  red: 'Over budget',
+};
 
 // Helper component for a division section
-const DivisionSection = ({ title, children }) => (
+const DivisionSection = ({ title, budgetStatus, children }) => (
   <div style={{
     marginBottom: '2rem',
     padding: '1.5rem',
     backgroundColor: '#ffffff',
     borderRadius: '0.5rem',
     border: '1px solid #e2e8f0',
+    ...(budgetStatus && { borderLeft: `4px solid ${BUDGET_STATUS_COLORS[budgetStatus]}` }),
   }}>
     <h3 style={{
       fontSize: '1.25rem',
@@ -34,8 +62,17 @@ const DivisionSection = ({ title, children }) => (
       color: '#0f172a',
       borderBottom: '2px solid #cbd5e1',
       paddingBottom: '0.75rem',
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '0.75rem',
     }}>
       {title}
+      {budgetStatus && (
+        <span className={`budget-status budget-status-${budgetStatus}`}>
+          {BUDGET_STATUS_LABELS[budgetStatus]}
+        </span>
+      )}
     </h3>
     <div style={{
       display: 'grid',
@@ -47,153 +84,311 @@ const DivisionSection = ({ title, children }) => (
   </div>
 );
 
-const LaborExpenses = ({ data, trailsLifts }) => {
+// Extra metrics a division can opt into via "extraMetrics" in src/config/divisions.json
+const TrailsLiftsMetrics = ({ division, trailsLifts, lastYearDivision, lastYearTrailsLifts }) => {
+  if (!trailsLifts) return null;
+
+  // Calculate labor per trail/lift
+  const trailsOpen = trailsLifts.trailsOpen || 0;
+  const liftsOpen = trailsLifts.liftsOpen || 0;
+  const divisionLabor = division.totalLabor || 0;
+  const laborPerTrail = trailsOpen > 0 ? divisionLabor / trailsOpen : 0;
+  const laborPerLift = liftsOpen > 0 ? divisionLabor / liftsOpen : 0;
+  const productivity = getLaborProductivity(division, trailsLifts);
+  const lastYear = lastYearTrailsLifts ? getLaborProductivity(lastYearDivision, lastYearTrailsLifts) : null;
+
+  return (
+    <>
+      <Metric 
+        label="Trails Open" 
+        value={trailsOpen}
+        formatter={formatNumberForDisplay}
+      />
+      <Metric 
+        label="Lifts Open" 
+        value={liftsOpen}
+        formatter={formatNumberForDisplay}
+      />
+      {trailsOpen > 0 && (
+        <Metric 
+          label="Labor per Open Trail" 
+          value={laborPerTrail} 
+        />
+      )}
+      {liftsOpen > 0 && (
+        <Metric 
+          label="Labor per Open Lift" 
+          value={laborPerLift} 
+        />
+      )}
+      {productivity.hoursPerOpenTrail !== null && (
+        <Metric
+          label="Hours per Open Trail"
+          value={productivity.hoursPerOpenTrail}
+          formatter={formatNumberForDisplay}
+          formatterArgs={[1]}
+          lastYear={lastYear?.hoursPerOpenTrail ?? null}
+        />
+      )}
+      {productivity.hoursPerOpenLift !== null && (
+        <Metric
+          label="Hours per Open Lift"
+          value={productivity.hoursPerOpenLift}
+          formatter={formatNumberForDisplay}
+          formatterArgs={[1]}
+          lastYear={lastYear?.hoursPerOpenLift ?? null}
+        />
+      )}
+    </>
+  );
+};
+
+// Labor hours, average hourly rate and revenue per labor hour, each against last year
+const ProductivityMetrics = ({ division, lastYearDivision }) => {
+  const productivity = getLaborProductivity(division);
+  const lastYear = getLaborProductivity(lastYearDivision);
+  if (!productivity.totalHours) return null;
+
+  return (
+    <>
+      <Metric
+        label="Labor Hours"
+        value={productivity.totalHours}
+        formatter={formatNumberForDisplay}
+        lastYear={lastYear?.totalHours || null}
+      />
+      <Metric
+        label="Avg Hourly Rate"
+        value={productivity.averageHourlyRate}
+        lastYear={lastYear?.averageHourlyRate ?? null}
+      />
+      {productivity.revenuePerLaborHour !== null && (
+        <Metric
+          label="Revenue per Labor Hour"
+          value={productivity.revenuePerLaborHour}
+          lastYear={lastYear?.revenuePerLaborHour ?? null}
+        />
+      )}
+    </>
+  );
+};
+
+// "+$1,200.00 (+3.4%)"; spend against a zero budget has no meaningful percentage
+const formatVariance = ({ variance, variancePercent }) => {
+  const amount = `${variance >= 0 ? '+' : '-'}${formatCurrencyForDisplay(Math.abs(variance))}`;
+  if (variancePercent === null) return amount;
+  if (!Number.isFinite(variancePercent)) return `${amount} (no budget)`;
+  return `${amount} (${formatPercentForDisplay(variancePercent, 1)})`;
+};
+
+// Budget, variance and labor % against the budgeted labor %, coloured by status
+const BudgetMetrics = ({ comparison }) => (
+  <>
+    <Metric label="Labor Budget" value={comparison.budgetLabor} />
+    <div style={{
+      padding: '1rem',
+      backgroundColor: '#f8fafc',
+      borderRadius: '0.5rem',
+      border: '1px solid #e2e8f0',
+    }}>
+      <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: '0.5rem' }}>
+        Variance to Budget
+      </div>
+      <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: BUDGET_STATUS_COLORS[comparison.status] }}>
+        {formatVariance(comparison)}
+      </div>
+    </div>
+    {comparison.laborPercent !== null && comparison.budgetLaborPercent !== null && (
+      <div style={{
+        padding: '1rem',
+        backgroundColor: '#f8fafc',
+        borderRadius: '0.5rem',
+        border: '1px solid #e2e8f0',
+      }}>
+        <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: '0.5rem' }}>
+          Labor % vs Budget
+        </div>
+        <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#0f172a' }}>
+          {comparison.laborPercent.toFixed(1)}%
+          <span style={{ fontSize: '1rem', fontWeight: 'normal', color: '#64748b' }}>
+            {' '}/ {comparison.budgetLaborPercent.toFixed(1)}% budget
+          </span>
+        </div>
+      </div>
+    )}
+  </>
+);
+
+// File picker for replacing the stored budget (see server/budgetStore.js)
+const BudgetUpload = ({ onUpload }) => {
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setUploading(true);
+    setMessage(null);
+    try {
+      const budget = await onUpload(file);
+      setMessage({ type: 'success', text: `Uploaded ${file.name} (${budget?.rows?.length ?? 0} rows)` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="budget-upload">
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        onChange={handleChange}
+        style={{ display: 'none' }}
+      />
+      <button className="budget-upload-button" onClick={() => inputRef.current?.click()} disabled={uploading}>
+        {uploading ? 'Uploading...' : 'Upload Budget'}
+      </button>
+      {message && (
+        <span className={`budget-upload-message budget-upload-${message.type}`}>{message.text}</span>
+      )}
+    </div>
+  );
+};
+
+// Occupancy is a share, not a change, so it has no +/- sign
+const formatOccupancy = (value) => `${value.toFixed(1)}%`;
+
+// Labor cost per occupied room night, or null without occupied rooms
+const getLaborPerOccupiedRoom = (division, rooms) => (
+  division && rooms?.roomsOccupied > 0 ? division.totalLabor / rooms.roomsOccupied : null
+);
+
+// ADR, occupancy, RevPAR and labor per occupied room from the lodging webhook, against last year
+const LodgingMetrics = ({ division, lodging, lastYearDivision }) => {
+  if (!lodging) return null;
+  const lastYear = lodging.lastYear;
+  const laborPerRoom = getLaborPerOccupiedRoom(division, lodging);
+
+  return (
+    <>
+      {lodging.adr !== null && (
+        <Metric label="ADR" value={lodging.adr} lastYear={lastYear?.adr ?? null} />
+      )}
+      {lodging.occupancyPercent !== null && (
+        <Metric
+          label="Occupancy"
+          value={lodging.occupancyPercent}
+          formatter={formatOccupancy}
+          lastYear={lastYear?.occupancyPercent ?? null}
+        />
+      )}
+      {lodging.revpar !== null && (
+        <Metric label="RevPAR" value={lodging.revpar} lastYear={lastYear?.revpar ?? null} />
+      )}
+      {laborPerRoom !== null && (
+        <Metric
+          label="Labor per Occupied Room"
+          value={laborPerRoom}
+          lastYear={getLaborPerOccupiedRoom(lastYearDivision, lastYear)}
+        />
+      )}
+    </>
+  );
+};
+
+const LaborExpenses = ({ data, trailsLifts, budget, lodging, lastYear, quality, status, onRetry, onUploadBudget, onExport }) => {
+  const upload = onUploadBudget && <BudgetUpload onUpload={onUploadBudget} />;
+
   if (!data) {
     return (
       <div className="dashboard-card">
         <h2>Labor Expenses</h2>
+        <CardStatus status={status} onRetry={onRetry} />
+        {upload}
         <p>No data available</p>
+        <DataQualityPanel reports={quality} />
       </div>
     );
   }
 
-  const { byDivision } = data;
-
-  // Helper function to find a division by name
-  const getDivision = (name) => {
-    return (byDivision || []).find(div => 
-      div.division?.toLowerCase() === name.toLowerCase()
-    ) || null;
-  };
-
-  // Get division data
-  const guestServices = getDivision('Guest Services');
-  const foodBeverage = getDivision('Food & Beverage');
-  const mountainOps = getDivision('Mountain Operations');
-  const hospitality = getDivision('Hospitality');
-
-  // Calculate labor per trail/lift for Mountain Operations
-  const trailsOpen = trailsLifts?.trailsOpen || 0;
-  const liftsOpen = trailsLifts?.liftsOpen || 0;
-  const mountainOpsLabor = mountainOps?.totalLabor || 0;
-  const laborPerTrail = trailsOpen > 0 ? mountainOpsLabor / trailsOpen : 0;
-  const laborPerLift = liftsOpen > 0 ? mountainOpsLabor / liftsOpen : 0;
+  const { byDivision, unmappedDivisions } = data;
+  const budgetThresholds = normalizeBudgetThresholds(budget?.thresholds);
+  // Same day last season, from history (see fetchLastSeasonSnapshot)
+  const lastYearDivisions = lastYear?.labor?.byDivision || [];
 
   return (
     <div className="dashboard-card">
-      <h2>Labor Expenses</h2>
+      <h2>
+        Labor Expenses
+        {onExport && <ExportMenu onExport={onExport} />}
+      </h2>
+      <CardStatus status={status} onRetry={onRetry} />
+      {upload}
+      <DataQualityPanel reports={quality} />
+      {lastYear?.labor && (
+        <p style={{ fontSize: '0.8125rem', color: '#64748b', marginBottom: '1rem' }}>
+          Last year values are from {lastYear.date}, the same day last season.
+        </p>
+      )}
       
-      {/* Guest Services Section */}
-      <DivisionSection title="Guest Services">
-        {guestServices?.revenue > 0 && (
-          <Metric 
-            label="Guest Services Revenue" 
-            value={guestServices.revenue} 
-          />
-        )}
-        <Metric 
-          label="Guest Services Labor" 
-          value={guestServices?.totalLabor || 0} 
-        />
-        {guestServices?.revenue > 0 && (
-          <Metric 
-            label="Guest Services Labor % of Revenue" 
-            value={guestServices.percentOfRevenue || 0}
-            formatter={formatPercentForDisplay}
-            formatterArgs={[1]}
-          />
-        )}
-      </DivisionSection>
-
-      {/* Food & Beverage Section */}
-      <DivisionSection title="Food & Beverage">
-        {foodBeverage?.revenue > 0 && (
-          <Metric 
-            label="Food & Beverage Revenue" 
-            value={foodBeverage.revenue} 
-          />
-        )}
-        <Metric 
-          label="Food & Beverage Labor" 
-          value={foodBeverage?.totalLabor || 0} 
-        />
-        {foodBeverage?.revenue > 0 && (
-          <Metric 
-            label="Food & Beverage Labor % of Revenue" 
-            value={foodBeverage.percentOfRevenue || 0}
-            formatter={formatPercentForDisplay}
-            formatterArgs={[1]}
-          />
-        )}
-      </DivisionSection>
-
-      {/* Mountain Operations Section */}
-      <DivisionSection title="Mountain Operations">
-        <Metric 
-          label="Labor" 
-          value={mountainOps?.totalLabor || 0} 
-        />
-        {trailsLifts && (
-          <Metric 
-            label="Trails Open" 
-            value={trailsOpen}
-            formatter={formatNumberForDisplay}
-          />
-        )}
-        {trailsLifts && (
-          <Metric 
-            label="Lifts Open" 
-            value={liftsOpen}
-            formatter={formatNumberForDisplay}
-          />
-        )}
-        {trailsLifts && trailsOpen > 0 && (
-          <Metric 
-            label="Labor per Open Trail" 
-            value={laborPerTrail} 
-          />
-        )}
-        {trailsLifts && liftsOpen > 0 && (
-          <Metric 
-            label="Labor per Open Lift" 
-            value={laborPerLift} 
-          />
-        )}
-      </DivisionSection>
-
-      {/* Hospitality Section */}
-      <DivisionSection title="Hospitality">
-        <Metric 
-          label="Labor" 
-          value={hospitality?.totalLabor || 0} 
-        />
-        <div style={{
-          padding: '1rem',
-          backgroundColor: '#f8fafc',
-          borderRadius: '0.5rem',
-          border: '1px solid #e2e8f0',
-        }}>
-          <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: '0.5rem' }}>
-            ADR
-          </div>
-          <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#94a3b8', fontStyle: 'italic' }}>
-            Coming Soon
-          </div>
-        </div>
-        <div style={{
-          padding: '1rem',
-          backgroundColor: '#f8fafc',
-          borderRadius: '0.5rem',
-          border: '1px solid #e2e8f0',
-        }}>
-          <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: '0.5rem' }}>
-            Occupancy
-          </div>
-          <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#94a3b8', fontStyle: 'italic' }}>
-            Coming Soon
-          </div>
-        </div>
-      </DivisionSection>
+      {(byDivision || []).map((division) => {
+        const extraMetrics = division.extraMetrics || [];
+        const comparison = compareToBudget(division, budget?.byDivision?.[division.division], budgetThresholds);
+        const lastYearDivision = lastYearDivisions.find(entry => entry.division === division.division);
+        return (
+          <DivisionSection key={division.division} title={division.division} budgetStatus={comparison?.status}>
+            {division.unmapped && (
+              <div style={{
+                gridColumn: '1 / -1',
+                padding: '0.75rem 1rem',
+                backgroundColor: '#fef3c7',
+                border: '1px solid #fcd34d',
+                borderRadius: '0.5rem',
+                color: '#92400e',
+                fontSize: '0.875rem',
+              }}>
+                These divisions are not in the division rules: {unmappedDivisions.join(', ')}
+              </div>
+            )}
+            {division.revenue > 0 && (
+              <Metric 
+                label={`${division.division} Revenue`} 
+                value={division.revenue} 
+              />
+            )}
+            <Metric 
+              label={`${division.division} Labor`} 
+              value={division.totalLabor || 0} 
+            />
+            {division.revenue > 0 && (
+              <Metric 
+                label={`${division.division} Labor % of Revenue`} 
+                value={division.percentOfRevenue || 0}
+                formatter={formatPercentForDisplay}
+                formatterArgs={[1]}
+              />
+            )}
+            <ProductivityMetrics division={division} lastYearDivision={lastYearDivision} />
+            {comparison && <BudgetMetrics comparison={comparison} />}
+            {extraMetrics.includes('trailsLifts') && (
+              <TrailsLiftsMetrics
+                division={division}
+                trailsLifts={trailsLifts}
+                lastYearDivision={lastYearDivision}
+                lastYearTrailsLifts={lastYear?.trailsLifts}
+              />
+            )}
+            {extraMetrics.includes('lodging') && (
+              <LodgingMetrics division={division} lodging={lodging} lastYearDivision={lastYearDivision} />
+            )}
+          </DivisionSection>
+        );
+      })}
     </div>
   );
 };
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { fetchTrends } from '../services/api';
+import { formatCurrencyForDisplay, formatDateForDisplay, formatNumberForDisplay } from '../utils/dataTransformers';
+import DataQualityPanel from './DataQualityPanel';
+import CardStatus from './CardStatus';
+import ExportMenu from './ExportMenu';
+
+const tooltipStyle = {
+  backgroundColor: 'white',
+  border: '1px solid #e2e8f0',
+  borderRadius: '0.5rem',
+};
+
+// Helper component for a summary tile
+const Stat = ({ label, value, detail }) => (
+  <div style={{
+    padding: '1rem',
+    backgroundColor: '#f8fafc',
+    borderRadius: '0.5rem',
+    border: '1px solid #e2e8f0',
+  }}>
+    <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: '0.5rem' }}>
+      {label}
+    </div>
+    <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#0f172a' }}>
+      {value}
+    </div>
+    {detail && (
+      <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+        {detail}
+      </div>
+    )}
+  </div>
+);
+
+// Helper component for a titled block within the card
+const Section = ({ title, children }) => (
+  <div style={{ marginTop: '1.5rem' }}>
+    <h3 style={{
+      fontSize: '1.1rem',
+      fontWeight: '600',
+      color: '#475569',
+      marginBottom: '0.75rem',
+    }}>
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+// "59 / 84" when the total is known, otherwise just the open count
+const formatOpenOfTotal = (open, total) => (
+  total ? `${formatNumberForDisplay(open)} / ${formatNumberForDisplay(total)}` : formatNumberForDisplay(open)
+);
+
+const formatInches = value => `${formatNumberForDisplay(value)}"`;
+
+// Snow and terrain fields are null (or absent, in older snapshots) when the webhook doesn't send them
+const hasValue = value => value !== null && value !== undefined;
+
+// Open vs closed per group (difficulty or area) as stacked horizontal bars
+const OpenClosedChart = ({ groups }) => (
+  <ResponsiveContainer width="100%" height={Math.max(120, groups.length * 36 + 40)}>
+    <BarChart
+      layout="vertical"
+      data={groups.map(group => ({ name: group.name, open: group.open, closed: group.total - group.open }))}
+      margin={{ left: 16 }}
+    >
+      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+      <XAxis type="number" allowDecimals={false} stroke="#64748b" style={{ fontSize: '0.75rem' }} />
+      <YAxis type="category" dataKey="name" width={100} stroke="#64748b" style={{ fontSize: '0.75rem' }} />
+      <Tooltip contentStyle={tooltipStyle} />
+      <Legend />
+      <Bar dataKey="open" name="Open" stackId="status" fill="#10b981" />
+      <Bar dataKey="closed" name="Closed" stackId="status" fill="#cbd5e1" />
+    </BarChart>
+  </ResponsiveContainer>
+);
+
+// Trails and lifts open per area, side by side
+const AreaTable = ({ trailsByArea, liftsByArea }) => {
+  const areas = [...new Set([...trailsByArea, ...liftsByArea].map(group => group.name))];
+  const find = (groups, name) => groups.find(group => group.name === name);
+  const formatGroup = group => (group ? `${group.open} / ${group.total}` : '—');
+
+  return (
+    <table className="mountain-area-table">
+      <thead>
+        <tr>
+          <th>Area</th>
+          <th>Trails Open</th>
+          <th>Lifts Open</th>
+        </tr>
+      </thead>
+      <tbody>
+        {areas.map(name => (
+          <tr key={name}>
+            <td>{name}</td>
+            <td>{formatGroup(find(trailsByArea, name))}</td>
+            <td>{formatGroup(find(liftsByArea, name))}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const MountainOperations = ({ data, asOf, quality, status, onRetry, onExport }) => {
+  const [season, setSeason] = useState(null);
+
+  useEffect(() => {
+    // Season-to-date series from the history snapshots (see server/trends.js)
+    const controller = new AbortController();
+    fetchTrends({ days: 30, to: asOf || undefined, signal: controller.signal })
+      .then(result => setSeason(result?.mountainOps || []))
+      .catch((err) => {
+        if (!controller.signal.aborted) console.warn('Mountain operations trend unavailable:', err.message);
+      });
+    return () => {
+      controller.abort();
+    };
+  }, [asOf]);
+
+  if (!data) {
+    return (
+      <div className="dashboard-card">
+        <h2>Mountain Operations</h2>
+        <CardStatus status={status} onRetry={onRetry} />
+        <p>No data available</p>
+        <DataQualityPanel reports={quality} />
+      </div>
+    );
+  }
+
+  const { snow = {} } = data;
+  const trailsByDifficulty = data.trailsByDifficulty || [];
+  const trailsByArea = data.trailsByArea || [];
+  const liftsByArea = data.liftsByArea || [];
+  const laborTrend = (season || []).filter(point => point.laborPerOpenTrail !== null || point.laborPerOpenLift !== null);
+
+  return (
+    <div className="dashboard-card">
+      <h2>
+        Mountain Operations
+        {onExport && <ExportMenu onExport={onExport} />}
+      </h2>
+      <CardStatus status={status} onRetry={onRetry} />
+      <DataQualityPanel reports={quality} />
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+        gap: '1rem',
+      }}>
+        <Stat label="Trails Open" value={formatOpenOfTotal(data.trailsOpen, data.trailsTotal)} />
+        <Stat label="Lifts Open" value={formatOpenOfTotal(data.liftsOpen, data.liftsTotal)} />
+        {hasValue(data.terrainOpenPercent) && (
+          <Stat label="Terrain Open" value={`${data.terrainOpenPercent.toFixed(1)}%`} />
+        )}
+        {hasValue(snow.baseDepth) && (
+          <Stat
+            label="Base Depth"
+            value={formatInches(snow.baseDepth)}
+            detail={hasValue(snow.summitDepth) ? `Summit ${formatInches(snow.summitDepth)}` : null}
+          />
+        )}
+        {hasValue(snow.snowfall24h) && (
+          <Stat
+            label="New Snow (24h)"
+            value={formatInches(snow.snowfall24h)}
+            detail={hasValue(snow.snowfall7d) ? `${formatInches(snow.snowfall7d)} in 7 days` : null}
+          />
+        )}
+        {hasValue(snow.seasonSnowfall) && (
+          <Stat label="Season Snowfall" value={formatInches(snow.seasonSnowfall)} />
+        )}
+      </div>
+
+      {trailsByDifficulty.length > 0 && (
+        <Section title="Trails by Difficulty">
+          <OpenClosedChart groups={trailsByDifficulty} />
+        </Section>
+      )}
+
+      {(trailsByArea.length > 0 || liftsByArea.length > 0) && (
+        <Section title="Open by Area">
+          <AreaTable trailsByArea={trailsByArea} liftsByArea={liftsByArea} />
+        </Section>
+      )}
+
+      <Section title="Labor per Open Trail and Lift This Season">
+        {laborTrend.length === 0 ? (
+          <p style={{ color: '#64748b', fontSize: '0.875rem' }}>
+            Not enough history yet. A data point is added each day a snapshot is captured.
+          </p>
+        ) : (
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={laborTrend}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis
+                dataKey="date"
+                stroke="#64748b"
+                style={{ fontSize: '0.75rem' }}
+                tickFormatter={(value) => formatDateForDisplay(value)}
+              />
+              <YAxis stroke="#64748b" style={{ fontSize: '0.75rem' }} tickFormatter={(value) => `$${value}`} />
+              <Tooltip
+                formatter={(value) => formatCurrencyForDisplay(value)}
+                labelFormatter={(value) => formatDateForDisplay(value, 'medium')}
+                contentStyle={tooltipStyle}
+              />
+              <Legend />
+              <Line type="monotone" dataKey="laborPerOpenTrail" name="Per Open Trail" stroke="#3b82f6" strokeWidth={2} dot={false} connectNulls />
+              <Line type="monotone" dataKey="laborPerOpenLift" name="Per Open Lift" stroke="#f59e0b" strokeWidth={2} dot={false} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </Section>
+    </div>
+  );
+};
+
+export default MountainOperations;
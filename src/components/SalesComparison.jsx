@@ -11,6 +11,16 @@ import {
   Cell,
 } from 'recharts';
 import { formatCurrencyForDisplay, formatPercentForDisplay, formatNumberForDisplay } from '../utils/dataTransformers';
+import DataQualityPanel from './DataQualityPanel';
+import CardStatus from './CardStatus';
+import ExportMenu from './ExportMenu';
+import TicketSalesBreakdown from './TicketSalesBreakdown';
+
+// "FY26 (This Season)" - same label format for ticket sales and season pass sales
+const formatSeasonLabel = (season, fallback) => {
+  if (!season?.period) return fallback;
+  return season.seasonLabel ? `${season.period} (${season.seasonLabel})` : season.period;
+};
 
 // Helper component to render a comparison section
 const ComparisonSection = ({ title, salesData }) => {
@@ -119,7 +129,7 @@ const ComparisonSection = ({ title, salesData }) => {
             }}>
               <div>
                 <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.25rem' }}>
-                  {currentSeason?.period || 'Current'}
+                  {formatSeasonLabel(currentSeason, 'Current')}
                 </div>
                 <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: '#1e293b' }}>
                   {formatCurrencyForDisplay(currentSeason?.revenue || 0)}
@@ -127,7 +137,7 @@ const ComparisonSection = ({ title, salesData }) => {
               </div>
               <div>
                 <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.25rem' }}>
-                  {lastSeason?.period || 'Previous'}
+                  {formatSeasonLabel(lastSeason, 'Previous')}
                 </div>
                 <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: '#1e293b' }}>
                   {formatCurrencyForDisplay(lastSeason?.revenue || 0)}
@@ -244,7 +254,7 @@ const ComparisonSection = ({ title, salesData }) => {
             }}>
               <div>
                 <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.25rem' }}>
-                  {currentSeason?.period || 'Current'}
+                  {formatSeasonLabel(currentSeason, 'Current')}
                 </div>
                 <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: '#1e293b' }}>
                   {formatNumberForDisplay(currentSeason?.quantity || 0)}
@@ -252,7 +262,7 @@ const ComparisonSection = ({ title, salesData }) => {
               </div>
               <div>
                 <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.25rem' }}>
-                  {lastSeason?.period || 'Previous'}
+                  {formatSeasonLabel(lastSeason, 'Previous')}
                 </div>
                 <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: '#1e293b' }}>
                   {formatNumberForDisplay(lastSeason?.quantity || 0)}
@@ -323,12 +333,14 @@ const ComparisonSection = ({ title, salesData }) => {
     );
 };
 
-const SalesComparison = ({ data }) => {
+const SalesComparison = ({ data, quality, status, onRetry, onExport }) => {
   if (!data) {
     return (
       <div className="dashboard-card">
         <h2>Sales Comparison</h2>
+        <CardStatus status={status} onRetry={onRetry} />
         <p>No data available</p>
+        <DataQualityPanel reports={quality} />
       </div>
     );
   }
@@ -337,11 +349,19 @@ const SalesComparison = ({ data }) => {
 
   return (
     <div className="dashboard-card">
-      <h2>Sales Comparison</h2>
+      <h2>
+        Sales Comparison
+        {onExport && <ExportMenu onExport={onExport} />}
+      </h2>
+      <CardStatus status={status} onRetry={onRetry} />
+      <DataQualityPanel reports={quality} />
       
       {/* Ticket Sales Section */}
       {ticketSales && (
-        <ComparisonSection title="Ticket Sales" salesData={ticketSales} />
+        <>
+          <ComparisonSection title="Ticket Sales" salesData={ticketSales} />
+          <TicketSalesBreakdown ticketSales={ticketSales} />
+        </>
       )}
 
       {/* Season Pass Sales Section */}
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+
+// Missing values (null/undefined) always sort to the bottom, whichever the direction
+const compareValues = (a, b) => {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  if (typeof a === 'string' || typeof b === 'string') return String(a).localeCompare(String(b));
+  return a - b;
+};
+
+/**
+ * Table whose rows can be sorted by clicking a column header (click again to reverse)
+ * @param {Array<Object>} columns - { key, label, format?: value => display, align?: 'left'|'right' }
+ * @param {Array<Object>} rows - Row objects keyed by column key
+ * @param {string} rowKey - Field that identifies a row
+ * @param {Object} defaultSort - { key, direction: 'asc'|'desc' }
+ */
+const SortableTable = ({ columns, rows, rowKey, defaultSort = null }) => {
+  const [sort, setSort] = useState(defaultSort);
+
+  const sortedRows = sort
+    ? [...rows].sort((a, b) => {
+      const aValue = a[sort.key];
+      const bValue = b[sort.key];
+      // Keep missing values last rather than flipping them to the top on descending sorts
+      if (aValue === null || aValue === undefined || bValue === null || bValue === undefined) {
+        return compareValues(aValue, bValue);
+      }
+      return sort.direction === 'asc' ? compareValues(aValue, bValue) : compareValues(bValue, aValue);
+    })
+    : rows;
+
+  const handleSort = (key) => {
+    setSort(current => (current?.key === key
+      ? { key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+      // Text columns start A-Z, number columns start largest first
+      : { key, direction: typeof rows[0]?.[key] === 'string' ? 'asc' : 'desc' }));
+  };
+
+  return (
+    <div className="sortable-table-wrapper">
+      <table className="sortable-table">
+        <thead>
+          <tr>
+            {columns.map((column) => {
+              const active = sort?.key === column.key;
+              return (
+                <th
+                  key={column.key}
+                  style={{ textAlign: column.align || 'left' }}
+                  aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button type="button" className="sortable-table-header" onClick={() => handleSort(column.key)}>
+                    {column.label}
+                    <span className="sortable-table-arrow">
+                      {active ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}
+                    </span>
+                  </button>
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedRows.map(row => (
+            <tr key={row[rowKey]}>
+              {columns.map(column => (
+                <td key={column.key} style={{ textAlign: column.align || 'left' }}>
+                  {column.format ? column.format(row[column.key], row) : row[column.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SortableTable;
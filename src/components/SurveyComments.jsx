@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { formatDateForDisplay } from '../utils/dataTransformers';
+import { NPS_BANDS } from '../utils/npsScore';
+
+const PAGE_SIZE = 5;
+
+const BAND_FILTERS = [{ key: 'all', label: 'All' }, ...NPS_BANDS];
+
+const matchesQuery = (comment, query) => {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  return comment.text.toLowerCase().includes(needle)
+    || (comment.touchpoint || '').toLowerCase().includes(needle);
+};
+
+/**
+ * Recent survey comments, searchable and filterable by score band, a page at a time
+ * @param {Array<Object>} comments - From transformNPS ({ id, date, score, band, touchpoint, text }), newest first
+ */
+const SurveyComments = ({ comments }) => {
+  const [query, setQuery] = useState('');
+  const [band, setBand] = useState('all');
+  const [page, setPage] = useState(0);
+
+  const filtered = comments.filter(comment => (band === 'all' || comment.band === band) && matchesQuery(comment, query.trim()));
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const visible = filtered.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  // Changing the search or band starts again from the first page
+  const handleQueryChange = (event) => {
+    setQuery(event.target.value);
+    setPage(0);
+  };
+  const handleBandChange = (key) => {
+    setBand(key);
+    setPage(0);
+  };
+
+  return (
+    <div className="survey-comments">
+      <div className="survey-comments-controls">
+        <input
+          type="search"
+          className="survey-comments-search"
+          placeholder="Search comments"
+          aria-label="Search comments"
+          value={query}
+          onChange={handleQueryChange}
+        />
+        <div className="breakdown-tabs" role="tablist" style={{ marginBottom: 0 }}>
+          {BAND_FILTERS.map(filter => (
+            <button
+              key={filter.key}
+              type="button"
+              role="tab"
+              aria-selected={band === filter.key}
+              className={`breakdown-tab${band === filter.key ? ' breakdown-tab-active' : ''}`}
+              onClick={() => handleBandChange(filter.key)}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <p style={{ color: '#64748b', fontSize: '0.875rem' }}>No comments match.</p>
+      ) : (
+        <ul className="survey-comments-list">
+          {visible.map((comment) => {
+            const color = NPS_BANDS.find(item => item.key === comment.band)?.color || '#94a3b8';
+            return (
+              <li key={comment.id} className="survey-comment">
+                <div className="survey-comment-meta">
+                  <span className="survey-comment-score" style={{ backgroundColor: color }}>
+                    {comment.score ?? '–'}
+                  </span>
+                  {comment.touchpoint && <span>{comment.touchpoint}</span>}
+                  {comment.date && <span>{formatDateForDisplay(comment.date, 'medium')}</span>}
+                </div>
+                <p className="survey-comment-text">{comment.text}</p>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="survey-comments-pager">
+        <button
+          type="button"
+          className="card-retry-button"
+          onClick={() => setPage(currentPage - 1)}
+          disabled={currentPage === 0}
+        >
+          Previous
+        </button>
+        <span>
+          Page {currentPage + 1} of {pageCount} ({filtered.length} {filtered.length === 1 ? 'comment' : 'comments'})
+        </span>
+        <button
+          type="button"
+          className="card-retry-button"
+          onClick={() => setPage(currentPage + 1)}
+          disabled={currentPage >= pageCount - 1}
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SurveyComments;
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import {
+  formatCurrencyForDisplay,
+  formatDateForDisplay,
+  formatNumberForDisplay,
+  formatPercentForDisplay,
+} from '../utils/dataTransformers';
+import SortableTable from './SortableTable';
+
+const STACK_COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#8b5cf6', '#ef4444', '#64748b'];
+
+const tooltipStyle = {
+  backgroundColor: 'white',
+  border: '1px solid #e2e8f0',
+  borderRadius: '0.5rem',
+};
+
+// View -> rows, what the bars are stacked by, and the first column
+const VIEWS = {
+  product: { label: 'By Product', rows: 'byProduct', stackBy: 'channels', column: 'Product' },
+  channel: { label: 'By Channel', rows: 'byChannel', stackBy: 'products', column: 'Channel' },
+  day: { label: 'By Day', rows: 'byDay', stackBy: 'channels', column: 'Date' },
+};
+
+const formatCompactCurrency = (value) => {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(0)}k`;
+  return `$${value}`;
+};
+
+const formatYield = value => (value === null || value === undefined ? '—' : formatCurrencyForDisplay(value));
+
+const formatChange = value => (value === null || value === undefined ? '—' : formatPercentForDisplay(value));
+
+const changeColor = value => (value === null || value === undefined ? '#64748b' : value >= 0 ? '#10b981' : '#ef4444');
+
+// Yield per ticket this season against last season
+const YieldSummary = ({ currentSeason, lastSeason, yieldComparison }) => {
+  const percentChange = yieldComparison?.percentChange ?? null;
+  return (
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+      gap: '1rem',
+      padding: '1rem',
+      marginBottom: '1.5rem',
+      backgroundColor: '#f8fafc',
+      borderRadius: '0.5rem',
+      border: '1px solid #e2e8f0',
+    }}>
+      <div>
+        <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.25rem' }}>
+          Yield per Ticket ({currentSeason?.period || 'Current'})
+        </div>
+        <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: '#1e293b' }}>
+          {formatYield(currentSeason?.yieldPerTicket)}
+        </div>
+      </div>
+      <div>
+        <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.25rem' }}>
+          Yield per Ticket ({lastSeason?.period || 'Previous'})
+        </div>
+        <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: '#1e293b' }}>
+          {formatYield(lastSeason?.yieldPerTicket)}
+        </div>
+      </div>
+      <div>
+        <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.25rem' }}>
+          Yield Change
+        </div>
+        <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: changeColor(percentChange) }}>
+          {formatChange(percentChange)}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Revenue per row, stacked by channel (or product); one plain bar when the rows don't carry that field
+const StackedRevenueChart = ({ rows, stackBy, names, nameKey, formatName }) => {
+  const chartData = rows.map(row => ({ name: row[nameKey], revenue: row.revenue, ...row[stackBy] }));
+  return (
+    <ResponsiveContainer width="100%" height={250}>
+      <BarChart data={chartData}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+        <XAxis dataKey="name" stroke="#64748b" style={{ fontSize: '0.75rem' }} tickFormatter={formatName} />
+        <YAxis stroke="#64748b" style={{ fontSize: '0.75rem' }} tickFormatter={formatCompactCurrency} />
+        <Tooltip
+          formatter={(value) => formatCurrencyForDisplay(value)}
+          labelFormatter={formatName}
+          contentStyle={tooltipStyle}
+        />
+        <Legend />
+        {names.length === 0 && <Bar dataKey="revenue" name="Revenue" fill={STACK_COLORS[0]} />}
+        {names.map((name, index) => (
+          <Bar key={name} dataKey={name} stackId="revenue" fill={STACK_COLORS[index % STACK_COLORS.length]} />
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+/**
+ * Ticket sales by product, channel and day, with yield per ticket against last season
+ * @param {Object} ticketSales - From transformTicketSales
+ */
+const TicketSalesBreakdown = ({ ticketSales }) => {
+  const [view, setView] = useState('product');
+  const { breakdown } = ticketSales;
+  const hasYield = ticketSales.currentSeason?.yieldPerTicket !== undefined;
+
+  if (!breakdown) {
+    return hasYield ? <YieldSummary {...ticketSales} /> : null;
+  }
+
+  const { rows: rowsKey, stackBy, column } = VIEWS[view];
+  const rows = breakdown[rowsKey] || [];
+  const nameKey = view === 'day' ? 'date' : 'name';
+  const formatName = view === 'day' ? value => formatDateForDisplay(value) : value => value;
+
+  const columns = [
+    { key: nameKey, label: column, format: formatName },
+    { key: 'revenue', label: 'Revenue', align: 'right', format: formatCurrencyForDisplay },
+    { key: 'quantity', label: 'Tickets', align: 'right', format: value => formatNumberForDisplay(value) },
+    { key: 'yieldPerTicket', label: 'Yield', align: 'right', format: formatYield },
+    { key: 'lastYieldPerTicket', label: 'Last Season Yield', align: 'right', format: formatYield },
+    {
+      key: 'yieldChange',
+      label: 'Yield Change',
+      align: 'right',
+      format: value => <span style={{ color: changeColor(value), fontWeight: 600 }}>{formatChange(value)}</span>,
+    },
+    {
+      key: 'revenueChange',
+      label: 'Revenue Change',
+      align: 'right',
+      format: value => <span style={{ color: changeColor(value), fontWeight: 600 }}>{formatChange(value)}</span>,
+    },
+  ];
+
+  return (
+    <div style={{ marginBottom: '2.5rem' }}>
+      <YieldSummary {...ticketSales} />
+
+      <div className="breakdown-tabs" role="tablist">
+        {Object.entries(VIEWS).map(([key, { label }]) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            aria-selected={view === key}
+            className={`breakdown-tab${view === key ? ' breakdown-tab-active' : ''}`}
+            onClick={() => setView(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {rows.length === 0 ? (
+        <p style={{ color: '#64748b', fontSize: '0.875rem' }}>
+          The ticket sales webhook doesn't send a {column.toLowerCase()} breakdown.
+        </p>
+      ) : (
+        <>
+          <StackedRevenueChart
+            rows={rows}
+            stackBy={stackBy}
+            names={breakdown[stackBy] || []}
+            nameKey={nameKey}
+            formatName={formatName}
+          />
+          {view === 'day' && (
+            <p style={{ color: '#64748b', fontSize: '0.75rem', margin: '0.5rem 0' }}>
+              Each day is compared with the same weekday last season.
+            </p>
+          )}
+          <SortableTable
+            key={view}
+            columns={columns}
+            rows={rows}
+            rowKey={nameKey}
+            defaultSort={view === 'day' ? { key: 'date', direction: 'desc' } : { key: 'revenue', direction: 'desc' }}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TicketSalesBreakdown;
@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { fetchTrends } from '../services/api';
+import {
+  formatCurrencyForDisplay,
+  formatDateForDisplay,
+  formatNumberForDisplay,
+} from '../utils/dataTransformers';
+
+const RANGE_OPTIONS = [30, 60, 90];
+const DIVISION_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#64748b'];
+
+const tooltipStyle = {
+  backgroundColor: 'white',
+  border: '1px solid #e2e8f0',
+  borderRadius: '0.5rem',
+};
+
+const formatCurrencyTick = (value) => {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(0)}k`;
+  return `$${value}`;
+};
+
+// Helper component for a titled chart block
+const TrendSection = ({ title, empty, children }) => (
+  <div style={{ marginBottom: '2rem' }}>
+    <h3 style={{
+      fontSize: '1.1rem',
+      fontWeight: '600',
+      color: '#475569',
+      marginBottom: '0.75rem',
+    }}>
+      {title}
+    </h3>
+    {empty ? (
+      <p style={{ color: '#64748b', fontSize: '0.875rem' }}>
+        Not enough history yet. A data point is added each day a snapshot is captured.
+      </p>
+    ) : children}
+  </div>
+);
+
+const TrendCharts = ({ asOf }) => {
+  const [days, setDays] = useState(30);
+  const [showLastYear, setShowLastYear] = useState(false);
+  const [trends, setTrends] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // Cancel the request if the range changes or the card unmounts before it finishes
+    const controller = new AbortController();
+    fetchTrends({ days, to: asOf || undefined, signal: controller.signal })
+      .then((result) => {
+        setTrends(result);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!controller.signal.aborted) setError(err.message);
+      });
+    return () => {
+      controller.abort();
+    };
+  }, [days, asOf]);
+
+  if (error) {
+    return (
+      <div className="dashboard-card">
+        <h2>Trends</h2>
+        <p>{error}</p>
+      </div>
+    );
+  }
+
+  if (!trends) {
+    return (
+      <div className="dashboard-card">
+        <h2>Trends</h2>
+        <p>No data available</p>
+      </div>
+    );
+  }
+
+  const { nps, seasonRevenue, laborPercent, divisions } = trends;
+
+  // Flatten labor rows into one key per division (and per division last year) for Recharts
+  const laborChartData = laborPercent.map((row) => {
+    const point = { date: row.date };
+    divisions.forEach((name) => {
+      point[name] = row.byDivision[name] ?? null;
+      point[`${name} (LY)`] = row.lastYear[name] ?? null;
+    });
+    return point;
+  });
+
+  return (
+    <div className="dashboard-card">
+      <h2>Trends</h2>
+
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '1rem',
+        marginBottom: '1.5rem',
+      }}>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          {RANGE_OPTIONS.map((option) => (
+            <button
+              key={option}
+              onClick={() => setDays(option)}
+              style={{
+                padding: '0.25rem 0.75rem',
+                borderRadius: '0.5rem',
+                border: '1px solid #cbd5e1',
+                fontSize: '0.875rem',
+                cursor: 'pointer',
+                backgroundColor: days === option ? '#3b82f6' : 'white',
+                color: days === option ? 'white' : '#475569',
+              }}
+            >
+              {option} days
+            </button>
+          ))}
+        </div>
+        <label style={{ fontSize: '0.875rem', color: '#475569', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <input
+            type="checkbox"
+            checked={showLastYear}
+            onChange={(e) => setShowLastYear(e.target.checked)}
+          />
+          Overlay same day of season last year
+        </label>
+      </div>
+
+      {/* Daily NPS vs compset */}
+      <TrendSection title="Daily NPS vs Competitive Set" empty={nps.length === 0}>
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={nps}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis
+              dataKey="date"
+              stroke="#64748b"
+              style={{ fontSize: '0.75rem' }}
+              tickFormatter={(value) => formatDateForDisplay(value)}
+            />
+            <YAxis stroke="#64748b" style={{ fontSize: '0.75rem' }} domain={[0, 100]} />
+            <Tooltip
+              formatter={(value) => formatNumberForDisplay(value, 1)}
+              labelFormatter={(value) => formatDateForDisplay(value, 'medium')}
+              contentStyle={tooltipStyle}
+            />
+            <Legend />
+            <Line type="monotone" dataKey="score" name="NPS Score" stroke="#3b82f6" strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="compset" name="Competitive Set" stroke="#94a3b8" strokeWidth={2} dot={false} />
+            {showLastYear && (
+              <Line type="monotone" dataKey="lastYearScore" name="NPS Score (LY)" stroke="#3b82f6" strokeDasharray="5 5" dot={false} />
+            )}
+            {showLastYear && (
+              <Line type="monotone" dataKey="lastYearCompset" name="Competitive Set (LY)" stroke="#94a3b8" strokeDasharray="5 5" dot={false} />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      </TrendSection>
+
+      {/* Cumulative revenue by day of season */}
+      <TrendSection title="Cumulative Revenue by Day of Season" empty={seasonRevenue.length === 0}>
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={seasonRevenue}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis
+              dataKey="dayOfSeason"
+              stroke="#64748b"
+              style={{ fontSize: '0.75rem' }}
+              label={{ value: 'Day of Season', position: 'insideBottom', offset: -5, fill: '#64748b', fontSize: '0.75rem' }}
+            />
+            <YAxis stroke="#64748b" style={{ fontSize: '0.75rem' }} tickFormatter={formatCurrencyTick} />
+            <Tooltip
+              formatter={(value) => formatCurrencyForDisplay(value)}
+              labelFormatter={(value) => `Day ${value}`}
+              contentStyle={tooltipStyle}
+            />
+            <Legend verticalAlign="top" />
+            <Line type="monotone" dataKey="ticketRevenue" name="Ticket Sales" stroke="#3b82f6" strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="seasonPassRevenue" name="Season Pass Sales" stroke="#10b981" strokeWidth={2} dot={false} />
+            {showLastYear && (
+              <Line type="monotone" dataKey="lastYearTicketRevenue" name="Ticket Sales (LY)" stroke="#3b82f6" strokeDasharray="5 5" dot={false} />
+            )}
+            {showLastYear && (
+              <Line type="monotone" dataKey="lastYearSeasonPassRevenue" name="Season Pass Sales (LY)" stroke="#10b981" strokeDasharray="5 5" dot={false} />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      </TrendSection>
+
+      {/* Labor % of revenue by division */}
+      <TrendSection title="Labor % of Revenue by Division" empty={laborChartData.length === 0}>
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={laborChartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis
+              dataKey="date"
+              stroke="#64748b"
+              style={{ fontSize: '0.75rem' }}
+              tickFormatter={(value) => formatDateForDisplay(value)}
+            />
+            <YAxis stroke="#64748b" style={{ fontSize: '0.75rem' }} tickFormatter={(value) => `${value}%`} />
+            <Tooltip
+              formatter={(value) => `${formatNumberForDisplay(value, 1)}%`}
+              labelFormatter={(value) => formatDateForDisplay(value, 'medium')}
+              contentStyle={tooltipStyle}
+            />
+            <Legend />
+            {divisions.map((name, index) => (
+              <Line
+                key={name}
+                type="monotone"
+                dataKey={name}
+                stroke={DIVISION_COLORS[index % DIVISION_COLORS.length]}
+                strokeWidth={2}
+                dot={false}
+              />
+            ))}
+            {showLastYear && divisions.map((name, index) => (
+              <Line
+                key={`${name}-ly`}
+                type="monotone"
+                dataKey={`${name} (LY)`}
+                stroke={DIVISION_COLORS[index % DIVISION_COLORS.length]}
+                strokeDasharray="5 5"
+                dot={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </TrendSection>
+    </div>
+  );
+};
+
+export default TrendCharts;
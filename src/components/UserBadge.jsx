@@ -0,0 +1,30 @@
+import React from 'react';
+import '../styles/Dashboard.css';
+
+// Initials for the avatar circle, e.g. "Gina Moreno" -> "GM"
+const getInitials = (name) => String(name || '?')
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('');
+
+// Signed-in user and a logout button, shown in the header when the server has auth enabled
+const UserBadge = ({ user }) => {
+  if (!user) return null;
+
+  return (
+    <div className="user-badge">
+      <span className="user-badge-avatar" aria-hidden="true">{getInitials(user.name)}</span>
+      <span className="user-badge-name" title={user.email || undefined}>
+        {user.name}
+        {user.via === 'token' && <span className="user-badge-kiosk"> · Kiosk</span>}
+      </span>
+      <form className="logout-form" method="post" action="/auth/logout">
+        <button type="submit" className="logout-button">Log out</button>
+      </form>
+    </div>
+  );
+};
+
+export default UserBadge;
@@ -0,0 +1,22 @@
+/**
+ * Dashboard Cards
+ *
+ * The KPI cards and the webhooks behind each one. Role rules in the server config
+ * (see server/access.js) grant cards by these names, and the server only serves a
+ * webhook to users who can see a card that uses it.
+ *
+ * Shared by the client and server.js, so it must not depend on Vite or the browser.
+ */
+
+// Card name -> webhooks (see dataRoutes.js) its data comes from
+export const CARD_WEBHOOKS = {
+  SalesComparison: ['TICKET_SALES', 'SEASON_PASS_SALES'],
+  LaborExpenses: ['LABOR', 'TRAILS_LIFTS', 'LABOR_BUDGET', 'LODGING'],
+  GuestSatisfaction: ['NPS'],
+  MountainOperations: ['TRAILS_LIFTS'],
+};
+
+export const CARD_NAMES = Object.keys(CARD_WEBHOOKS);
+
+// Webhooks that report nothing but revenue, withheld from roles without revenue access
+export const REVENUE_WEBHOOKS = ['TICKET_SALES', 'SEASON_PASS_SALES'];
@@ -0,0 +1,41 @@
+/**
+ * Data Routes
+ *
+ * Named routes server.js exposes for each n8n webhook. The browser only ever calls
+ * /api/data/<route>; which webhook a route maps to is decided on the server
+ * (see server/runtimeConfig.js), so webhook IDs never reach the client.
+ *
+ * Shared by the client and server.js, so it must not depend on Vite or the browser.
+ */
+
+export const DATA_ROUTE_PREFIX = '/api/data';
+
+// Webhook name -> route under DATA_ROUTE_PREFIX
+export const DATA_ROUTES = {
+  TICKET_SALES: 'ticket-sales',
+  SEASON_PASS_SALES: 'season-pass-sales',
+  LABOR: 'labor',
+  NPS: 'nps',
+  TRAILS_LIFTS: 'trails-lifts',
+  LABOR_BUDGET: 'labor-budget',
+  LODGING: 'lodging',
+};
+
+/**
+ * Path of the named route for a webhook
+ * @param {string} name - Webhook name (e.g. LABOR)
+ * @returns {string} Route path (e.g. /api/data/labor)
+ */
+export const getDataRoutePath = (name) => `${DATA_ROUTE_PREFIX}/${DATA_ROUTES[name]}`;
+
+/**
+ * Find the webhook a route path belongs to
+ * @param {string} pathname - Request path without query (e.g. /api/data/labor)
+ * @returns {string|null} Webhook name, or null if the path isn't a known route
+ */
+export const findDataRoute = (pathname) => {
+  const route = pathname.startsWith(`${DATA_ROUTE_PREFIX}/`)
+    ? pathname.slice(DATA_ROUTE_PREFIX.length + 1)
+    : null;
+  return Object.keys(DATA_ROUTES).find(name => DATA_ROUTES[name] === route) || null;
+};
@@ -1,48 +1,53 @@
-// Validate that all required environment variables are set
-const validateEndpoint = (name, value) => {
-  if (!value || value === 'undefined') {
-    console.error(`Missing required environment variable: ${name}`);
-    throw new Error(`Missing required environment variable: ${name}. Please check your .env file.`);
-  }
-  return value;
-};
+/**
+ * Webhook Endpoints
+ *
+ * Webhook URLs are runtime configuration, not build-time VITE_ variables: server.js lists
+ * which webhooks are configured at /api/config (see server/runtimeConfig.js), and api.js
+ * loads that document when the dashboard starts. Each endpoint is a named data route
+ * (/api/data/labor, see dataRoutes.js); the n8n host and webhook IDs stay on the server.
+ */
+import { DATA_ROUTES, DATA_ROUTE_PREFIX } from './dataRoutes';
+import { CARD_NAMES } from './cards';
 
-// Convert full n8n URLs to proxy paths to avoid CORS issues
-// The proxy is handled by server.js in production and vite.config.js in development
-const convertToProxyPath = (url) => {
-  // Use proxy paths for n8n URLs in both development and production
-  // This avoids CORS issues since requests go through the same origin
-  if (url && url.includes('n8n-v2.mcp.hyperplane.dev')) {
-    // Extract the path from the full URL and convert to proxy path
-    const urlObj = new URL(url);
-    return `/api/n8n${urlObj.pathname}${urlObj.search}`;
-  }
-  // Return the URL as-is if it's not an n8n URL
-  return url;
-};
+// Webhooks the dashboard knows about (keys of /api/config "endpoints")
+export const ENDPOINT_NAMES = Object.keys(DATA_ROUTES);
 
-const ticketSalesEndpoint = validateEndpoint('VITE_N8N_TICKET_SALES_ENDPOINT', import.meta.env.VITE_N8N_TICKET_SALES_ENDPOINT);
-const seasonPassSalesEndpoint = validateEndpoint('VITE_N8N_SEASON_PASS_SALES_ENDPOINT', import.meta.env.VITE_N8N_SEASON_PASS_SALES_ENDPOINT);
-const laborEndpoint = validateEndpoint('VITE_N8N_LABOR_ENDPOINT', import.meta.env.VITE_N8N_LABOR_ENDPOINT);
-const npsEndpoint = validateEndpoint('VITE_N8N_NPS_ENDPOINT', import.meta.env.VITE_N8N_NPS_ENDPOINT);
-const trailsLiftsEndpoint = validateEndpoint('VITE_N8N_TRAILS_LIFTS_ENDPOINT', import.meta.env.VITE_N8N_TRAILS_LIFTS_ENDPOINT);
+/**
+ * Read the webhook endpoints from the /api/config document
+ * A missing or malformed endpoint becomes null, which disables only the cards that use it.
+ * @param {Object} config - /api/config response body
+ * @returns {Object} Map of endpoint name to data route path (or null)
+ */
+export const resolveEndpoints = (config) => {
+  const endpoints = {};
+  ENDPOINT_NAMES.forEach((name) => {
+    const value = config?.endpoints?.[name];
+    endpoints[name] = typeof value === 'string' && value.startsWith(`${DATA_ROUTE_PREFIX}/`) ? value : null;
+  });
 
-export const API_ENDPOINTS = {
-  TICKET_SALES: convertToProxyPath(ticketSalesEndpoint),
-  SEASON_PASS_SALES: convertToProxyPath(seasonPassSalesEndpoint),
-  LABOR: convertToProxyPath(laborEndpoint),
-  NPS: convertToProxyPath(npsEndpoint),
-  TRAILS_LIFTS: convertToProxyPath(trailsLiftsEndpoint),
+  // Log endpoints in development (without exposing full URLs)
+  if (import.meta.env.DEV) {
+    console.log('API Endpoints configured:', Object.fromEntries(
+      ENDPOINT_NAMES.map(name => [name, endpoints[name] ? '✓ Set' : '✗ Missing'])
+    ));
+  }
+
+  return endpoints;
 };
 
-// Log endpoints in development (without exposing full URLs)
-if (import.meta.env.DEV) {
-  console.log('API Endpoints configured:', {
-    TICKET_SALES: API_ENDPOINTS.TICKET_SALES ? '✓ Set' : '✗ Missing',
-    SEASON_PASS_SALES: API_ENDPOINTS.SEASON_PASS_SALES ? '✓ Set' : '✗ Missing',
-    LABOR: API_ENDPOINTS.LABOR ? '✓ Set' : '✗ Missing',
-    NPS: API_ENDPOINTS.NPS ? '✓ Set' : '✗ Missing',
-    TRAILS_LIFTS: API_ENDPOINTS.TRAILS_LIFTS ? '✓ Set' : '✗ Missing',
-  });
-  console.log('Using proxy paths in development to avoid CORS issues');
-}
+/**
+ * Read the user's access from the /api/config document
+ * Servers without role rules send no "access", which means every card is visible.
+ * @param {Object} config - /api/config response body
+ * @returns {Object} { cards, divisions (null = all), revenue, roles, budgetUpload }
+ */
+export const resolveAccess = (config) => {
+  const access = config?.access;
+  return {
+    cards: Array.isArray(access?.cards) ? access.cards.filter(card => CARD_NAMES.includes(card)) : CARD_NAMES,
+    divisions: Array.isArray(access?.divisions) ? access.divisions : null,
+    revenue: access?.revenue !== false,
+    roles: Array.isArray(access?.roles) ? access.roles : [],
+    budgetUpload: access?.budgetUpload !== false,
+  };
+};
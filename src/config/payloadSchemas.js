@@ -0,0 +1,122 @@
+/**
+ * Payload Schemas
+ *
+ * Declarative description of each raw n8n webhook payload, checked by
+ * src/utils/dataQuality.js before transformation.
+ *
+ * Schema keys:
+ * - label: Display name used in diagnostics
+ * - shape: 'array' (rows) or 'object' (single record; a one-row array is also accepted)
+ * - fields: [{ name, aliases, type, required }]
+ *   type is 'number', 'string', 'numeric' (number or numeric string), 'date' or 'array'
+ * - requiredValues: { field, values } rows that must be present (e.g. "This Season")
+ * - fiscalYearField: field holding fiscal year labels checked against the fiscal calendar
+ *
+ * Shared by the client and server.js, so it must not depend on Vite or the browser.
+ */
+
+export const PAYLOAD_SCHEMAS = {
+  TICKET_SALES: {
+    label: 'Ticket Sales',
+    shape: 'array',
+    fields: [
+      { name: 'fiscal_year', type: 'string', required: true },
+      { name: 'total_paid_no_tax', type: 'number', required: true },
+      { name: 'quantity_total', type: 'number', required: true },
+      // Breakdown rows (see transformTicketSales); rows without these are the season totals
+      { name: 'product', type: 'string', required: false },
+      { name: 'channel', type: 'string', required: false },
+      { name: 'sale_date', type: 'date', required: false },
+    ],
+    requiredValues: { field: 'fiscal_year', values: ['This Season', 'Last Season'] },
+  },
+  SEASON_PASS_SALES: {
+    label: 'Season Pass Sales',
+    shape: 'array',
+    fields: [
+      { name: 'Fiscal_Year', type: 'string', required: true },
+      { name: 'Amount', type: 'number', required: true },
+      { name: 'Quantity', type: 'number', required: true },
+    ],
+    fiscalYearField: 'Fiscal_Year',
+  },
+  LABOR: {
+    label: 'Labor',
+    shape: 'array',
+    fields: [
+      { name: 'division', aliases: ['divisionName'], type: 'string', required: true },
+      { name: 'totalLabor', type: 'number', required: true },
+      { name: 'totalHours', type: 'number', required: false },
+      { name: 'revenue', type: 'number', required: false },
+    ],
+  },
+  NPS: {
+    label: 'Guest Satisfaction (NPS)',
+    shape: 'object',
+    fields: [
+      { name: 'yesterday_score', type: 'numeric', required: true },
+      { name: 'yesterday_compset', type: 'numeric', required: true },
+      { name: 'last_year_yesterday_score', type: 'numeric', required: true },
+      { name: 'last_year_yesterday_compset', type: 'numeric', required: true },
+      { name: 'score_difference', type: 'numeric', required: false },
+      { name: 'percent_change', type: 'numeric', required: false },
+      { name: 'yesterday_date', type: 'date', required: false },
+      { name: 'last_year_yesterday_date', type: 'date', required: false },
+      // Yesterday's response counts and the breakdowns behind them (see transformNPS)
+      { name: 'promoters', type: 'numeric', required: false },
+      { name: 'passives', type: 'numeric', required: false },
+      { name: 'detractors', type: 'numeric', required: false },
+      { name: 'touchpoints', type: 'array', required: false },
+      { name: 'daily', type: 'array', required: false },
+      { name: 'comments', type: 'array', required: false },
+      // Response counts behind the other scores, for their confidence intervals
+      { name: 'last_year_promoters', type: 'numeric', required: false },
+      { name: 'last_year_passives', type: 'numeric', required: false },
+      { name: 'last_year_detractors', type: 'numeric', required: false },
+      { name: 'yesterday_responses', type: 'numeric', required: false },
+      { name: 'last_year_yesterday_responses', type: 'numeric', required: false },
+      { name: 'yesterday_compset_responses', type: 'numeric', required: false },
+      { name: 'last_year_yesterday_compset_responses', type: 'numeric', required: false },
+    ],
+  },
+  TRAILS_LIFTS: {
+    label: 'Trails & Lifts',
+    shape: 'object',
+    fields: [
+      { name: 'trailsOpen', type: 'numeric', required: true },
+      { name: 'liftsOpen', type: 'numeric', required: true },
+      { name: 'trailsTotal', type: 'numeric', required: false },
+      { name: 'liftsTotal', type: 'numeric', required: false },
+      { name: 'terrainOpenPercent', type: 'numeric', required: false },
+      { name: 'snowfall24h', type: 'numeric', required: false },
+      { name: 'snowfall7d', type: 'numeric', required: false },
+      { name: 'seasonSnowfall', type: 'numeric', required: false },
+      { name: 'baseDepth', type: 'numeric', required: false },
+      { name: 'summitDepth', type: 'numeric', required: false },
+    ],
+  },
+  // From the labor budget webhook or an uploaded budget file (see server/budgetStore.js)
+  LABOR_BUDGET: {
+    label: 'Labor Budget',
+    shape: 'array',
+    fields: [
+      { name: 'division', aliases: ['divisionName'], type: 'string', required: true },
+      { name: 'budgetLabor', type: 'number', required: true },
+      { name: 'budgetRevenue', type: 'number', required: false },
+      { name: 'budgetLaborPercent', type: 'number', required: false },
+    ],
+  },
+  // roomRevenue is withheld from roles without revenue access (see server/access.js)
+  LODGING: {
+    label: 'Lodging',
+    shape: 'object',
+    fields: [
+      { name: 'roomsAvailable', type: 'numeric', required: true },
+      { name: 'roomsOccupied', type: 'numeric', required: true },
+      { name: 'roomRevenue', type: 'numeric', required: false },
+      { name: 'lastYearRoomsAvailable', type: 'numeric', required: false },
+      { name: 'lastYearRoomsOccupied', type: 'numeric', required: false },
+      { name: 'lastYearRoomRevenue', type: 'numeric', required: false },
+    ],
+  },
+};
@@ -0,0 +1,36 @@
+import { normalizeRefreshSchedule } from '../utils/refreshSchedule';
+
+/**
+ * Auto-refresh rules per data source (keys match DATA_SOURCES in hooks/useDataSources.js)
+ * See utils/refreshSchedule.js for the rule format.
+ *
+ * Sources that n8n updates overnight refresh shortly after the workflows finish;
+ * trails and lifts change during the day and refresh on an interval.
+ * Override any source with VITE_REFRESH_SCHEDULE, e.g.
+ *   VITE_REFRESH_SCHEDULE={"trailsLifts":{"every":5},"labor":{"at":["06:30","14:00"]}}
+ */
+const DEFAULT_REFRESH_SCHEDULE = {
+  ticketSales: { at: '06:30' },
+  seasonPassSales: { at: '06:30' },
+  labor: { at: '06:30' },
+  laborBudget: { at: '06:30' },
+  lodging: { at: '06:30' },
+  satisfaction: { at: '06:30' },
+  trailsLifts: { every: 10 },
+};
+
+const loadScheduleOverrides = () => {
+  const raw = import.meta.env.VITE_REFRESH_SCHEDULE;
+  if (!raw) return {};
+  try {
+    return normalizeRefreshSchedule(JSON.parse(raw));
+  } catch (error) {
+    console.warn('Ignoring invalid VITE_REFRESH_SCHEDULE:', error.message);
+    return {};
+  }
+};
+
+export const REFRESH_SCHEDULE = {
+  ...normalizeRefreshSchedule(DEFAULT_REFRESH_SCHEDULE),
+  ...loadScheduleOverrides(),
+};
@@ -0,0 +1,36 @@
+import { useState, useCallback } from 'react';
+import { fetchAlerts, snoozeAlert } from '../services/api';
+
+/**
+ * KPI alerts from the server (see server/alertEngine.js). The server evaluates the rules as
+ * it proxies live data, so reload after each data refresh to pick up new alerts.
+ * @returns {Object} { alerts, rules, loadAlerts, snooze }
+ */
+const useAlerts = () => {
+  const [alerts, setAlerts] = useState([]);
+  const [rules, setRules] = useState([]);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const result = await fetchAlerts();
+      setAlerts(result.alerts);
+      setRules(result.rules);
+    } catch (err) {
+      console.warn('Alerts unavailable:', err.message);
+    }
+  }, []);
+
+  /**
+   * Snooze an alert (0 minutes ends the snooze) and update it in place
+   * @param {string} id - Alert id
+   * @param {number} minutes - How long to snooze
+   */
+  const snooze = useCallback(async (id, minutes) => {
+    const updated = await snoozeAlert(id, minutes);
+    setAlerts(current => current.map(alert => (alert.id === id ? updated : alert)));
+  }, []);
+
+  return { alerts, rules, loadAlerts, snooze };
+};
+
+export default useAlerts;
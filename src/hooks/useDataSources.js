@@ -0,0 +1,183 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import {
+  fetchTicketSales,
+  fetchSeasonPassSales,
+  fetchLaborExpenses,
+  fetchGuestSatisfaction,
+  fetchTrailsLifts,
+  fetchLaborBudget,
+  fetchLodging,
+  fetchHistorySnapshot,
+  getDataQualityReports,
+} from '../services/api';
+import { isCancelledRequest } from '../services/resilientClient';
+
+/**
+ * Data sources the dashboard loads, one per webhook fetcher.
+ * endpoint matches the /api/config endpoint and data-quality source name.
+ */
+export const DATA_SOURCES = {
+  ticketSales: { endpoint: 'TICKET_SALES', label: 'Ticket Sales', fetch: fetchTicketSales },
+  seasonPassSales: { endpoint: 'SEASON_PASS_SALES', label: 'Season Pass Sales', fetch: fetchSeasonPassSales },
+  labor: { endpoint: 'LABOR', label: 'Labor', fetch: fetchLaborExpenses },
+  trailsLifts: { endpoint: 'TRAILS_LIFTS', label: 'Trails & Lifts', fetch: fetchTrailsLifts },
+  laborBudget: { endpoint: 'LABOR_BUDGET', label: 'Labor Budget', fetch: fetchLaborBudget },
+  lodging: { endpoint: 'LODGING', label: 'Lodging', fetch: fetchLodging },
+  satisfaction: { endpoint: 'NPS', label: 'Guest Satisfaction (NPS)', fetch: fetchGuestSatisfaction },
+};
+
+// Sources each dashboard card is built from
+export const CARD_SOURCES = {
+  sales: ['ticketSales', 'seasonPassSales'],
+  labor: ['labor', 'trailsLifts', 'laborBudget', 'lodging'],
+  satisfaction: ['satisfaction'],
+  mountain: ['trailsLifts'],
+};
+
+const initialSourceState = { data: null, loading: false, error: null, lastSuccess: null };
+
+const createInitialState = () => Object.fromEntries(
+  Object.keys(DATA_SOURCES).map(key => [key, initialSourceState])
+);
+
+// Keep only what a card needs to describe a failure
+const describeError = (key, error) => ({
+  message: error?.message || 'Request failed',
+  status: error?.status || null,
+  endpoint: error?.endpoint || DATA_SOURCES[key]?.endpoint || key,
+  label: DATA_SOURCES[key]?.label || key,
+  notConfigured: Boolean(error?.notConfigured),
+});
+
+/**
+ * Load each data source independently, tracking loading, error and last success per source.
+ * Data from the previous load stays in place while a source refreshes or after it fails.
+ * @returns {Object} { sources, quality, loadSources, loadSnapshot, getCardState }
+ */
+const useDataSources = () => {
+  const [sources, setSources] = useState(createInitialState);
+  const [quality, setQuality] = useState({});
+  // Latest request per source, so a slow earlier response never overwrites a newer one
+  const requestIds = useRef({});
+  // In-flight request per source; a newer load for the same source cancels it
+  const controllers = useRef({});
+
+  // Replace a source's controller, aborting the request it superseded
+  const startRequest = useCallback((key) => {
+    controllers.current[key]?.abort();
+    controllers.current[key] = new AbortController();
+    return controllers.current[key].signal;
+  }, []);
+
+  useEffect(() => () => {
+    // Nothing is listening after unmount
+    Object.values(controllers.current).forEach(controller => controller.abort());
+  }, []);
+
+  const updateSource = useCallback((key, changes) => {
+    setSources(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+  }, []);
+
+  /**
+   * Fetch live data for some sources
+   * @param {string[]} keys - Source keys (see DATA_SOURCES)
+   * @param {Object} options - Date options passed to each fetcher
+   * @returns {Promise<void>} Resolves when every source has settled
+   */
+  const loadSources = useCallback((keys, options) => Promise.all(keys.map(async (key) => {
+    const requestId = (requestIds.current[key] || 0) + 1;
+    requestIds.current[key] = requestId;
+    const signal = startRequest(key);
+
+    try {
+      updateSource(key, { loading: true });
+      const data = await DATA_SOURCES[key].fetch({ ...options, signal });
+      if (requestIds.current[key] !== requestId) return;
+      updateSource(key, { data, loading: false, error: null, lastSuccess: new Date() });
+    } catch (err) {
+      if (requestIds.current[key] !== requestId || isCancelledRequest(err)) return;
+      console.error(`Error loading ${key}:`, err);
+      updateSource(key, { loading: false, error: describeError(key, err) });
+    } finally {
+      setQuality(getDataQualityReports());
+    }
+  })), [updateSource, startRequest]);
+
+  /**
+   * Load every source from a saved history snapshot
+   * @param {string} date - Snapshot date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} The snapshot, or null if it couldn't be loaded
+   */
+  const loadSnapshot = useCallback(async (date) => {
+    const keys = Object.keys(DATA_SOURCES);
+    const requestId = Date.now();
+    keys.forEach((key) => {
+      requestIds.current[key] = requestId;
+      controllers.current[key]?.abort();
+    });
+    // One request serves every source, so they share a controller
+    const controller = new AbortController();
+    keys.forEach((key) => {
+      controllers.current[key] = controller;
+    });
+
+    try {
+      keys.forEach(key => updateSource(key, { loading: true }));
+      const snapshot = await fetchHistorySnapshot(date, { signal: controller.signal });
+      if (keys.some(key => requestIds.current[key] !== requestId)) return null;
+      const capturedAt = snapshot.capturedAt ? new Date(snapshot.capturedAt) : new Date();
+      const values = {
+        ticketSales: snapshot.sales?.ticketSales || null,
+        seasonPassSales: snapshot.sales?.seasonPassSales || null,
+        labor: snapshot.labor,
+        trailsLifts: snapshot.trailsLifts,
+        laborBudget: snapshot.laborBudget,
+        lodging: snapshot.lodging,
+        satisfaction: snapshot.satisfaction,
+      };
+      setSources(Object.fromEntries(keys.map(key => [key, {
+        data: values[key] || null,
+        loading: false,
+        error: null,
+        lastSuccess: capturedAt,
+      }])));
+      setQuality(snapshot.quality || {});
+      return snapshot;
+    } catch (err) {
+      if (keys.some(key => requestIds.current[key] !== requestId) || isCancelledRequest(err)) return null;
+      console.error('Error loading history snapshot:', err);
+      keys.forEach((key) => {
+        updateSource(key, { loading: false, error: describeError(key, err) });
+      });
+      return null;
+    }
+  }, [updateSource]);
+
+  /**
+   * Combined state for a card's sources
+   * @param {string} card - Card key (see CARD_SOURCES)
+   * @returns {Object} { loading, hasData, disabled, errors, unavailable, lastSuccess }
+   */
+  const getCardState = (card) => {
+    const states = CARD_SOURCES[card].map(key => sources[key]);
+    const successTimes = states.map(state => state.lastSuccess).filter(Boolean);
+    const errors = states.map(state => state.error).filter(Boolean);
+    return {
+      loading: states.some(state => state.loading),
+      hasData: states.some(state => state.data),
+      // Every source is unconfigured on the server, so there is nothing to show or retry
+      disabled: states.every(state => state.error?.notConfigured),
+      errors: errors.filter(error => !error.notConfigured),
+      // Sources the server has no webhook for
+      unavailable: errors.filter(error => error.notConfigured).map(error => error.label),
+      // A card is only as fresh as its oldest source
+      lastSuccess: successTimes.length > 0
+        ? new Date(Math.min(...successTimes.map(time => time.getTime())))
+        : null,
+    };
+  };
+
+  return { sources, quality, loadSources, loadSnapshot, getCardState };
+};
+
+export default useDataSources;
@@ -0,0 +1,100 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getNextRefresh } from '../utils/refreshSchedule';
+
+// How often the scheduler checks the clock (and the countdown updates)
+const TICK_MS = 1000;
+
+const isPageHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+/**
+ * Refresh data sources when their schedule says they are due.
+ * Checks stop while the tab is hidden; anything that fell due in the meantime
+ * refreshes once as soon as the tab is visible again.
+ * @param {Object} params
+ * @param {Object} params.schedule - Map of source key to normalized rule (see config/refreshSchedule.js)
+ * @param {boolean} params.enabled - False to stop scheduling (e.g. when viewing a snapshot)
+ * @param {Function} params.onRefresh - Called with the keys of the sources that are due
+ * @returns {Object} { markRefreshed, next: { key, at } | null, now, paused }
+ */
+const useRefreshScheduler = ({ schedule, enabled, onRefresh }) => {
+  // Last refresh per source; the ref is read by the timer, the state drives rendering
+  const lastRunsRef = useRef({});
+  const [lastRuns, setLastRuns] = useState({});
+  const [now, setNow] = useState(() => new Date());
+  const [paused, setPaused] = useState(isPageHidden);
+  const onRefreshRef = useRef(onRefresh);
+
+  useEffect(() => {
+    onRefreshRef.current = onRefresh;
+  });
+
+  /**
+   * Record that sources were refreshed, restarting their schedule
+   * @param {string[]} keys - Source keys
+   * @param {Date} [at] - When they refreshed (defaults to now)
+   */
+  const markRefreshed = useCallback((keys, at = new Date()) => {
+    keys.forEach((key) => {
+      lastRunsRef.current[key] = at;
+    });
+    setLastRuns({ ...lastRunsRef.current });
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let timer = null;
+
+    const tick = () => {
+      const current = new Date();
+      const due = Object.keys(schedule).filter((key) => {
+        const next = getNextRefresh(schedule[key], lastRunsRef.current[key]);
+        return next && next <= current;
+      });
+      if (due.length > 0) {
+        markRefreshed(due, current);
+        onRefreshRef.current(due);
+      }
+      setNow(current);
+    };
+
+    const start = () => {
+      if (timer) return;
+      timer = setInterval(tick, TICK_MS);
+    };
+    const stop = () => {
+      clearInterval(timer);
+      timer = null;
+    };
+
+    const handleVisibilityChange = () => {
+      if (isPageHidden()) {
+        stop();
+        setPaused(true);
+      } else {
+        setPaused(false);
+        // Catch up straight away rather than waiting for the next tick
+        tick();
+        start();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    if (!isPageHidden()) start();
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      stop();
+    };
+  }, [enabled, schedule, markRefreshed]);
+
+  // Soonest upcoming refresh across all sources
+  const next = Object.keys(schedule).reduce((soonest, key) => {
+    const at = getNextRefresh(schedule[key], lastRuns[key]);
+    if (!at || (soonest && soonest.at <= at)) return soonest;
+    return { key, at };
+  }, null);
+
+  return { markRefreshed, next, now, paused };
+};
+
+export default useRefreshScheduler;
@@ -1,15 +1,25 @@
 import axios from 'axios';
-import { API_ENDPOINTS } from '../config/endpoints';
+import { resolveEndpoints, resolveAccess } from '../config/endpoints';
+import { getDataRoutePath } from '../config/dataRoutes';
 import {
   transformTicketSales,
   transformSeasonPassSales,
   transformLabor,
   transformNPS,
+  transformTrailsLifts,
+  transformLaborBudget,
+  transformLodging,
+  unwrapResponseData,
 } from '../utils/dataTransformers';
+import { normalizeBudgetThresholds } from '../utils/laborBudget';
+import { normalizeStartMonth, createFiscalOptions } from '../utils/fiscalCalendar';
+import { validatePayload, addTransformIssues, createErrorReport } from '../utils/dataQuality';
+import defaultDivisionRules from '../config/divisions.json';
+import { createResilientClient, loadRetryConfig, isCancelledRequest } from './resilientClient';
 
 /**
  * API Service Layer
- * Handles all HTTP requests to n8n workflow endpoints
+ * Handles all HTTP requests to n8n workflow endpoints (through the server's /api/data routes)
  * 
  * In development (when VITE_USE_LOCAL_DATA=true), uses local data files via localDataTransformers.
  * In production, makes HTTP requests to n8n and uses dataTransformers for transformation.
@@ -20,55 +30,210 @@ import {
 const USE_LOCAL_DATA = import.meta.env.VITE_USE_LOCAL_DATA === 'true';
 
 // Configure axios defaults for API requests
-// Note: If n8n webhooks require authentication, you can add VITE_N8N_API_KEY to .env
-// The API key will be sent as Authorization Bearer token
-const apiClient = axios.create({
+// Note: If n8n webhooks require authentication, set N8N_API_KEY on the server; it adds the key
+// to its own n8n requests, so the secret never reaches the browser bundle
+const httpClient = axios.create({
   headers: {
     'Accept': 'application/json',
     'Content-Type': 'application/json',
-    // Add API key if provided (optional - for authenticated webhooks)
-    // Uncomment and adjust the header name if n8n uses a different format:
-    // 'X-N8N-API-KEY': import.meta.env.VITE_N8N_API_KEY,
-    ...(import.meta.env.VITE_N8N_API_KEY && {
-      'Authorization': `Bearer ${import.meta.env.VITE_N8N_API_KEY}`,
-    }),
   },
   timeout: parseInt(import.meta.env.VITE_API_TIMEOUT || '90000', 10), // Default 90 seconds, configurable via env var
   // Send credentials (cookies) with requests when using proxy
   withCredentials: true,
 });
 
+// When the server's sign-in has expired, send the browser back through the login flow
+// (see server/auth.js); kiosk-only servers have no loginUrl and the card shows the error
+httpClient.interceptors.response.use(undefined, (error) => {
+  const loginUrl = error.response?.status === 401 ? error.response.data?.loginUrl : null;
+  if (loginUrl && typeof window !== 'undefined') {
+    const returnTo = window.location.pathname + window.location.search;
+    window.location.assign(`${loginUrl}?returnTo=${encodeURIComponent(returnTo)}`);
+  }
+  return Promise.reject(error);
+});
+
+// Retries failed requests (VITE_API_MAX_ATTEMPTS, VITE_API_RETRY_BASE_DELAY, VITE_API_RETRY_MAX_DELAY),
+// shares identical in-flight GETs and honors options.signal for cancellation
+const apiClient = createResilientClient(httpClient, loadRetryConfig(import.meta.env));
+
+
+/**
+ * Error thrown by the webhook fetchers
+ * Carries the HTTP status (if the request got a response) and which endpoint failed,
+ * so cards can show more than a generic message.
+ */
+export class ApiError extends Error {
+  constructor(message, { endpoint, status, url, notConfigured = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.endpoint = endpoint;
+    this.status = status;
+    this.url = url;
+    this.notConfigured = notConfigured;
+  }
+}
+
+// Runtime configuration from server.js, loaded once (see server/runtimeConfig.js)
+let configPromise = null;
+
+// Load /api/config; a failed load isn't cached, so the next request tries again
+const fetchRuntimeConfig = () => {
+  if (!configPromise) {
+    configPromise = apiClient.get('/api/config')
+      .then(response => ({
+        endpoints: resolveEndpoints(response.data),
+        access: resolveAccess(response.data),
+        budgetThresholds: normalizeBudgetThresholds(response.data?.budgetThresholds),
+        fiscalYearStartMonth: normalizeStartMonth(response.data?.fiscalYearStartMonth),
+      }))
+      .catch((error) => {
+        configPromise = null;
+        console.error('Error loading dashboard configuration:', {
+          status: error.response?.status,
+          message: error.message,
+        });
+        throw new ApiError(`Failed to load dashboard configuration: ${error.message}`, {
+          endpoint: 'CONFIG',
+          status: error.response?.status,
+          url: '/api/config',
+        });
+      });
+  }
+  return configPromise;
+};
+
+/**
+ * Load the webhook endpoints from /api/config
+ * @returns {Promise<Object>} Map of endpoint name to data route path, or null when not configured
+ */
+export const fetchEndpoints = () => fetchRuntimeConfig().then(config => config.endpoints);
+
+// Month (1-12) the fiscal year starts in: the server's FISCAL_YEAR_START_MONTH, from /api/config
+const fetchFiscalYearStartMonth = () => fetchRuntimeConfig().then(config => config.fiscalYearStartMonth);
+
+// Fiscal year options for the sales transformers, resolved once against the chosen as-of date
+const getFiscalOptions = async (options = {}) => createFiscalOptions({
+  asOf: options.asOf || options.to || undefined,
+  fiscalYearStartMonth: await fetchFiscalYearStartMonth(),
+});
+
+/**
+ * Load what the signed-in user may see from /api/config (see server/access.js)
+ * The server has already withheld hidden data; this only decides which cards to render.
+ * @returns {Promise<Object>} { cards, divisions (null = all), revenue, roles, budgetUpload }
+ */
+export const fetchAccess = async () => {
+  if (USE_LOCAL_DATA) {
+    return resolveAccess(null);
+  }
+  return (await fetchRuntimeConfig()).access;
+};
+
+// Data route for a webhook, or an ApiError flagged notConfigured when the server has none
+const getEndpointUrl = async (name) => {
+  const endpoints = await fetchEndpoints();
+  if (!endpoints[name]) {
+    throw new ApiError(`The ${name} webhook is not configured on the server`, {
+      endpoint: name,
+      notConfigured: true,
+    });
+  }
+  return endpoints[name];
+};
+
+// Latest data-quality report per webhook source (see utils/dataQuality.js)
+const dataQualityReports = {};
+
+// Latest raw payload per webhook source, kept for exports (see utils/exportData.js)
+const rawPayloads = {};
+
+// Validate a raw payload, run its transformer and record the data-quality report
+// fiscalOptions (from getFiscalOptions) is only needed for the sales sources' fiscal year check
+const validateAndTransform = (source, data, transform, options, fiscalOptions) => {
+  rawPayloads[source] = {
+    data,
+    endpoint: getDataRoutePath(source),
+    params: buildDateParams(options),
+    fetchedAt: new Date().toISOString(),
+  };
+  const report = validatePayload(source, data, fiscalOptions);
+  const transformed = transform();
+  recordDataQuality(addTransformIssues(report, transformed));
+  return transformed;
+};
+
+const recordDataQuality = (report) => {
+  dataQualityReports[report.source] = report;
+  if (report.status !== 'ok') {
+    console.warn(`Data quality for ${report.label}: ${report.status}`, report.messages);
+  }
+};
+
+/**
+ * Get the latest data-quality report for each webhook source
+ * @returns {Object} Map of source (TICKET_SALES, LABOR, ...) to report
+ */
+export const getDataQualityReports = () => ({ ...dataQualityReports });
+
+/**
+ * Get the latest raw webhook payload for each source, as the server returned it
+ * @returns {Object} Map of source (TICKET_SALES, LABOR, ...) to { data, endpoint, params, fetchedAt }
+ */
+export const getRawPayloads = () => ({ ...rawPayloads });
+
+// YYYY-MM-DD, the only date format the webhooks accept
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date options meaning "whatever n8n considers current"
+export const EMPTY_DATE_OPTIONS = { asOf: '', from: '', to: '', compareTo: '' };
+
+/**
+ * Build webhook query params from date options
+ * Empty options are omitted so n8n falls back to its default ("current") period.
+ * @param {Object} options - Date options
+ * @param {string} [options.asOf] - Report as of this date (YYYY-MM-DD)
+ * @param {string} [options.from] - Start of the reporting range (YYYY-MM-DD)
+ * @param {string} [options.to] - End of the reporting range (YYYY-MM-DD)
+ * @param {string} [options.compareTo] - Date to compare against (YYYY-MM-DD)
+ * @returns {Object} Query params for axios
+ */
+export const buildDateParams = ({ asOf, from, to, compareTo } = {}) => {
+  const params = { asOf, from, to, compareTo };
+  Object.keys(params).forEach((key) => {
+    if (!params[key]) {
+      delete params[key];
+    } else if (!DATE_PATTERN.test(params[key])) {
+      throw new Error(`Invalid ${key} date "${params[key]}". Expected YYYY-MM-DD.`);
+    }
+  });
+  if (params.from && params.to && params.from > params.to) {
+    throw new Error(`Invalid date range: from (${params.from}) is after to (${params.to})`);
+  }
+  return params;
+};
 
 /**
  * Fetch ticket sales data
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
  * @returns {Promise<Object>} Ticket sales data
  */
-export const fetchTicketSales = async () => {
+export const fetchTicketSales = async (options = {}) => {
   if (USE_LOCAL_DATA) {
     console.log('Using local data for ticket sales');
     const { transformTicketSalesData } = await import('../utils/localDataTransformers');
-    const data = await transformTicketSalesData();
+    const data = await transformTicketSalesData(await fetchFiscalYearStartMonth());
     return data?.ticketSales || null;
   }
   
+  let url;
   try {
-    const url = API_ENDPOINTS.TICKET_SALES;
-    if (!url) {
-      throw new Error('Ticket sales endpoint URL is not configured');
-    }
+    url = await getEndpointUrl('TICKET_SALES');
     console.log('Fetching ticket sales from:', url);
-    const response = await apiClient.get(url);
+    const response = await apiClient.get(url, { params: buildDateParams(options), signal: options.signal });
     
     // Handle different response structures (some APIs wrap data in objects)
-    let responseData = response.data;
-    if (responseData && !Array.isArray(responseData)) {
-      // Check if data is nested (e.g., { data: [...] } or { results: [...] })
-      if (responseData.data && Array.isArray(responseData.data)) {
-        responseData = responseData.data;
-      } else if (responseData.results && Array.isArray(responseData.results)) {
-        responseData = responseData.results;
-      }
-    }
+    const responseData = unwrapResponseData(response.data);
     
     // Log the raw response for debugging
     console.log('Ticket sales raw response:', {
@@ -79,8 +244,10 @@ export const fetchTicketSales = async () => {
         : responseData,
     });
     
-    // Transform the response using dataTransformers (production)
-    const transformed = transformTicketSales(responseData);
+    // Validate, then transform the response using dataTransformers (production)
+    const fiscalOptions = await getFiscalOptions(options);
+    const transformed = validateAndTransform('TICKET_SALES', responseData,
+      () => transformTicketSales(responseData, fiscalOptions), options, fiscalOptions);
     
     if (!transformed) {
       console.warn('Ticket sales transformation returned null. Raw data:', response.data);
@@ -88,7 +255,11 @@ export const fetchTicketSales = async () => {
     
     return transformed;
   } catch (error) {
-    const url = API_ENDPOINTS.TICKET_SALES;
+    // A cancelled request was superseded or abandoned, not a data problem
+    if (isCancelledRequest(error)) throw error;
+    // A webhook the server doesn't configure disables its card rather than failing it
+    if (error.notConfigured) throw error;
+    recordDataQuality(createErrorReport('TICKET_SALES', error));
     console.error('Error fetching ticket sales:', {
       url,
       status: error.response?.status,
@@ -96,52 +267,66 @@ export const fetchTicketSales = async () => {
       message: error.message,
       responseData: error.response?.data,
     });
-    throw new Error(`Failed to fetch ticket sales: ${error.message}`);
+    throw new ApiError(`Failed to fetch ticket sales: ${error.message}`, {
+      endpoint: 'TICKET_SALES',
+      status: error.response?.status,
+      url,
+    });
   }
 };
 
 /**
  * Fetch season pass sales data
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
  * @returns {Promise<Object>} Season pass sales data
  */
-export const fetchSeasonPassSales = async () => {
+export const fetchSeasonPassSales = async (options = {}) => {
   if (USE_LOCAL_DATA) {
     console.log('Using local data for season pass sales');
     const { transformTicketSalesData } = await import('../utils/localDataTransformers');
-    const data = await transformTicketSalesData();
+    const data = await transformTicketSalesData(await fetchFiscalYearStartMonth());
     return data?.seasonPassSales || null;
   }
   
+  let url;
   try {
-    const url = API_ENDPOINTS.SEASON_PASS_SALES;
-    if (!url) {
-      throw new Error('Season pass sales endpoint URL is not configured');
-    }
+    url = await getEndpointUrl('SEASON_PASS_SALES');
     console.log('Fetching season pass sales from:', url);
-    const response = await apiClient.get(url);
-    // Transform the response using dataTransformers (production)
-    return transformSeasonPassSales(response.data);
+    const response = await apiClient.get(url, { params: buildDateParams(options), signal: options.signal });
+    // Validate, then transform the response using dataTransformers (production)
+    const fiscalOptions = await getFiscalOptions(options);
+    return validateAndTransform('SEASON_PASS_SALES', response.data,
+      () => transformSeasonPassSales(response.data, fiscalOptions), options, fiscalOptions);
   } catch (error) {
-    const url = API_ENDPOINTS.SEASON_PASS_SALES;
+    // A cancelled request was superseded or abandoned, not a data problem
+    if (isCancelledRequest(error)) throw error;
+    // A webhook the server doesn't configure disables its card rather than failing it
+    if (error.notConfigured) throw error;
+    recordDataQuality(createErrorReport('SEASON_PASS_SALES', error));
     console.error('Error fetching season pass sales:', {
       url,
       status: error.response?.status,
       statusText: error.response?.statusText,
       message: error.message,
     });
-    throw new Error(`Failed to fetch season pass sales: ${error.message}`);
+    throw new ApiError(`Failed to fetch season pass sales: ${error.message}`, {
+      endpoint: 'SEASON_PASS_SALES',
+      status: error.response?.status,
+      url,
+    });
   }
 };
 
 /**
  * Fetch sales comparison data (combines ticket sales and season pass sales)
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
  * @returns {Promise<Object>} Combined sales comparison data
  */
-export const fetchSalesComparison = async () => {
+export const fetchSalesComparison = async (options = {}) => {
   if (USE_LOCAL_DATA) {
     console.log('Using local data for sales comparison');
     const { transformTicketSalesData } = await import('../utils/localDataTransformers');
-    const data = await transformTicketSalesData();
+    const data = await transformTicketSalesData(await fetchFiscalYearStartMonth());
     if (!data) {
       throw new Error('Failed to load local sales data');
     }
@@ -152,8 +337,8 @@ export const fetchSalesComparison = async () => {
     // Fetch both ticket sales and season pass sales in parallel
     // Use Promise.allSettled to handle partial failures gracefully
     const [ticketSalesResult, seasonPassSalesResult] = await Promise.allSettled([
-      fetchTicketSales(),
-      fetchSeasonPassSales(),
+      fetchTicketSales(options),
+      fetchSeasonPassSales(options),
     ]);
     
     const ticketSales = ticketSalesResult.status === 'fulfilled' ? ticketSalesResult.value : null;
@@ -167,10 +352,14 @@ export const fetchSalesComparison = async () => {
       console.error('Failed to fetch season pass sales:', seasonPassSalesResult.reason);
     }
     
-    // Return whatever data we have (even if one failed)
+    // Return whatever data we have (even if one failed), plus why anything is missing
     return {
       ticketSales: ticketSales,
       seasonPassSales: seasonPassSales,
+      errors: {
+        ticketSales: ticketSalesResult.status === 'rejected' ? ticketSalesResult.reason : null,
+        seasonPassSales: seasonPassSalesResult.status === 'rejected' ? seasonPassSalesResult.reason : null,
+      },
     };
   } catch (error) {
     console.error('Error fetching sales comparison:', error);
@@ -178,11 +367,43 @@ export const fetchSalesComparison = async () => {
   }
 };
 
+// Division rules are loaded once per page load and shared by every labor fetch
+let divisionRulesPromise = null;
+
+/**
+ * Fetch the labor division consolidation rules served by server.js
+ * Falls back to the bundled src/config/divisions.json if the server has none.
+ * @returns {Promise<Object>} Division rules { divisions, otherDivision }
+ */
+export const fetchDivisionRules = () => {
+  if (!divisionRulesPromise) {
+    divisionRulesPromise = apiClient.get('/api/config/divisions')
+      .then((response) => {
+        if (!Array.isArray(response.data?.divisions)) {
+          throw new Error('Response has no divisions array');
+        }
+        return response.data;
+      })
+      .catch((error) => {
+        console.warn('Using bundled division rules:', error.message);
+        return defaultDivisionRules;
+      });
+  }
+  return divisionRulesPromise;
+};
+
+// The server only sends rows for the user's divisions; drop the other divisions'
+// rules too, so they don't show up as empty sections
+const getVisibleRules = (divisionRules, access) => (access.divisions
+  ? { ...divisionRules, divisions: divisionRules.divisions.filter(rule => access.divisions.includes(rule.name)) }
+  : divisionRules);
+
 /**
  * Fetch labor expenses data
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
  * @returns {Promise<Object>} Labor expenses data
  */
-export const fetchLaborExpenses = async () => {
+export const fetchLaborExpenses = async (options = {}) => {
   if (USE_LOCAL_DATA) {
     console.log('Using local data for labor expenses');
     const { transformLaborData } = await import('../utils/localDataTransformers');
@@ -193,32 +414,115 @@ export const fetchLaborExpenses = async () => {
     return data;
   }
   
+  let url;
   try {
-    const url = API_ENDPOINTS.LABOR;
-    if (!url) {
-      throw new Error('Labor endpoint URL is not configured');
-    }
+    url = await getEndpointUrl('LABOR');
     console.log('Fetching labor expenses from:', url);
-    const response = await apiClient.get(url);
-    // Transform the response using dataTransformers (production)
-    return transformLabor(response.data);
+    const [response, divisionRules, access] = await Promise.all([
+      apiClient.get(url, { params: buildDateParams(options), signal: options.signal }),
+      fetchDivisionRules(),
+      fetchAccess(),
+    ]);
+    // Validate, then transform the response using dataTransformers (production)
+    return validateAndTransform('LABOR', response.data,
+      () => transformLabor(response.data, getVisibleRules(divisionRules, access)), options);
   } catch (error) {
-    const url = API_ENDPOINTS.LABOR;
+    // A cancelled request was superseded or abandoned, not a data problem
+    if (isCancelledRequest(error)) throw error;
+    // A webhook the server doesn't configure disables its card rather than failing it
+    if (error.notConfigured) throw error;
+    recordDataQuality(createErrorReport('LABOR', error));
     console.error('Error fetching labor expenses:', {
       url,
       status: error.response?.status,
       statusText: error.response?.statusText,
       message: error.message,
     });
-    throw new Error(`Failed to fetch labor expenses: ${error.message}`);
+    throw new ApiError(`Failed to fetch labor expenses: ${error.message}`, {
+      endpoint: 'LABOR',
+      status: error.response?.status,
+      url,
+    });
+  }
+};
+
+/**
+ * Fetch per-division labor budgets (from the budget webhook, or the uploaded budget file)
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
+ * @returns {Promise<Object>} { byDivision, thresholds } (see transformLaborBudget and utils/laborBudget.js)
+ */
+export const fetchLaborBudget = async (options = {}) => {
+  let url;
+  try {
+    url = await getEndpointUrl('LABOR_BUDGET');
+    console.log('Fetching labor budget from:', url);
+    const [response, divisionRules, config] = await Promise.all([
+      apiClient.get(url, { params: buildDateParams(options), signal: options.signal }),
+      fetchDivisionRules(),
+      fetchRuntimeConfig(),
+    ]);
+    const rows = unwrapResponseData(response.data);
+    // Validate, then transform the response using dataTransformers (production)
+    const budget = validateAndTransform('LABOR_BUDGET', rows,
+      () => transformLaborBudget(rows, getVisibleRules(divisionRules, config.access)), options);
+    return budget && { ...budget, thresholds: config.budgetThresholds };
+  } catch (error) {
+    // A cancelled request was superseded or abandoned, not a data problem
+    if (isCancelledRequest(error)) throw error;
+    // A webhook the server doesn't configure disables its card rather than failing it
+    if (error.notConfigured) throw error;
+    recordDataQuality(createErrorReport('LABOR_BUDGET', error));
+    console.error('Error fetching labor budget:', {
+      url,
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      message: error.message,
+    });
+    throw new ApiError(`Failed to fetch labor budget: ${error.message}`, {
+      endpoint: 'LABOR_BUDGET',
+      status: error.response?.status,
+      url,
+    });
+  }
+};
+
+/**
+ * Upload a labor budget file, replacing the stored budget (see server/budgetStore.js)
+ * @param {File} file - CSV or JSON budget file
+ * @returns {Promise<Object>} Stored budget { rows, uploadedAt, uploadedBy, fileName }
+ */
+export const uploadLaborBudget = async (file) => {
+  try {
+    const isJson = file.type === 'application/json' || file.name.toLowerCase().endsWith('.json');
+    const response = await httpClient.put('/api/budgets', await file.text(), {
+      headers: {
+        'Content-Type': isJson ? 'application/json' : 'text/csv',
+        'X-File-Name': file.name,
+      },
+    });
+    // The budget route may have just become available; reload /api/config on the next fetch
+    configPromise = null;
+    return response.data;
+  } catch (error) {
+    console.error('Error uploading labor budget:', {
+      status: error.response?.status,
+      message: error.message,
+      responseData: error.response?.data,
+    });
+    throw new ApiError(error.response?.data?.message || `Failed to upload labor budget: ${error.message}`, {
+      endpoint: 'LABOR_BUDGET',
+      status: error.response?.status,
+      url: '/api/budgets',
+    });
   }
 };
 
 /**
  * Fetch guest satisfaction (NPS) data
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
  * @returns {Promise<Object>} Guest satisfaction data
  */
-export const fetchGuestSatisfaction = async () => {
+export const fetchGuestSatisfaction = async (options = {}) => {
   if (USE_LOCAL_DATA) {
     console.log('Using local data for guest satisfaction');
     const { transformNPSData } = await import('../utils/localDataTransformers');
@@ -229,70 +533,118 @@ export const fetchGuestSatisfaction = async () => {
     return data;
   }
   
+  let url;
   try {
-    const url = API_ENDPOINTS.NPS;
-    if (!url) {
-      throw new Error('NPS endpoint URL is not configured');
-    }
+    url = await getEndpointUrl('NPS');
     console.log('Fetching guest satisfaction (NPS) from:', url);
-    const response = await apiClient.get(url);
-    // Transform the response using dataTransformers (production)
-    return transformNPS(response.data);
+    const response = await apiClient.get(url, { params: buildDateParams(options), signal: options.signal });
+    // Validate, then transform the response using dataTransformers (production)
+    return validateAndTransform('NPS', response.data,
+      () => transformNPS(response.data), options);
   } catch (error) {
-    const url = API_ENDPOINTS.NPS;
+    // A cancelled request was superseded or abandoned, not a data problem
+    if (isCancelledRequest(error)) throw error;
+    // A webhook the server doesn't configure disables its card rather than failing it
+    if (error.notConfigured) throw error;
+    recordDataQuality(createErrorReport('NPS', error));
     console.error('Error fetching guest satisfaction:', {
       url,
       status: error.response?.status,
       statusText: error.response?.statusText,
       message: error.message,
     });
-    throw new Error(`Failed to fetch guest satisfaction: ${error.message}`);
+    throw new ApiError(`Failed to fetch guest satisfaction: ${error.message}`, {
+      endpoint: 'NPS',
+      status: error.response?.status,
+      url,
+    });
   }
 };
 
 /**
  * Fetch trails and lifts data
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
  * @returns {Promise<Object>} Trails and lifts data
  */
-export const fetchTrailsLifts = async () => {
+export const fetchTrailsLifts = async (options = {}) => {
+  let url;
   try {
-    const url = API_ENDPOINTS.TRAILS_LIFTS;
-    if (!url) {
-      throw new Error('Trails and lifts endpoint URL is not configured');
-    }
+    url = await getEndpointUrl('TRAILS_LIFTS');
     console.log('Fetching trails and lifts from:', url);
-    const response = await apiClient.get(url);
+    const response = await apiClient.get(url, { params: buildDateParams(options), signal: options.signal });
     
-    // The API returns { trailsOpen: "59", liftsOpen: "8" }
-    // Convert strings to numbers for consistency
-    return {
-      trailsOpen: parseInt(response.data.trailsOpen || 0, 10),
-      liftsOpen: parseInt(response.data.liftsOpen || 0, 10),
-    };
+    // Validate, then transform the response using dataTransformers (production)
+    return validateAndTransform('TRAILS_LIFTS', response.data,
+      () => transformTrailsLifts(response.data), options);
   } catch (error) {
-    const url = API_ENDPOINTS.TRAILS_LIFTS;
+    // A cancelled request was superseded or abandoned, not a data problem
+    if (isCancelledRequest(error)) throw error;
+    // A webhook the server doesn't configure disables its card rather than failing it
+    if (error.notConfigured) throw error;
+    recordDataQuality(createErrorReport('TRAILS_LIFTS', error));
     console.error('Error fetching trails and lifts:', {
       url,
       status: error.response?.status,
       statusText: error.response?.statusText,
       message: error.message,
     });
-    throw new Error(`Failed to fetch trails and lifts: ${error.message}`);
+    throw new ApiError(`Failed to fetch trails and lifts: ${error.message}`, {
+      endpoint: 'TRAILS_LIFTS',
+      status: error.response?.status,
+      url,
+    });
+  }
+};
+
+/**
+ * Fetch lodging data (rooms, room revenue and last year's figures)
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
+ * @returns {Promise<Object>} Lodging data with ADR, occupancy and RevPAR (see transformLodging)
+ */
+export const fetchLodging = async (options = {}) => {
+  let url;
+  try {
+    url = await getEndpointUrl('LODGING');
+    console.log('Fetching lodging from:', url);
+    const response = await apiClient.get(url, { params: buildDateParams(options), signal: options.signal });
+    const responseData = unwrapResponseData(response.data);
+    
+    // Validate, then transform the response using dataTransformers (production)
+    return validateAndTransform('LODGING', responseData,
+      () => transformLodging(responseData), options);
+  } catch (error) {
+    // A cancelled request was superseded or abandoned, not a data problem
+    if (isCancelledRequest(error)) throw error;
+    // A webhook the server doesn't configure disables its card rather than failing it
+    if (error.notConfigured) throw error;
+    recordDataQuality(createErrorReport('LODGING', error));
+    console.error('Error fetching lodging:', {
+      url,
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      message: error.message,
+    });
+    throw new ApiError(`Failed to fetch lodging: ${error.message}`, {
+      endpoint: 'LODGING',
+      status: error.response?.status,
+      url,
+    });
   }
 };
 
 /**
  * Fetch all dashboard data
+ * @param {Object} options - Date options { asOf, from, to, compareTo } (see buildDateParams) and an optional AbortSignal (signal)
  * @returns {Promise<Object>} All dashboard data
  */
-export const fetchAllData = async () => {
+export const fetchAllData = async (options = {}) => {
   try {
     // Use Promise.allSettled to handle partial failures gracefully
     const [salesResult, laborResult, satisfactionResult, trailsLiftsResult] = await Promise.allSettled([
-      fetchSalesComparison(),
-      fetchLaborExpenses(),
-      fetchGuestSatisfaction(),
-      fetchTrailsLifts(),
+      fetchSalesComparison(options),
+      fetchLaborExpenses(options),
+      fetchGuestSatisfaction(options),
+      fetchTrailsLifts(options),
     ]);
     
     const sales = salesResult.status === 'fulfilled' ? salesResult.value : null;
@@ -319,9 +671,214 @@ export const fetchAllData = async () => {
       labor,
       satisfaction,
       trailsLifts,
+      quality: getDataQualityReports(),
+      // Rejections are kept so a failed fetch can be told apart from "no data"
+      errors: {
+        sales: salesResult.status === 'rejected' ? salesResult.reason : null,
+        labor: laborResult.status === 'rejected' ? laborResult.reason : null,
+        satisfaction: satisfactionResult.status === 'rejected' ? satisfactionResult.reason : null,
+        trailsLifts: trailsLiftsResult.status === 'rejected' ? trailsLiftsResult.reason : null,
+      },
     };
   } catch (error) {
     console.error('Error fetching all data:', error);
     throw error;
   }
 };
+
+/**
+ * Fetch the signed-in user
+ * @returns {Promise<Object>} { authEnabled, user: { name, email, groups, via } | null }
+ */
+export const fetchCurrentUser = async () => {
+  if (USE_LOCAL_DATA) {
+    return { authEnabled: false, user: null };
+  }
+
+  try {
+    const response = await apiClient.get('/api/me');
+    return { authEnabled: !!response.data?.authEnabled, user: response.data?.user || null };
+  } catch (error) {
+    // The dev server has no auth layer, so there is no /api/me to ask
+    if (error.response?.status === 404) {
+      return { authEnabled: false, user: null };
+    }
+    console.error('Error fetching current user:', {
+      status: error.response?.status,
+      message: error.message,
+    });
+    throw new Error(`Failed to fetch current user: ${error.message}`);
+  }
+};
+
+/**
+ * Fetch the dates that have a saved history snapshot
+ * @returns {Promise<string[]>} Snapshot dates (YYYY-MM-DD), oldest first
+ */
+export const fetchHistoryDates = async () => {
+  if (USE_LOCAL_DATA) {
+    // History snapshots are captured by server.js and don't exist for local data
+    return [];
+  }
+  
+  try {
+    const response = await apiClient.get('/api/history');
+    return response.data?.dates || [];
+  } catch (error) {
+    console.error('Error fetching history dates:', {
+      status: error.response?.status,
+      message: error.message,
+    });
+    throw new Error(`Failed to fetch history dates: ${error.message}`);
+  }
+};
+
+// Snapshot response in the same shape as fetchAllData()
+const toSnapshotData = ({ date, sales, labor, satisfaction, trailsLifts, laborBudget, lodging, quality, capturedAt }) => ({
+  date,
+  sales: sales || null,
+  labor: labor || null,
+  satisfaction: satisfaction || null,
+  trailsLifts: trailsLifts || null,
+  laborBudget: laborBudget || null,
+  lodging: lodging || null,
+  quality: quality || {},
+  capturedAt,
+});
+
+/**
+ * Fetch the dashboard data exactly as it was captured on a past day
+ * @param {string} date - Snapshot date (YYYY-MM-DD)
+ * @param {Object} options - { signal: AbortSignal to cancel the request }
+ * @returns {Promise<Object>} Snapshot in the same shape as fetchAllData()
+ */
+export const fetchHistorySnapshot = async (date, { signal } = {}) => {
+  try {
+    const response = await apiClient.get(`/api/history/${encodeURIComponent(date)}`, { signal });
+    return toSnapshotData(response.data);
+  } catch (error) {
+    if (isCancelledRequest(error)) throw error;
+    if (error.response?.status === 404) {
+      throw new ApiError(`No snapshot was saved for ${date}`, { endpoint: 'HISTORY', status: 404 });
+    }
+    console.error('Error fetching history snapshot:', {
+      date,
+      status: error.response?.status,
+      message: error.message,
+    });
+    throw new ApiError(`Failed to fetch snapshot for ${date}: ${error.message}`, {
+      endpoint: 'HISTORY',
+      status: error.response?.status,
+    });
+  }
+};
+
+/**
+ * Fetch the snapshot from the same day of last season, for year-over-year comparisons
+ * @param {string} date - This season's date (YYYY-MM-DD)
+ * @param {Object} options - { signal: AbortSignal to cancel the request }
+ * @returns {Promise<Object|null>} Snapshot (its date is last season's), or null if none was saved
+ */
+export const fetchLastSeasonSnapshot = async (date, { signal } = {}) => {
+  if (USE_LOCAL_DATA) {
+    // History snapshots are captured by server.js and don't exist for local data
+    return null;
+  }
+
+  try {
+    const response = await apiClient.get(`/api/history/${encodeURIComponent(date)}/last-season`, { signal });
+    return toSnapshotData(response.data);
+  } catch (error) {
+    if (isCancelledRequest(error)) throw error;
+    // Most days have no snapshot from a year ago until history has built up
+    if (error.response?.status === 404) return null;
+    console.error('Error fetching last season snapshot:', {
+      date,
+      status: error.response?.status,
+      message: error.message,
+    });
+    throw new ApiError(`Failed to fetch last season's snapshot for ${date}: ${error.message}`, {
+      endpoint: 'HISTORY',
+      status: error.response?.status,
+    });
+  }
+};
+
+/**
+ * Fetch trend series built from accumulated daily history snapshots
+ * @param {Object} options - { days: number of days of NPS and labor history, to: last date (YYYY-MM-DD), signal }
+ * @returns {Promise<Object>} { range, nps, seasonRevenue, laborPercent, divisions }
+ */
+export const fetchTrends = async ({ days = 30, to, signal } = {}) => {
+  if (USE_LOCAL_DATA) {
+    // Trends are built from server-side history snapshots, which don't exist for local data
+    return null;
+  }
+  
+  try {
+    const response = await apiClient.get('/api/trends', {
+      params: { days, ...(to && { to }) },
+      signal,
+    });
+    return response.data;
+  } catch (error) {
+    if (isCancelledRequest(error)) throw error;
+    console.error('Error fetching trends:', {
+      days,
+      status: error.response?.status,
+      message: error.message,
+    });
+    throw new Error(`Failed to fetch trends: ${error.message}`);
+  }
+};
+
+/**
+ * Fetch the KPI alerts (see server/alertEngine.js)
+ * @returns {Promise<Object>} { alerts, rules }, both empty for local data
+ */
+export const fetchAlerts = async () => {
+  if (USE_LOCAL_DATA) {
+    // Alerts are evaluated by server.js and don't exist for local data
+    return { alerts: [], rules: [] };
+  }
+
+  try {
+    const response = await apiClient.get('/api/alerts');
+    return { alerts: response.data?.alerts || [], rules: response.data?.rules || [] };
+  } catch (error) {
+    // The dev server doesn't evaluate alerts
+    if (error.response?.status === 404) {
+      return { alerts: [], rules: [] };
+    }
+    console.error('Error fetching alerts:', {
+      status: error.response?.status,
+      message: error.message,
+    });
+    throw new Error(`Failed to fetch alerts: ${error.message}`);
+  }
+};
+
+/**
+ * Snooze a KPI alert so it stops notifying for a while
+ * @param {string} id - Alert id (its rule id)
+ * @param {number} minutes - How long to snooze; 0 ends the snooze
+ * @returns {Promise<Object>} Updated alert
+ */
+export const snoozeAlert = async (id, minutes) => {
+  const url = `/api/alerts/${encodeURIComponent(id)}/snooze`;
+  try {
+    const response = await httpClient.post(url, { minutes });
+    return response.data;
+  } catch (error) {
+    console.error('Error snoozing alert:', {
+      id,
+      status: error.response?.status,
+      message: error.message,
+    });
+    throw new ApiError(error.response?.data?.message || `Failed to snooze alert: ${error.message}`, {
+      endpoint: 'ALERTS',
+      status: error.response?.status,
+      url,
+    });
+  }
+};
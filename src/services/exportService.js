@@ -0,0 +1,47 @@
+import { buildExport, toCsv, toXlsx } from '../utils/exportData';
+
+/**
+ * Export Service
+ * Builds CSV or XLSX files of card data (see utils/exportData.js) and hands them to
+ * the browser as downloads.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8' },
+  xlsx: { label: 'Excel (.xlsx)', extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+// Save a Blob under a file name through a temporary link
+const saveFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Download card data as CSV or XLSX
+ * @param {Object} options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.fileName - File name without extension
+ * @param {string} options.title - What is exported (card title, or "GM Dashboard")
+ * @param {string} options.asOf - Date the data is for (YYYY-MM-DD)
+ * @param {string|null} options.snapshotDate - History snapshot date, when exporting a past day
+ * @param {Array<Object>} options.datasets - { source, label, endpoint, transformed, raw }
+ */
+export const downloadExport = ({ format, fileName, title, asOf, snapshotDate = null, datasets }) => {
+  const { extension, type } = EXPORT_FORMATS[format];
+  const exportedAt = new Date();
+  const exportData = buildExport({ title, asOf, snapshotDate, datasets, exportedAt });
+  const contents = format === 'xlsx'
+    ? toXlsx(exportData, { title, asOf, exportedAt })
+    : toCsv(exportData);
+
+  saveFile(new Blob([contents], { type }), `${fileName}.${extension}`);
+  console.log(`Exported ${title} (${datasets.length} sources) as ${fileName}.${extension}`);
+};
@@ -0,0 +1,161 @@
+import axios from 'axios';
+
+/**
+ * Resilient Client
+ * Wraps an axios instance so every request:
+ * - retries network errors, timeouts and 5xx responses with exponential backoff and jitter
+ *   (4xx responses are the caller's fault and fail straight away)
+ * - shares one request between identical GETs that are in flight at the same time
+ * - can be cancelled with an AbortSignal (config.signal)
+ */
+
+export const DEFAULT_RETRY_CONFIG = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+};
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Read retry settings from Vite env vars
+ * @param {Object} env - import.meta.env
+ * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs }
+ */
+export const loadRetryConfig = (env = {}) => ({
+  maxAttempts: parsePositiveInt(env.VITE_API_MAX_ATTEMPTS, DEFAULT_RETRY_CONFIG.maxAttempts),
+  baseDelayMs: parsePositiveInt(env.VITE_API_RETRY_BASE_DELAY, DEFAULT_RETRY_CONFIG.baseDelayMs),
+  maxDelayMs: parsePositiveInt(env.VITE_API_RETRY_MAX_DELAY, DEFAULT_RETRY_CONFIG.maxDelayMs),
+});
+
+/**
+ * Whether an error came from a cancelled request
+ * @param {*} error - Thrown value
+ * @returns {boolean}
+ */
+export const isCancelledRequest = (error) => axios.isCancel(error);
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {Error} error - axios error
+ * @returns {boolean} True for network errors, timeouts and 5xx responses
+ */
+export const isRetryableError = (error) => {
+  if (isCancelledRequest(error)) return false;
+  if (!error.response) return true;
+  return error.response.status >= 500;
+};
+
+/**
+ * Delay before the next attempt: "full jitter" exponential backoff, so clients
+ * that failed together don't all retry at the same moment
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} config - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_CONFIG) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+};
+
+// Sleep, waking early with a cancellation error if the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new axios.CanceledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Wrap an axios instance with retries, GET de-duplication and cancellation
+ * @param {Object} client - axios instance
+ * @param {Object} retryConfig - { maxAttempts, baseDelayMs, maxDelayMs }
+ * @returns {Object} { get(url, config), request(config) }
+ */
+export const createResilientClient = (client, retryConfig = DEFAULT_RETRY_CONFIG) => {
+  // Shared GETs keyed by full URL: { promise, controller, subscribers }
+  const inFlight = new Map();
+
+  const request = async (config) => {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await client.request(config);
+      } catch (error) {
+        if (attempt >= retryConfig.maxAttempts || !isRetryableError(error)) {
+          error.attempts = attempt;
+          throw error;
+        }
+        const delay = getRetryDelay(attempt, retryConfig);
+        console.warn(`Request to ${config.url} failed (${error.response?.status || error.code || error.message}), retrying in ${delay}ms`, {
+          attempt: attempt + 1,
+          maxAttempts: retryConfig.maxAttempts,
+        });
+        await wait(delay, config.signal);
+      }
+    }
+  };
+
+  // Wait on a shared request; the request itself is only aborted once every caller has given up
+  const subscribe = (key, entry, signal) => {
+    if (signal?.aborted) return Promise.reject(new axios.CanceledError());
+    entry.subscribers += 1;
+
+    return new Promise((resolve, reject) => {
+      let done = false;
+      const finish = () => {
+        if (done) return false;
+        done = true;
+        entry.subscribers -= 1;
+        signal?.removeEventListener('abort', onAbort);
+        return true;
+      };
+      const onAbort = () => {
+        if (!finish()) return;
+        if (entry.subscribers === 0) {
+          inFlight.delete(key);
+          entry.controller.abort();
+        }
+        reject(new axios.CanceledError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then(
+        (response) => finish() && resolve(response),
+        (error) => finish() && reject(error),
+      );
+    });
+  };
+
+  const get = (url, config = {}) => {
+    const { signal, ...requestConfig } = config;
+    const key = client.getUri({ url, params: requestConfig.params });
+    let entry = inFlight.get(key);
+
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, subscribers: 0 };
+      entry.promise = request({ ...requestConfig, method: 'get', url, signal: controller.signal })
+        .finally(() => {
+          if (inFlight.get(key) === entry) inFlight.delete(key);
+        });
+      // Rejections reach callers through subscribe(); don't report them twice
+      entry.promise.catch(() => {});
+      inFlight.set(key, entry);
+    }
+
+    return subscribe(key, entry, signal);
+  };
+
+  return { get, request };
+};
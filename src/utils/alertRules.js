@@ -0,0 +1,210 @@
+/**
+ * Alert Rules
+ *
+ * Threshold rules on the transformed KPIs (transformLabor, transformNPS, transformTicketSales
+ * and transformSeasonPassSales). A rule compares one metric with a threshold, optionally for
+ * one labor division, and can require the condition to hold several days running:
+ *
+ *   { "id": "fnb-labor", "metric": "laborPercentOfRevenue", "division": "Food & Beverage",
+ *     "operator": ">", "threshold": 35, "days": 1, "severity": "warning" }
+ *
+ * Shared by the client and server.js, so it must not depend on Vite or the browser.
+ */
+
+// Webhook name -> key of its transformed data in the object rules are evaluated against
+// (the same keys as DATA_SOURCES in hooks/useDataSources.js)
+export const ALERT_SOURCES = {
+  LABOR: 'labor',
+  NPS: 'satisfaction',
+  TICKET_SALES: 'ticketSales',
+  SEASON_PASS_SALES: 'seasonPassSales',
+};
+
+const toNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+};
+
+const findDivision = (labor, name) => (labor?.byDivision || []).find(division => division.division === name);
+
+// Difference of two NPS values, null unless both are known
+const npsGap = (a, b) => {
+  const first = toNumber(a);
+  const second = toNumber(b);
+  return first === null || second === null ? null : Math.round((first - second) * 10) / 10;
+};
+
+/**
+ * Metrics a rule can watch: label, webhook, unit ('%', '$' or 'pts') and how to read the
+ * value from the transformed data. "division" marks metrics that can be limited to one
+ * labor division; "revenue" marks metrics derived from revenue (see server/access.js).
+ */
+export const ALERT_METRICS = {
+  laborPercentOfRevenue: {
+    label: 'Labor % of revenue',
+    source: 'LABOR',
+    unit: '%',
+    division: true,
+    revenue: true,
+    read: ({ labor }, rule) => {
+      if (!rule.division) return toNumber(labor?.percentOfRevenue);
+      const division = findDivision(labor, rule.division);
+      return division?.revenue > 0 ? toNumber(division.percentOfRevenue) : null;
+    },
+  },
+  laborCost: {
+    label: 'Labor cost',
+    source: 'LABOR',
+    unit: '$',
+    division: true,
+    read: ({ labor }, rule) => toNumber(rule.division ? findDivision(labor, rule.division)?.totalLabor : labor?.totalLabor),
+  },
+  npsScore: {
+    label: 'NPS',
+    source: 'NPS',
+    unit: 'pts',
+    read: ({ satisfaction }) => toNumber(satisfaction?.yesterdayScore),
+  },
+  npsVsCompset: {
+    label: 'NPS vs compset',
+    source: 'NPS',
+    unit: 'pts',
+    read: ({ satisfaction }) => npsGap(satisfaction?.yesterdayScore, satisfaction?.yesterdayCompset),
+  },
+  npsVsLastYear: {
+    label: 'NPS vs last year',
+    source: 'NPS',
+    unit: 'pts',
+    read: ({ satisfaction }) => npsGap(satisfaction?.yesterdayScore, satisfaction?.lastYearYesterdayScore),
+  },
+  npsRolling7: {
+    label: 'Rolling 7-day NPS',
+    source: 'NPS',
+    unit: 'pts',
+    read: ({ satisfaction }) => toNumber(satisfaction?.rolling?.days7?.score),
+  },
+  ticketRevenueYoY: {
+    label: 'Ticket revenue vs last season',
+    source: 'TICKET_SALES',
+    unit: '%',
+    read: ({ ticketSales }) => toNumber(ticketSales?.revenueComparison?.percentChange),
+  },
+  ticketQuantityYoY: {
+    label: 'Tickets sold vs last season',
+    source: 'TICKET_SALES',
+    unit: '%',
+    read: ({ ticketSales }) => toNumber(ticketSales?.quantityComparison?.percentChange),
+  },
+  ticketYieldYoY: {
+    label: 'Yield per ticket vs last season',
+    source: 'TICKET_SALES',
+    unit: '%',
+    read: ({ ticketSales }) => toNumber(ticketSales?.yieldComparison?.percentChange),
+  },
+  seasonPassRevenueYoY: {
+    label: 'Season pass revenue vs last season',
+    source: 'SEASON_PASS_SALES',
+    unit: '%',
+    read: ({ seasonPassSales }) => toNumber(seasonPassSales?.revenueComparison?.percentChange),
+  },
+  seasonPassQuantityYoY: {
+    label: 'Season passes sold vs last season',
+    source: 'SEASON_PASS_SALES',
+    unit: '%',
+    read: ({ seasonPassSales }) => toNumber(seasonPassSales?.quantityComparison?.percentChange),
+  },
+};
+
+export const ALERT_OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+};
+
+export const ALERT_SEVERITIES = ['warning', 'critical'];
+
+// Rules used when the server config doesn't define any
+export const DEFAULT_ALERT_RULES = [
+  { id: 'fnb-labor-percent', metric: 'laborPercentOfRevenue', division: 'Food & Beverage', operator: '>', threshold: 35 },
+  { id: 'nps-below-compset', metric: 'npsVsCompset', operator: '<', threshold: 0, days: 2 },
+  { id: 'ticket-revenue-yoy', metric: 'ticketRevenueYoY', operator: '<', threshold: -10, severity: 'critical' },
+];
+
+/**
+ * Check and normalize alert rules, dropping invalid ones
+ * @param {Array<Object>} rules - Rules from config
+ * @returns {{rules: Array<Object>, errors: string[]}} Valid rules (with days and severity filled in) and why others were dropped
+ */
+export const validateAlertRules = (rules) => {
+  const valid = [];
+  const errors = [];
+  if (!Array.isArray(rules)) {
+    return { rules: valid, errors: ['Alert rules must be an array'] };
+  }
+
+  rules.forEach((rule, index) => {
+    const name = rule?.id ? `Alert rule "${rule.id}"` : `Alert rule ${index + 1}`;
+    const problems = [];
+    if (!rule || typeof rule.id !== 'string' || !rule.id.trim()) problems.push('needs an id');
+    if (!ALERT_METRICS[rule?.metric]) problems.push(`has unknown metric "${rule?.metric}"`);
+    if (!ALERT_OPERATORS[rule?.operator]) problems.push(`has unknown operator "${rule?.operator}"`);
+    if (toNumber(rule?.threshold) === null) problems.push('needs a numeric threshold');
+    if (rule?.division && ALERT_METRICS[rule.metric] && !ALERT_METRICS[rule.metric].division) {
+      problems.push(`can't limit ${rule.metric} to a division`);
+    }
+    if (rule?.days !== undefined && !(Number.isInteger(rule.days) && rule.days >= 1)) problems.push('needs days to be a whole number from 1');
+    if (rule?.severity !== undefined && !ALERT_SEVERITIES.includes(rule.severity)) problems.push(`has unknown severity "${rule.severity}"`);
+    if (valid.some(existing => existing.id === rule?.id)) problems.push('repeats an id');
+
+    if (problems.length > 0) {
+      errors.push(`${name} ${problems.join(', ')}`);
+      return;
+    }
+    valid.push({
+      ...rule,
+      threshold: toNumber(rule.threshold),
+      days: rule.days || 1,
+      severity: rule.severity || 'warning',
+    });
+  });
+  return { rules: valid, errors };
+};
+
+/**
+ * Format a metric value with its unit
+ * @param {string} metric - Key of ALERT_METRICS
+ * @param {number|null} value - Value
+ * @returns {string} e.g. "36.2%", "$41,200", "-3.5 pts"
+ */
+export const formatAlertValue = (metric, value) => {
+  if (value === null || value === undefined) return 'N/A';
+  const unit = ALERT_METRICS[metric]?.unit;
+  if (unit === '$') return `$${Math.round(value).toLocaleString('en-US')}`;
+  const rounded = Math.round(value * 10) / 10;
+  return unit === '%' ? `${rounded}%` : `${rounded} pts`;
+};
+
+/**
+ * Describe a rule for people
+ * @param {Object} rule - Validated rule
+ * @returns {string} e.g. "Food & Beverage labor % of revenue > 35% (2 days running)"
+ */
+export const describeAlertRule = (rule) => {
+  const metric = ALERT_METRICS[rule.metric];
+  const label = rule.division ? `${rule.division} ${metric.label.toLowerCase()}` : metric.label;
+  const days = rule.days > 1 ? ` (${rule.days} days running)` : '';
+  return `${rule.label || label} ${rule.operator} ${formatAlertValue(rule.metric, rule.threshold)}${days}`;
+};
+
+/**
+ * Evaluate one rule against one day's data
+ * @param {Object} rule - Validated rule
+ * @param {Object} data - Transformed data keyed as ALERT_SOURCES ({ labor, satisfaction, ticketSales, seasonPassSales })
+ * @returns {{value: number|null, triggered: boolean|null}} triggered is null when the metric isn't in the data
+ */
+export const evaluateAlertRule = (rule, data) => {
+  const value = ALERT_METRICS[rule.metric].read(data || {}, rule);
+  if (value === null) return { value, triggered: null };
+  return { value, triggered: ALERT_OPERATORS[rule.operator](value, rule.threshold) };
+};
@@ -0,0 +1,221 @@
+/**
+ * Data Quality
+ *
+ * Checks raw webhook payloads against src/config/payloadSchemas.js and produces a
+ * structured report per source, so a card can explain whether its data is missing,
+ * partial, or in a shape the transformers don't understand.
+ *
+ * Report status:
+ * - ok:      payload matches the schema
+ * - partial: usable, but some fields or rows have problems
+ * - empty:   webhook returned no rows
+ * - invalid: payload can't be transformed (wrong shape, required fields or rows missing)
+ * - error:   request failed before any payload was received
+ *
+ * Shared by the client and server.js, so it must not depend on Vite or the browser.
+ */
+import { PAYLOAD_SCHEMAS } from '../config/payloadSchemas.js';
+import { resolveFiscalYears } from './fiscalCalendar.js';
+import { unwrapResponseData } from './dataTransformers.js';
+
+const createReport = (source) => ({
+  source,
+  label: PAYLOAD_SCHEMAS[source]?.label || source,
+  status: 'ok',
+  rowCount: 0,
+  missingFields: [],
+  wrongTypes: [],
+  missingValues: [],
+  unexpectedFiscalYears: [],
+  unmappedDivisions: [],
+  messages: [],
+  checkedAt: new Date().toISOString(),
+});
+
+// Describe a value's type for diagnostics
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// Check a value against a schema field type
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'numeric':
+      return (typeof value === 'number' && Number.isFinite(value))
+        || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+    case 'string':
+      return typeof value === 'string';
+    case 'date':
+      return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+// Downgrade status without ever upgrading it (invalid beats partial beats ok)
+const setStatus = (report, status) => {
+  const severity = ['ok', 'partial', 'empty', 'invalid', 'error'];
+  if (severity.indexOf(status) > severity.indexOf(report.status)) {
+    report.status = status;
+  }
+};
+
+/**
+ * Validate a raw webhook payload against its schema
+ * @param {string} source - Schema key (TICKET_SALES, SEASON_PASS_SALES, LABOR, NPS, TRAILS_LIFTS)
+ * @param {*} data - Raw webhook response body
+ * @param {Object} context - From createFiscalOptions ({ asOf, fiscalYearStartMonth, fiscalYears }) for the fiscal year check
+ * @returns {Object} Data-quality report
+ */
+export const validatePayload = (source, data, { asOf, fiscalYearStartMonth, fiscalYears } = {}) => {
+  const schema = PAYLOAD_SCHEMAS[source];
+  const report = createReport(source);
+  if (!schema) {
+    report.messages.push(`No schema defined for ${source}`);
+    return report;
+  }
+
+  if (data === null || data === undefined || data === '') {
+    setStatus(report, 'empty');
+    report.messages.push('Webhook returned no data');
+    return report;
+  }
+
+  // Normalize to rows
+  let rows;
+  if (schema.shape === 'array') {
+    const unwrapped = unwrapResponseData(data);
+    if (!Array.isArray(unwrapped)) {
+      setStatus(report, 'invalid');
+      report.wrongTypes.push({ field: '(root)', expected: 'array', actual: describeType(unwrapped), rows: 1 });
+      report.messages.push(`Expected a list of rows but got ${describeType(unwrapped)}`);
+      return report;
+    }
+    rows = unwrapped;
+  } else {
+    const record = Array.isArray(data) ? data[0] : data;
+    if (Array.isArray(data) && data.length === 0) {
+      rows = [];
+    } else if (!record || typeof record !== 'object') {
+      setStatus(report, 'invalid');
+      report.wrongTypes.push({ field: '(root)', expected: 'object', actual: describeType(record), rows: 1 });
+      report.messages.push(`Expected an object but got ${describeType(record)}`);
+      return report;
+    } else {
+      rows = [record];
+    }
+  }
+
+  report.rowCount = rows.length;
+  if (rows.length === 0) {
+    setStatus(report, 'empty');
+    report.messages.push('Webhook returned no rows');
+    return report;
+  }
+
+  // Field presence and types
+  schema.fields.forEach((field) => {
+    let missing = 0;
+    const wrongTypes = new Map();
+    rows.forEach((row) => {
+      const key = [field.name, ...(field.aliases || [])].find(name => row?.[name] !== undefined && row?.[name] !== null);
+      if (!key) {
+        missing += 1;
+        return;
+      }
+      if (!matchesType(row[key], field.type)) {
+        const actual = describeType(row[key]);
+        wrongTypes.set(actual, (wrongTypes.get(actual) || 0) + 1);
+      }
+    });
+
+    if (missing > 0 && field.required) {
+      report.missingFields.push({ field: field.name, rows: missing });
+      report.messages.push(missing === rows.length
+        ? `Required field "${field.name}" is missing`
+        : `Required field "${field.name}" is missing in ${missing} of ${rows.length} rows`);
+      setStatus(report, missing === rows.length ? 'invalid' : 'partial');
+    }
+    wrongTypes.forEach((count, actual) => {
+      report.wrongTypes.push({ field: field.name, expected: field.type, actual, rows: count });
+      report.messages.push(`Field "${field.name}" should be ${field.type} but is ${actual} in ${count} row(s)`);
+      setStatus(report, field.required && count === rows.length ? 'invalid' : 'partial');
+    });
+  });
+
+  // Rows the transformer depends on
+  if (schema.requiredValues) {
+    const { field, values } = schema.requiredValues;
+    const present = rows.map(row => row?.[field]);
+    values.forEach((value) => {
+      if (!present.includes(value)) {
+        report.missingValues.push({ field, value });
+        report.messages.push(`No row with ${field} = "${value}" (found: ${present.filter(Boolean).join(', ') || 'none'})`);
+        setStatus(report, 'invalid');
+      }
+    });
+  }
+
+  // Fiscal years other than the current and prior ones
+  if (schema.fiscalYearField) {
+    const { current, prior } = fiscalYears || resolveFiscalYears({ asOf, startMonth: fiscalYearStartMonth });
+    const labels = rows.map(row => row?.[schema.fiscalYearField]).filter(Boolean);
+    report.unexpectedFiscalYears = labels.filter(label => label !== current.label && label !== prior.label);
+    if (report.unexpectedFiscalYears.length > 0) {
+      report.messages.push(`Unexpected fiscal years ${report.unexpectedFiscalYears.join(', ')} (expected ${current.label} and ${prior.label})`);
+      setStatus(report, 'partial');
+    }
+    [current, prior].forEach(({ label }) => {
+      if (!labels.includes(label)) {
+        report.messages.push(`${label} is not in the data`);
+        setStatus(report, 'partial');
+      }
+    });
+  }
+
+  return report;
+};
+
+/**
+ * Add problems found during transformation to a report
+ * @param {Object} report - Report from validatePayload
+ * @param {Object|null} transformed - Transformer output
+ * @returns {Object} The same report, updated
+ */
+export const addTransformIssues = (report, transformed) => {
+  if (transformed?.unmappedDivisions?.length > 0) {
+    report.unmappedDivisions = transformed.unmappedDivisions;
+    report.messages.push(`Divisions not in the division rules: ${transformed.unmappedDivisions.join(', ')}`);
+    setStatus(report, 'partial');
+  }
+  // Season pass sales standing in an older fiscal year for the current one (see findFiscalYearRows)
+  if (transformed?.fiscalYearFallback) {
+    const { expected, used } = transformed.fiscalYearFallback;
+    report.messages.push(`No ${expected} rows yet, so ${used} is shown as the current season and doesn't line up with ticket sales (${expected})`);
+    setStatus(report, 'partial');
+  }
+  if (transformed === null && (report.status === 'ok' || report.status === 'partial')) {
+    report.messages.push('The payload could not be transformed into dashboard data');
+    setStatus(report, 'invalid');
+  }
+  return report;
+};
+
+/**
+ * Build a report for a request that failed before returning a payload
+ * @param {string} source - Schema key
+ * @param {Error} error - Request error
+ * @returns {Object} Data-quality report with status "error"
+ */
+export const createErrorReport = (source, error) => {
+  const report = createReport(source);
+  report.status = 'error';
+  report.messages.push(error?.message || 'Request failed');
+  return report;
+};
@@ -7,6 +7,14 @@
  * Used in production when fetching data from n8n workflows.
  * For development with local data files, see localDataTransformers.js
  */
+import { formatFiscalYear, parseFiscalYearLabel, resolveFiscalYears } from './fiscalCalendar.js';
+import {
+  getNpsConfidence,
+  getNpsConfidenceFromScore,
+  getNpsFromCounts,
+  getScoreBand,
+  isSignificantDifference,
+} from './npsScore.js';
 
 /**
  * Format date for display in chart labels
@@ -70,12 +78,156 @@ export const formatPercentForDisplay = (value, decimals = 1) => {
   return `${sign}${value.toFixed(decimals)}%`;
 };
 
+/**
+ * Unwrap webhook responses that nest their rows in an object
+ * (e.g., { data: [...] } or { results: [...] })
+ * @param {*} data - Raw webhook response body
+ * @returns {*} The nested array if found, otherwise the data unchanged
+ */
+export const unwrapResponseData = (data) => {
+  if (data && !Array.isArray(data)) {
+    if (data.data && Array.isArray(data.data)) {
+      return data.data;
+    }
+    if (data.results && Array.isArray(data.results)) {
+      return data.results;
+    }
+  }
+  return data;
+};
+
+// Fields that mark a ticket sales row as a breakdown row rather than a season total
+const TICKET_BREAKDOWN_FIELDS = ['product', 'channel', 'sale_date'];
+
+const hasText = value => value !== undefined && value !== null && String(value).trim() !== '';
+
+const isBreakdownRow = item => TICKET_BREAKDOWN_FIELDS.some(field => hasText(item?.[field]));
+
+// Revenue per ticket sold, or null when no tickets were sold
+const getYieldPerTicket = (revenue, quantity) => (quantity > 0 ? revenue / quantity : null);
+
+// Percent change, or null when there's nothing to compare against
+const getPercentChange = (current, previous) => (
+  previous ? ((current - previous) / previous) * 100 : null
+);
+
+// YYYY-MM-DD shifted by a number of days
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+// Sum revenue and quantity (plus revenue per channel and product) per key; rows without the key are skipped
+const sumTicketRows = (rows, getKey) => {
+  const totals = new Map();
+  rows.forEach((row) => {
+    const key = getKey(row);
+    if (!hasText(key)) return;
+    const total = totals.get(key) || { revenue: 0, quantity: 0, channels: {}, products: {} };
+    const revenue = Number(row.total_paid_no_tax) || 0;
+    total.revenue += revenue;
+    total.quantity += Number(row.quantity_total) || 0;
+    if (hasText(row.channel)) {
+      const channel = String(row.channel).trim();
+      total.channels[channel] = (total.channels[channel] || 0) + revenue;
+    }
+    if (hasText(row.product)) {
+      const product = String(row.product).trim();
+      total.products[product] = (total.products[product] || 0) + revenue;
+    }
+    totals.set(key, total);
+  });
+  return totals;
+};
+
+// One breakdown line: this season's totals against last season's
+const compareTicketTotals = (current, last) => {
+  const revenue = current?.revenue || 0;
+  const quantity = current?.quantity || 0;
+  const yieldPerTicket = getYieldPerTicket(revenue, quantity);
+  const lastYieldPerTicket = last ? getYieldPerTicket(last.revenue, last.quantity) : null;
+  return {
+    revenue,
+    quantity,
+    yieldPerTicket,
+    channels: current?.channels || {},
+    products: current?.products || {},
+    lastRevenue: last ? last.revenue : null,
+    lastQuantity: last ? last.quantity : null,
+    lastYieldPerTicket,
+    revenueChange: last ? getPercentChange(revenue, last.revenue) : null,
+    yieldChange: yieldPerTicket !== null && lastYieldPerTicket !== null
+      ? getPercentChange(yieldPerTicket, lastYieldPerTicket)
+      : null,
+  };
+};
+
+// Breakdown by a row field (product or channel), largest revenue first
+const breakdownByField = (currentRows, lastRows, field) => {
+  const getKey = row => (hasText(row[field]) ? String(row[field]).trim() : null);
+  const current = sumTicketRows(currentRows, getKey);
+  const last = sumTicketRows(lastRows, getKey);
+  return [...new Set([...current.keys(), ...last.keys()])]
+    .map(name => ({ name, ...compareTicketTotals(current.get(name), last.get(name)) }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+/**
+ * Ticket sales breakdowns from the detail rows
+ * Detail rows carry any of product, channel and sale_date; every row should carry the same
+ * fields so each breakdown adds up to the same total. Days are this season's only, each
+ * compared with the same weekday last season (364 days earlier).
+ * @param {Array} currentRows - This season's detail rows
+ * @param {Array} lastRows - Last season's detail rows
+ * @returns {Object|null} { byProduct, byChannel, byDay, products, channels } (product and channel
+ *   names, largest first), or null without detail rows
+ */
+const transformTicketBreakdown = (currentRows, lastRows) => {
+  if (currentRows.length === 0 && lastRows.length === 0) return null;
+
+  const getDate = row => (hasText(row.sale_date) ? String(row.sale_date).slice(0, 10) : null);
+  const currentDays = sumTicketRows(currentRows, getDate);
+  const lastDays = sumTicketRows(lastRows, getDate);
+  const byDay = [...currentDays.keys()]
+    .sort()
+    .map(date => ({ date, ...compareTicketTotals(currentDays.get(date), lastDays.get(shiftDate(date, -364))) }));
+
+  const byProduct = breakdownByField(currentRows, lastRows, 'product');
+  const byChannel = breakdownByField(currentRows, lastRows, 'channel');
+  return {
+    byProduct,
+    byChannel,
+    byDay,
+    products: byProduct.map(product => product.name),
+    channels: byChannel.map(channel => channel.name),
+  };
+};
+
+// Season total row, or the detail rows summed when the webhook only sends detail rows
+const getSeasonTotals = (data, label) => {
+  const total = data.find(item => item.fiscal_year === label && !isBreakdownRow(item));
+  if (total) return total;
+  const details = data.filter(item => item.fiscal_year === label);
+  if (details.length === 0) return undefined;
+  return {
+    fiscal_year: label,
+    total_paid_no_tax: details.reduce((sum, item) => sum + (Number(item.total_paid_no_tax) || 0), 0),
+    quantity_total: details.reduce((sum, item) => sum + (Number(item.quantity_total) || 0), 0),
+  };
+};
+
 /**
  * Transform ticket sales data from n8n webhook response
+ * The webhook labels rows "This Season"/"Last Season"; periods are relabelled with the
+ * fiscal years resolved from the as-of date so they match the season pass labels.
+ * Rows with a product, channel or sale_date are breakdown rows (see transformTicketBreakdown);
+ * the season totals come from the rows without them.
  * @param {Array} data - Raw ticket sales data from n8n
+ * @param {Object} options - From createFiscalOptions (or { asOf, fiscalYearStartMonth } to resolve here)
  * @returns {Object|null} Transformed ticket sales data
  */
-export const transformTicketSales = (data) => {
+export const transformTicketSales = (data, { asOf, fiscalYearStartMonth, fiscalYears: resolved } = {}) => {
   if (!data) {
     console.warn('transformTicketSales: No data provided');
     return null;
@@ -91,14 +243,14 @@ export const transformTicketSales = (data) => {
     return null;
   }
   
-  const currentFY = data.find(item => item.fiscal_year === 'This Season');
-  const previousFY = data.find(item => item.fiscal_year === 'Last Season');
+  const currentFY = getSeasonTotals(data, 'This Season');
+  const previousFY = getSeasonTotals(data, 'Last Season');
   
   if (!currentFY || !previousFY) {
     console.warn('transformTicketSales: Missing required fiscal year data', {
       hasCurrentFY: !!currentFY,
       hasPreviousFY: !!previousFY,
-      availableFiscalYears: data.map(item => item.fiscal_year),
+      availableFiscalYears: [...new Set(data.map(item => item.fiscal_year))],
       sampleItem: data[0],
     });
     return null;
@@ -114,16 +266,27 @@ export const transformTicketSales = (data) => {
     ? (quantityAbsoluteChange / previousFY.quantity_total) * 100
     : 0;
   
+  const currentYield = getYieldPerTicket(currentFY.total_paid_no_tax, currentFY.quantity_total);
+  const previousYield = getYieldPerTicket(previousFY.total_paid_no_tax, previousFY.quantity_total);
+  const hasYields = currentYield !== null && previousYield !== null;
+  
+  const fiscalYears = resolved || resolveFiscalYears({ asOf, startMonth: fiscalYearStartMonth });
+  const breakdownRows = data.filter(isBreakdownRow);
+  
   return {
     currentSeason: {
-      period: currentFY.fiscal_year,
+      period: fiscalYears.current.label,
+      seasonLabel: currentFY.fiscal_year,
       revenue: currentFY.total_paid_no_tax,
       quantity: currentFY.quantity_total,
+      yieldPerTicket: currentYield,
     },
     lastSeason: {
-      period: previousFY.fiscal_year,
+      period: fiscalYears.prior.label,
+      seasonLabel: previousFY.fiscal_year,
       revenue: previousFY.total_paid_no_tax,
       quantity: previousFY.quantity_total,
+      yieldPerTicket: previousYield,
     },
     revenueComparison: {
       percentChange: revenuePercentChange,
@@ -133,21 +296,75 @@ export const transformTicketSales = (data) => {
       percentChange: quantityPercentChange,
       absoluteChange: quantityAbsoluteChange,
     },
+    yieldComparison: {
+      percentChange: hasYields ? getPercentChange(currentYield, previousYield) : null,
+      absoluteChange: hasYields ? currentYield - previousYield : null,
+    },
+    breakdown: transformTicketBreakdown(
+      breakdownRows.filter(item => item.fiscal_year === 'This Season'),
+      breakdownRows.filter(item => item.fiscal_year === 'Last Season'),
+    ),
+  };
+};
+
+/**
+ * Pick the current and prior fiscal year rows from season pass data
+ * The current fiscal year is resolved from the as-of date. If the webhook hasn't started
+ * returning that fiscal year yet, the latest fiscal year it does return is used instead,
+ * and the fallback is reported so the card can say its figures are a season behind.
+ * @param {Array} data - Rows with a Fiscal_Year label (e.g. "FY26")
+ * @param {Object} options - From createFiscalOptions (or { asOf, fiscalYearStartMonth } to resolve here)
+ * @returns {{currentFY: Object|undefined, previousFY: Object|undefined, fallback: Object|null}}
+ *   Matching rows, and { expected, used } labels when an older fiscal year stands in for the current one
+ */
+export const findFiscalYearRows = (data, { asOf, fiscalYearStartMonth, fiscalYears } = {}) => {
+  const rowsByYear = new Map();
+  data.forEach((item) => {
+    const year = parseFiscalYearLabel(item.Fiscal_Year);
+    if (year !== null) {
+      rowsByYear.set(year, item);
+    }
+  });
+  
+  const expectedYear = (fiscalYears || resolveFiscalYears({ asOf, startMonth: fiscalYearStartMonth })).current.year;
+  let currentYear = expectedYear;
+  if (!rowsByYear.has(currentYear) && rowsByYear.size > 0) {
+    const latestYear = Math.max(...rowsByYear.keys());
+    if (latestYear < currentYear) {
+      console.warn(`findFiscalYearRows: ${formatFiscalYear(currentYear)} not in data yet, using ${formatFiscalYear(latestYear)}`);
+      currentYear = latestYear;
+    }
+  }
+  
+  return {
+    currentFY: rowsByYear.get(currentYear),
+    previousFY: rowsByYear.get(currentYear - 1),
+    fallback: currentYear === expectedYear
+      ? null
+      : { expected: formatFiscalYear(expectedYear), used: formatFiscalYear(currentYear) },
   };
 };
 
 /**
  * Transform season pass sales data from n8n webhook response
  * @param {Array} data - Raw season pass sales data from n8n
- * @returns {Object|null} Transformed season pass sales data
+ * @param {Object} options - From createFiscalOptions, the same object passed to transformTicketSales
+ * @returns {Object|null} Transformed season pass sales data; fiscalYearFallback is set when the
+ *   current fiscal year isn't in the data yet and an older one is shown instead
  */
-export const transformSeasonPassSales = (data) => {
+export const transformSeasonPassSales = (data, options = {}) => {
   if (!data || !Array.isArray(data) || data.length === 0) return null;
   
-  const currentFY = data.find(item => item.Fiscal_Year === 'FY26');
-  const previousFY = data.find(item => item.Fiscal_Year === 'FY25');
+  const { currentFY, previousFY, fallback } = findFiscalYearRows(data, options);
   
-  if (!currentFY || !previousFY) return null;
+  if (!currentFY || !previousFY) {
+    console.warn('transformSeasonPassSales: Missing required fiscal year data', {
+      hasCurrentFY: !!currentFY,
+      hasPreviousFY: !!previousFY,
+      availableFiscalYears: data.map(item => item.Fiscal_Year),
+    });
+    return null;
+  }
   
   const revenueAbsoluteChange = currentFY.Amount - previousFY.Amount;
   const revenuePercentChange = previousFY.Amount > 0 
@@ -160,13 +377,16 @@ export const transformSeasonPassSales = (data) => {
     : 0;
   
   return {
+    // After a fallback these aren't this and last season, so they aren't labelled as such
     currentSeason: {
       period: currentFY.Fiscal_Year,
+      seasonLabel: fallback ? 'Latest in data' : 'This Season',
       revenue: currentFY.Amount,
       quantity: currentFY.Quantity,
     },
     lastSeason: {
       period: previousFY.Fiscal_Year,
+      seasonLabel: fallback ? 'Year before' : 'Last Season',
       revenue: previousFY.Amount,
       quantity: previousFY.Quantity,
     },
@@ -178,89 +398,91 @@ export const transformSeasonPassSales = (data) => {
       percentChange: quantityPercentChange,
       absoluteChange: quantityAbsoluteChange,
     },
+    fiscalYearFallback: fallback,
   };
 };
 
+// Normalize a division name for comparison (case- and whitespace-insensitive)
+const normalizeDivisionName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Build a lookup from source division names to consolidated division names
+ * Shared by transformLabor and the server's role filtering, so both roll up identically.
+ * @param {Object} rules - Division rules { divisions: [{ name, sources }], otherDivision }
+ * @returns {Function} (sourceName) => consolidated division name, or the "Other" name if unmatched
+ */
+export const createDivisionLookup = (rules) => {
+  const otherName = rules?.otherDivision || 'Other';
+  const sourceLookup = new Map();
+  (rules?.divisions || []).forEach((rule) => {
+    (rule.sources || []).forEach((source) => {
+      sourceLookup.set(normalizeDivisionName(source), rule.name);
+    });
+  });
+  return (sourceName) => sourceLookup.get(normalizeDivisionName(sourceName)) || otherName;
+};
+
 /**
  * Transform labor data from n8n webhook response
+ * 
+ * Source divisions are rolled up into consolidated divisions using the rules in
+ * src/config/divisions.json (or the server's per-resort override). A source division
+ * matches a rule only when its name equals one of the rule's sources exactly, ignoring
+ * case and extra whitespace. Anything unmatched is reported in an "Other" bucket.
+ * 
  * @param {Array} data - Raw labor data from n8n
+ * @param {Object} rules - Division rules { divisions: [{ name, sources, extraMetrics }], otherDivision }
  * @returns {Object|null} Transformed labor data
  */
-export const transformLabor = (data) => {
+export const transformLabor = (data, rules) => {
   if (!data || !Array.isArray(data) || data.length === 0) return null;
   
-  // Define consolidation rules
-  const guestServicesDivisions = ['Ski School', 'Indoor Guest Services', 'Outdoor Guest Services'];
-  const hospitalityDivisions = ['Lodging', 'Community Services'];
-  const keepAsIs = ['Mountain Operations', 'Food & Beverage'];
-  
-  // Helper function to check if a division name matches (case-insensitive, flexible matching)
-  const matchesDivision = (divisionName, targetNames) => {
-    const normalized = divisionName?.trim() || '';
-    return targetNames.some(target => 
-      normalized.toLowerCase() === target.toLowerCase() ||
-      normalized.toLowerCase().includes(target.toLowerCase()) ||
-      target.toLowerCase().includes(normalized.toLowerCase())
-    );
-  };
+  const divisionRules = rules?.divisions || [];
+  const otherName = rules?.otherDivision || 'Other';
+  if (divisionRules.length === 0) {
+    console.warn('transformLabor: No division rules provided, every division will be reported as Other');
+  }
   
-  // Consolidate divisions
-  const consolidated = {
-    'Guest Services': {
-      division: 'Guest Services',
-      totalLabor: 0,
-      totalHours: 0,
-      revenue: 0,
-    },
-    'Hospitality': {
-      division: 'Hospitality',
-      totalLabor: 0,
-      totalHours: 0,
-      revenue: 0,
-    },
-    'Mountain Operations': {
-      division: 'Mountain Operations',
-      totalLabor: 0,
-      totalHours: 0,
-      revenue: 0,
-    },
-    'Food & Beverage': {
-      division: 'Food & Beverage',
-      totalLabor: 0,
-      totalHours: 0,
-      revenue: 0,
-    },
-  };
+  // Map each source name to its consolidated division
+  const findDivision = createDivisionLookup(rules);
+  
+  const createBucket = (name, extraMetrics = []) => ({
+    division: name,
+    totalLabor: 0,
+    totalHours: 0,
+    revenue: 0,
+    extraMetrics,
+    sourceDivisions: [],
+  });
+  
+  // Consolidated divisions in config order, with Other last
+  const consolidated = new Map();
+  divisionRules.forEach((rule) => {
+    consolidated.set(rule.name, createBucket(rule.name, rule.extraMetrics || []));
+  });
+  const other = createBucket(otherName);
   
   // Process each division from the API
   data.forEach((division) => {
     const divName = division.division || division.divisionName || '';
-    const labor = division.totalLabor || 0;
-    const hours = division.totalHours || 0;
-    const revenue = division.revenue || 0;
+    const target = consolidated.get(findDivision(divName)) || other;
     
-    if (matchesDivision(divName, guestServicesDivisions)) {
-      consolidated['Guest Services'].totalLabor += labor;
-      consolidated['Guest Services'].totalHours += hours;
-      consolidated['Guest Services'].revenue += revenue;
-    } else if (matchesDivision(divName, hospitalityDivisions)) {
-      consolidated['Hospitality'].totalLabor += labor;
-      consolidated['Hospitality'].totalHours += hours;
-      consolidated['Hospitality'].revenue += revenue;
-    } else if (matchesDivision(divName, ['Mountain Operations'])) {
-      consolidated['Mountain Operations'].totalLabor += labor;
-      consolidated['Mountain Operations'].totalHours += hours;
-      consolidated['Mountain Operations'].revenue += revenue;
-    } else if (matchesDivision(divName, ['Food & Beverage', 'Food and Beverage', 'F&B'])) {
-      consolidated['Food & Beverage'].totalLabor += labor;
-      consolidated['Food & Beverage'].totalHours += hours;
-      consolidated['Food & Beverage'].revenue += revenue;
+    target.totalLabor += division.totalLabor || 0;
+    target.totalHours += division.totalHours || 0;
+    target.revenue += division.revenue || 0;
+    if (!target.sourceDivisions.includes(divName)) {
+      target.sourceDivisions.push(divName);
     }
-    // All other divisions are ignored for now
   });
   
+  const unmappedDivisions = other.sourceDivisions;
+  if (unmappedDivisions.length > 0) {
+    console.warn(`transformLabor: ${unmappedDivisions.length} division(s) not in the division rules, reported as "${otherName}":`, unmappedDivisions);
+    consolidated.set(otherName, { ...other, unmapped: true });
+  }
+  
   // Convert to array and calculate percentOfRevenue for each consolidated division
-  const byDivision = Object.values(consolidated).map((div) => {
+  const byDivision = Array.from(consolidated.values()).map((div) => {
     const divRevenue = div.revenue || 0;
     const divLabor = div.totalLabor || 0;
     const divPercentOfRevenue = divRevenue > 0 ? (divLabor / divRevenue) * 100 : 0;
@@ -285,13 +507,156 @@ export const transformLabor = (data) => {
     totalRevenue: totalRevenue,
     percentOfRevenue: Math.round(overallPercentOfRevenue * 100) / 100,
     byDivision: byDivision,
+    unmappedDivisions: unmappedDivisions,
+  };
+};
+
+/**
+ * Transform labor budget rows (from the budget webhook or an uploaded budget file)
+ *
+ * Rows are rolled up into consolidated divisions with the same rules as transformLabor.
+ * Each row has a labor budget and optionally a revenue budget or a budgeted labor %;
+ * a budgeted % is turned into the revenue it implies, so rows can be summed.
+ *
+ * @param {Array} data - Rows { division, budgetLabor, budgetRevenue?, budgetLaborPercent? }
+ * @param {Object} rules - Division rules (see transformLabor)
+ * @returns {Object|null} { byDivision: { [division]: { budgetLabor, budgetRevenue, budgetLaborPercent } } }
+ */
+export const transformLaborBudget = (data, rules) => {
+  if (!data || !Array.isArray(data) || data.length === 0) return null;
+
+  const findDivision = createDivisionLookup(rules);
+  const totals = {};
+  data.forEach((row) => {
+    const budgetLabor = Number(row.budgetLabor) || 0;
+    const percent = Number(row.budgetLaborPercent);
+    let budgetRevenue = null;
+    if (row.budgetRevenue !== undefined && row.budgetRevenue !== null && row.budgetRevenue !== '') {
+      budgetRevenue = Number(row.budgetRevenue) || 0;
+    } else if (percent > 0) {
+      budgetRevenue = budgetLabor / (percent / 100);
+    }
+
+    const name = findDivision(row.division || row.divisionName);
+    const total = totals[name] || { budgetLabor: 0, budgetRevenue: 0, hasRevenue: true };
+    total.budgetLabor += budgetLabor;
+    // A division's revenue budget is only known if every row behind it has one
+    total.hasRevenue = total.hasRevenue && budgetRevenue !== null;
+    total.budgetRevenue += budgetRevenue || 0;
+    totals[name] = total;
+  });
+
+  const byDivision = {};
+  Object.entries(totals).forEach(([name, total]) => {
+    const budgetRevenue = total.hasRevenue ? total.budgetRevenue : null;
+    byDivision[name] = {
+      budgetLabor: total.budgetLabor,
+      budgetRevenue,
+      budgetLaborPercent: budgetRevenue > 0
+        ? Math.round((total.budgetLabor / budgetRevenue) * 10000) / 100
+        : null,
+    };
+  });
+  return { byDivision };
+};
+
+// Numeric payload field, or null when it's missing (so the card can hide it)
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Survey touchpoint labels and the names webhooks use for them
+export const NPS_TOUCHPOINTS = [
+  { name: 'Lifts', aliases: ['lifts', 'lift', 'lift operations', 'lift ops'] },
+  { name: 'Lessons', aliases: ['lessons', 'lesson', 'ski school', 'ski & ride school', 'ski and ride school'] },
+  { name: 'F&B', aliases: ['f&b', 'fnb', 'food & beverage', 'food and beverage', 'dining'] },
+  { name: 'Lodging', aliases: ['lodging', 'hotel', 'rooms'] },
+];
+
+const normalizeTouchpoint = (value) => {
+  const key = String(value || '').trim().toLowerCase();
+  const match = NPS_TOUCHPOINTS.find(touchpoint => touchpoint.aliases.includes(key));
+  return match ? match.name : (String(value || '').trim() || 'Other');
+};
+
+// Promoter, passive and detractor counts, or null when the row doesn't have all three
+const readResponseCounts = (row) => {
+  const counts = {
+    promoters: optionalNumber(row?.promoters),
+    passives: optionalNumber(row?.passives),
+    detractors: optionalNumber(row?.detractors),
   };
+  if (Object.values(counts).some(count => count === null)) return null;
+  return { ...counts, total: counts.promoters + counts.passives + counts.detractors };
 };
 
+// Scores per touchpoint in NPS_TOUCHPOINTS order; the score is worked out from counts when sent
+const transformTouchpoints = (rows) => {
+  const order = NPS_TOUCHPOINTS.map(touchpoint => touchpoint.name);
+  return (Array.isArray(rows) ? rows : [])
+    .map((row) => {
+      const counts = readResponseCounts(row);
+      return {
+        name: normalizeTouchpoint(row?.touchpoint ?? row?.name),
+        score: counts ? getNpsFromCounts(counts) : optionalNumber(row?.score),
+        responses: counts ? counts.total : optionalNumber(row?.responses),
+        promoters: counts?.promoters ?? null,
+        passives: counts?.passives ?? null,
+        detractors: counts?.detractors ?? null,
+      };
+    })
+    .filter(touchpoint => touchpoint.score !== null)
+    .sort((a, b) => {
+      const rank = name => (order.includes(name) ? order.indexOf(name) : order.length);
+      return rank(a.name) - rank(b.name);
+    });
+};
+
+// Pooled NPS over the days ending on a date, or null unless the daily counts cover the whole
+// window: a missing day would leave a 7- or 28-day score and interval resting on fewer days
+const getRollingNps = (dailyResponses, endDate, days) => {
+  const from = shiftDate(endDate, -(days - 1));
+  const window = dailyResponses.filter(day => day.date >= from && day.date <= endDate);
+  if (new Set(window.map(day => day.date)).size < days) return null;
+  const interval = getNpsConfidence({
+    promoters: window.reduce((sum, day) => sum + day.promoters, 0),
+    passives: window.reduce((sum, day) => sum + day.passives, 0),
+    detractors: window.reduce((sum, day) => sum + day.detractors, 0),
+  });
+  return interval && { ...interval, from, to: endDate };
+};
+
+// Confidence interval from band counts when sent, otherwise from the score and response count
+const getScoreConfidence = (counts, score, responses) => (
+  counts ? getNpsConfidence(counts) : getNpsConfidenceFromScore(score, responses)
+);
+
+// Survey comments, newest first; the score band comes from the 0-10 answer
+const transformComments = (rows) => (Array.isArray(rows) ? rows : [])
+  .map((row, index) => ({
+    id: row?.id !== undefined && row?.id !== null ? String(row.id) : String(index),
+    date: row?.date || row?.response_date || null,
+    score: optionalNumber(row?.score),
+    band: getScoreBand(row?.score),
+    touchpoint: row?.touchpoint ? normalizeTouchpoint(row.touchpoint) : null,
+    text: String(row?.comment ?? row?.text ?? '').trim(),
+  }))
+  .filter(comment => comment.text !== '')
+  .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+
 /**
  * Transform NPS data from n8n webhook response
+ * Beyond yesterday's score and compset, richer payloads may add yesterday's response counts
+ * (promoters, passives, detractors), touchpoints ([{ touchpoint, promoters, passives, detractors }]
+ * or [{ touchpoint, score, responses }]), daily response counts ([{ date, promoters, passives,
+ * detractors }]) and survey comments ([{ id, date, score, touchpoint, comment }]).
+ * Response counts give each score a 95% confidence interval (last_year_promoters etc., or
+ * *_responses alongside a score, e.g. yesterday_compset_responses); a difference is only
+ * significant when the intervals don't overlap. Daily counts also give rolling 7- and 28-day NPS.
  * @param {Array|Object} data - Raw NPS data from n8n
- * @returns {Object|null} Transformed NPS data
+ * @returns {Object|null} Transformed NPS data; breakdowns are null or empty when not sent
  */
 export const transformNPS = (data) => {
   if (!data || (Array.isArray(data) && data.length === 0)) return null;
@@ -299,6 +664,28 @@ export const transformNPS = (data) => {
   // Handle both array and single object responses
   const npsData = Array.isArray(data) ? data[0] : data;
   
+  const responses = readResponseCounts(npsData);
+  const lastYearResponses = readResponseCounts({
+    promoters: npsData.last_year_promoters,
+    passives: npsData.last_year_passives,
+    detractors: npsData.last_year_detractors,
+  });
+  const dailyResponses = (Array.isArray(npsData.daily) ? npsData.daily : [])
+    .map((row) => {
+      const counts = readResponseCounts(row);
+      return counts && row.date ? { date: String(row.date).slice(0, 10), ...counts, score: getNpsFromCounts(counts) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const lastDate = dailyResponses.length > 0 ? dailyResponses[dailyResponses.length - 1].date : null;
+  
+  const confidence = {
+    score: getScoreConfidence(responses, npsData.yesterday_score, npsData.yesterday_responses),
+    lastYearScore: getScoreConfidence(lastYearResponses, npsData.last_year_yesterday_score, npsData.last_year_yesterday_responses),
+    compset: getNpsConfidenceFromScore(npsData.yesterday_compset, npsData.yesterday_compset_responses),
+    lastYearCompset: getNpsConfidenceFromScore(npsData.last_year_yesterday_compset, npsData.last_year_yesterday_compset_responses),
+  };
+  
   return {
     yesterdayScore: npsData.yesterday_score || 0,
     lastYearYesterdayScore: npsData.last_year_yesterday_score || 0,
@@ -308,5 +695,161 @@ export const transformNPS = (data) => {
     percentChange: npsData.percent_change || 0,
     yesterdayDate: npsData.yesterday_date,
     lastYearYesterdayDate: npsData.last_year_yesterday_date,
+    responses,
+    lastYearResponses,
+    byTouchpoint: transformTouchpoints(npsData.touchpoints),
+    dailyResponses,
+    comments: transformComments(npsData.comments),
+    confidence,
+    significance: {
+      vsLastYear: isSignificantDifference(confidence.score, confidence.lastYearScore),
+      vsCompset: isSignificantDifference(confidence.score, confidence.compset),
+    },
+    rolling: {
+      days7: lastDate ? getRollingNps(dailyResponses, lastDate, 7) : null,
+      days28: lastDate ? getRollingNps(dailyResponses, lastDate, 28) : null,
+    },
+    // Rolling NPS as of each day, for charting; null until the daily counts cover the window
+    rollingScores: dailyResponses.map(({ date }) => ({
+      date,
+      days7: getRollingNps(dailyResponses, date, 7),
+      days28: getRollingNps(dailyResponses, date, 28),
+    })),
+  };
+};
+
+// Trail difficulty labels, easiest first, and the names webhooks use for them
+export const TRAIL_DIFFICULTIES = [
+  { name: 'Beginner', aliases: ['beginner', 'easy', 'easiest', 'green', 'green circle'] },
+  { name: 'Intermediate', aliases: ['intermediate', 'more difficult', 'blue', 'blue square'] },
+  { name: 'Advanced', aliases: ['advanced', 'most difficult', 'black', 'black diamond'] },
+  { name: 'Expert', aliases: ['expert', 'extreme', 'double black', 'double black diamond', 'double-black'] },
+  { name: 'Terrain Park', aliases: ['terrain park', 'park', 'freestyle'] },
+];
+
+const normalizeDifficulty = (value) => {
+  const key = String(value || '').trim().toLowerCase();
+  const match = TRAIL_DIFFICULTIES.find(difficulty => difficulty.aliases.includes(key));
+  return match ? match.name : (String(value || '').trim() || 'Other');
+};
+
+// "open", "Open", true, 1 -> true
+const isOpenStatus = (value) => value === true || value === 1
+  || ['open', 'yes', 'true', '1'].includes(String(value).trim().toLowerCase());
+
+// Count open and total items per group, in the order groups first appear (or the given order)
+const countByGroup = (items, getGroup, order = []) => {
+  const groups = new Map(order.map(name => [name, { name, open: 0, total: 0 }]));
+  items.forEach((item) => {
+    const name = getGroup(item);
+    const group = groups.get(name) || { name, open: 0, total: 0 };
+    group.total += 1;
+    if (item.open) group.open += 1;
+    groups.set(name, group);
+  });
+  return Array.from(groups.values()).filter(group => group.total > 0);
+};
+
+/**
+ * Transform trails and lifts data from n8n webhook response
+ * The API returns at least { trailsOpen: "59", liftsOpen: "8" }. Richer payloads may add
+ * trailsTotal/liftsTotal, per-trail and per-lift lists ({ name, difficulty, area, status, acres })
+ * and snow conditions (snowfall24h, snowfall7d, seasonSnowfall, baseDepth, summitDepth, in inches).
+ * @param {Object} data - Raw trails and lifts data from n8n
+ * @returns {Object|null} Counts as numbers, breakdowns by difficulty and area, snow and terrain open
+ */
+export const transformTrailsLifts = (data) => {
+  if (!data) return null;
+  
+  const toItems = list => (Array.isArray(list) ? list : []).map(item => ({
+    name: item.name || '',
+    difficulty: normalizeDifficulty(item.difficulty),
+    area: String(item.area || '').trim() || 'Other',
+    open: isOpenStatus(item.status ?? item.open),
+    acres: optionalNumber(item.acres),
+  }));
+  const trails = toItems(data.trails);
+  const lifts = toItems(data.lifts);
+  
+  // Convert strings to numbers for consistency; lists fill in counts the payload leaves out
+  const count = (value, items, predicate = () => true) => {
+    if (value !== undefined && value !== null && value !== '') return parseInt(value, 10) || 0;
+    return items.filter(predicate).length;
+  };
+  const trailsOpen = count(data.trailsOpen, trails, trail => trail.open);
+  const liftsOpen = count(data.liftsOpen, lifts, lift => lift.open);
+  const trailsTotal = trails.length > 0 || data.trailsTotal ? count(data.trailsTotal, trails) : null;
+  const liftsTotal = lifts.length > 0 || data.liftsTotal ? count(data.liftsTotal, lifts) : null;
+  
+  // Terrain open by acreage when every trail has acres, otherwise by trail count
+  const acreage = trails.length > 0 && trails.every(trail => trail.acres !== null)
+    ? trails.reduce((sum, trail) => ({
+      open: sum.open + (trail.open ? trail.acres : 0),
+      total: sum.total + trail.acres,
+    }), { open: 0, total: 0 })
+    : null;
+  let terrainOpenPercent = optionalNumber(data.terrainOpenPercent);
+  if (terrainOpenPercent === null && acreage?.total > 0) {
+    terrainOpenPercent = (acreage.open / acreage.total) * 100;
+  } else if (terrainOpenPercent === null && trailsTotal > 0) {
+    terrainOpenPercent = (trailsOpen / trailsTotal) * 100;
+  }
+  
+  return {
+    trailsOpen,
+    liftsOpen,
+    trailsTotal,
+    liftsTotal,
+    terrainOpenPercent: terrainOpenPercent === null ? null : Math.round(terrainOpenPercent * 10) / 10,
+    trailsByDifficulty: countByGroup(trails, trail => trail.difficulty, TRAIL_DIFFICULTIES.map(d => d.name)),
+    trailsByArea: countByGroup(trails, trail => trail.area),
+    liftsByArea: countByGroup(lifts, lift => lift.area),
+    snow: {
+      snowfall24h: optionalNumber(data.snowfall24h),
+      snowfall7d: optionalNumber(data.snowfall7d),
+      seasonSnowfall: optionalNumber(data.seasonSnowfall),
+      baseDepth: optionalNumber(data.baseDepth),
+      summitDepth: optionalNumber(data.summitDepth),
+    },
+  };
+};
+
+// Rooms and room revenue -> ADR, occupancy % and RevPAR (revenue metrics are null when revenue is unknown)
+const summarizeRooms = (roomsAvailable, roomsOccupied, roomRevenue) => ({
+  roomsAvailable,
+  roomsOccupied,
+  roomRevenue,
+  adr: roomRevenue !== null && roomsOccupied > 0
+    ? Math.round((roomRevenue / roomsOccupied) * 100) / 100
+    : null,
+  occupancyPercent: roomsAvailable > 0
+    ? Math.round((roomsOccupied / roomsAvailable) * 1000) / 10
+    : null,
+  revpar: roomRevenue !== null && roomsAvailable > 0
+    ? Math.round((roomRevenue / roomsAvailable) * 100) / 100
+    : null,
+});
+
+/**
+ * Transform lodging data from n8n webhook response
+ * The API returns { roomsAvailable, roomsOccupied, roomRevenue } for the period, plus the
+ * same fields prefixed with lastYear; one row per property is also accepted and summed.
+ * @param {Object|Array} data - Raw lodging data from n8n
+ * @returns {Object|null} { roomsAvailable, roomsOccupied, roomRevenue, adr, occupancyPercent, revpar, lastYear }
+ */
+export const transformLodging = (data) => {
+  const rows = (Array.isArray(data) ? data : [data]).filter(row => row && typeof row === 'object');
+  if (rows.length === 0) return null;
+
+  const has = field => rows.some(row => row[field] !== undefined && row[field] !== null && row[field] !== '');
+  const sum = field => (has(field)
+    ? rows.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0)
+    : null);
+
+  return {
+    ...summarizeRooms(sum('roomsAvailable') || 0, sum('roomsOccupied') || 0, sum('roomRevenue')),
+    lastYear: has('lastYearRoomsAvailable') || has('lastYearRoomsOccupied')
+      ? summarizeRooms(sum('lastYearRoomsAvailable') || 0, sum('lastYearRoomsOccupied') || 0, sum('lastYearRoomRevenue'))
+      : null,
   };
 };
@@ -0,0 +1,172 @@
+/**
+ * Export Data
+ *
+ * Turns card data into spreadsheet tables for CSV and XLSX downloads. Each source is
+ * exported twice: the transformed values the card shows and the raw webhook payload,
+ * with an "About" table recording the as-of date and the endpoint each came from.
+ */
+import { createXlsx } from './xlsxWriter.js';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isObjectArray = value => Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+// Cell value: numbers, text and booleans as-is, anything nested as JSON
+const toCell = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') return value;
+  return JSON.stringify(value);
+};
+
+// { a: { b: 1 }, c: [1, 2] } -> { 'a.b': 1, c: '[1,2]' }
+const flattenObject = (value, prefix = '', result = {}) => {
+  Object.entries(value).forEach(([key, item]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(item) && Object.keys(item).length > 0) {
+      flattenObject(item, path, result);
+    } else {
+      result[path] = toCell(item);
+    }
+  });
+  return result;
+};
+
+// Rows of objects -> header row plus one row per object, columns in first-seen order
+const objectsToRows = (objects) => {
+  const flattened = objects.map(object => flattenObject(object));
+  const columns = [...new Set(flattened.flatMap(object => Object.keys(object)))];
+  return [columns, ...flattened.map(object => columns.map(column => object[column] ?? null))];
+};
+
+/**
+ * Tables for one value: a list of objects is one table; an object becomes a Field/Value
+ * table for its scalar fields plus a table per nested list of objects
+ * @param {*} value - Transformed data or raw payload
+ * @param {string} label - Source label the tables are named after
+ * @param {string} part - Which part of the source (e.g. "raw"); nested lists add their field name
+ * @returns {Array<{name: string, label: string, part: string, rows: Array<Array<*>>}>} Tables (empty for null)
+ */
+export const toTables = (value, label, part = '') => {
+  const table = rows => ({ name: part ? `${label} ${part}` : label, label, part, rows });
+  if (value === null || value === undefined) return [];
+  if (isObjectArray(value)) return [table(objectsToRows(value))];
+  if (Array.isArray(value)) return [table([['Value'], ...value.map(item => [toCell(item)])])];
+  if (!isPlainObject(value)) return [table([['Value'], [toCell(value)]])];
+
+  const fields = [];
+  const nested = [];
+  const walk = (object, prefix) => {
+    Object.entries(object).forEach(([key, item]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (isObjectArray(item)) {
+        nested.push(...toTables(item, label, part ? `${part} ${key}` : key));
+      } else if (isPlainObject(item) && Object.keys(item).length > 0) {
+        walk(item, path);
+      } else {
+        fields.push([path, toCell(item)]);
+      }
+    });
+  };
+  walk(value, '');
+
+  return [
+    ...(fields.length > 0 ? [table([['Field', 'Value'], ...fields])] : []),
+    ...nested,
+  ];
+};
+
+/**
+ * Build the export for a set of sources
+ * @param {Object} options
+ * @param {string} options.title - What is exported (card title, or "GM Dashboard")
+ * @param {string} options.asOf - Date the data is for (YYYY-MM-DD)
+ * @param {string|null} options.snapshotDate - History snapshot date, when exporting a past day
+ * @param {Array<Object>} options.datasets - { source, label, endpoint, transformed, raw: { data, params, fetchedAt } | null }
+ * @param {Date} options.exportedAt - Export time
+ * @returns {{ metadata: Array<Array<string>>, tables: Array<Object> }} About rows and data tables
+ */
+export const buildExport = ({ title, asOf, snapshotDate = null, datasets, exportedAt = new Date() }) => {
+  const metadata = [
+    ['Export', title],
+    ['As of', asOf || ''],
+    ['Exported at', exportedAt.toISOString()],
+    ['Data', snapshotDate ? `History snapshot from ${snapshotDate}` : 'Live'],
+  ];
+  const tables = [];
+
+  datasets.forEach(({ source, label, endpoint, transformed, raw }) => {
+    const params = Object.entries(raw?.params || {}).map(([key, value]) => `${key}=${value}`).join('&');
+    metadata.push(
+      [`${label} source`, `${source} via ${endpoint}${params ? `?${params}` : ''}`],
+      [`${label} fetched at`, raw?.fetchedAt || ''],
+    );
+    if (!raw) {
+      metadata.push([`${label} raw rows`, snapshotDate ? 'Not kept in history snapshots' : 'Not available']);
+    }
+    tables.push(...toTables(transformed, label));
+    if (raw) {
+      tables.push(...toTables(raw.data, label, 'raw'));
+    }
+  });
+
+  return { metadata, tables };
+};
+
+// Text a spreadsheet would run as a formula (webhook data, so treat it as untrusted)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Signed numbers sent as strings ("-12.5", "+3") start like a formula but are safe, and stay numbers
+const NUMERIC_TEXT = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+// Quote a CSV field when it holds a comma, quote or line break; other text that starts like a
+// formula gets a leading ' so Excel and Sheets show it instead of evaluating it
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) && !NUMERIC_TEXT.test(value)
+    ? `'${value}`
+    : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text for an export: the About rows, then each table under its name, separated by blank lines
+ * @param {Object} exportData - From buildExport
+ * @returns {string} CSV (with a byte order mark so Excel reads it as UTF-8)
+ */
+export const toCsv = ({ metadata, tables }) => {
+  const lines = metadata.map(row => row.map(toCsvField).join(','));
+  tables.forEach((table) => {
+    lines.push('', toCsvField(table.name));
+    table.rows.forEach(row => lines.push(row.map(toCsvField).join(',')));
+  });
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+// Sheet names are limited to 31 characters; shorten the label rather than the part that tells sheets apart
+const toSheetName = ({ name, label, part }) => {
+  if (name.length <= 31 || !part || part.length > 24) return name;
+  return `${label.slice(0, 31 - part.length - 1).trim()} ${part}`;
+};
+
+/**
+ * XLSX workbook for an export: an About sheet, then one sheet per table; the as-of date,
+ * snapshot date and source endpoints are also saved as document properties
+ * @param {Object} exportData - From buildExport
+ * @param {Object} options - { title, asOf, exportedAt }
+ * @returns {Uint8Array} .xlsx file contents
+ */
+export const toXlsx = ({ metadata, tables }, { title, asOf, exportedAt = new Date() }) => {
+  const custom = Object.fromEntries(metadata.filter(([key]) => key !== 'Export'));
+  return createXlsx({
+    sheets: [
+      { name: 'About', rows: [['Field', 'Value'], ...metadata] },
+      ...tables.map(table => ({ name: toSheetName(table), rows: table.rows })),
+    ],
+    properties: {
+      title,
+      subject: asOf ? `${title} as of ${asOf}` : title,
+      custom,
+    },
+    created: exportedAt,
+  });
+};
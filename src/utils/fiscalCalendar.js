@@ -0,0 +1,120 @@
+/**
+ * Fiscal Calendar
+ *
+ * Works out fiscal years from dates so transformers never hardcode labels like "FY26".
+ * A fiscal year is named after the calendar year it ends in: with an August start,
+ * FY26 runs from August 1, 2025 to July 31, 2026.
+ *
+ * Shared by the client and server.js, so it must not depend on Vite or the browser.
+ */
+
+// Month (1-12) the fiscal year starts in
+export const DEFAULT_FISCAL_YEAR_START_MONTH = 8;
+
+/**
+ * Normalize a configured start month, falling back to the default if invalid
+ * @param {number|string} startMonth - Month 1-12
+ * @returns {number} Valid start month
+ */
+export const normalizeStartMonth = (startMonth) => {
+  const month = parseInt(startMonth, 10);
+  return month >= 1 && month <= 12 ? month : DEFAULT_FISCAL_YEAR_START_MONTH;
+};
+
+/**
+ * Parse a date input. YYYY-MM-DD strings are read as local dates, not UTC.
+ * @param {string|Date} date - Date to parse (defaults to now)
+ * @returns {Date} Parsed date
+ */
+const toDate = (date) => {
+  if (!date) return new Date();
+  if (date instanceof Date) return date;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(date)) return new Date(`${date}T00:00:00`);
+  return new Date(date);
+};
+
+/**
+ * Get the fiscal year a date falls in
+ * @param {string|Date} date - Date (defaults to now)
+ * @param {number} startMonth - Fiscal year start month (1-12)
+ * @returns {number} Fiscal year, as the calendar year it ends in (e.g. 2026)
+ */
+export const getFiscalYear = (date, startMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+  const dateObj = toDate(date);
+  const month = normalizeStartMonth(startMonth);
+  const calendarYear = dateObj.getFullYear();
+  // A January start means the fiscal year is the calendar year
+  if (month === 1) return calendarYear;
+  return dateObj.getMonth() + 1 >= month ? calendarYear + 1 : calendarYear;
+};
+
+/**
+ * Format a fiscal year as a label
+ * @param {number} fiscalYear - Fiscal year (e.g. 2026)
+ * @returns {string} Label (e.g. "FY26")
+ */
+export const formatFiscalYear = (fiscalYear) => `FY${String(fiscalYear % 100).padStart(2, '0')}`;
+
+/**
+ * Parse a fiscal year label
+ * @param {string} label - Label such as "FY26" or "FY2026"
+ * @returns {number|null} Fiscal year (e.g. 2026), or null if not a fiscal year label
+ */
+export const parseFiscalYearLabel = (label) => {
+  const match = /^FY\s*(\d{2}|\d{4})$/i.exec(String(label || '').trim());
+  if (!match) return null;
+  const value = parseInt(match[1], 10);
+  return match[1].length === 2 ? 2000 + value : value;
+};
+
+/**
+ * First and last day of a fiscal year
+ * @param {number} fiscalYear - Fiscal year (e.g. 2026)
+ * @param {number} startMonth - Fiscal year start month (1-12)
+ * @returns {{start: Date, end: Date}} Local dates
+ */
+export const getFiscalYearRange = (fiscalYear, startMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+  const month = normalizeStartMonth(startMonth);
+  const startYear = month === 1 ? fiscalYear : fiscalYear - 1;
+  return {
+    start: new Date(startYear, month - 1, 1),
+    end: new Date(startYear + 1, month - 1, 0),
+  };
+};
+
+/**
+ * Resolve the current and prior fiscal years for a date
+ * @param {Object} options
+ * @param {string|Date} [options.asOf] - Date to resolve for (defaults to now)
+ * @param {number} [options.startMonth] - Fiscal year start month (1-12)
+ * @returns {{current: Object, prior: Object}} Each with year, label, start and end
+ */
+export const resolveFiscalYears = ({ asOf, startMonth = DEFAULT_FISCAL_YEAR_START_MONTH } = {}) => {
+  const currentYear = getFiscalYear(asOf, startMonth);
+  const describe = (year) => ({
+    year,
+    label: formatFiscalYear(year),
+    ...getFiscalYearRange(year, startMonth),
+  });
+  return {
+    current: describe(currentYear),
+    prior: describe(currentYear - 1),
+  };
+};
+
+/**
+ * Fiscal year options for the sales transformers and payload checks, resolved once so ticket
+ * sales and season pass sales are labelled from the same fiscal years
+ * @param {Object} options
+ * @param {string|Date} [options.asOf] - Date the data is for (defaults to now)
+ * @param {number|string} [options.fiscalYearStartMonth] - Fiscal year start month (1-12)
+ * @returns {Object} { asOf, fiscalYearStartMonth, fiscalYears: { current, prior } }
+ */
+export const createFiscalOptions = ({ asOf, fiscalYearStartMonth } = {}) => {
+  const startMonth = normalizeStartMonth(fiscalYearStartMonth);
+  return {
+    asOf,
+    fiscalYearStartMonth: startMonth,
+    fiscalYears: resolveFiscalYears({ asOf, startMonth }),
+  };
+};
@@ -0,0 +1,68 @@
+/**
+ * Labor Budget
+ *
+ * Compares a division's actual labor with its budget (see transformLaborBudget) and
+ * assigns a red/amber/green status from how far over budget it is.
+ *
+ * Shared by the client and server.js, so it must not depend on Vite or the browser.
+ */
+
+// Percent over budget at which a division turns amber, and red
+// (at or under the amber threshold it is green)
+export const DEFAULT_BUDGET_THRESHOLDS = { amber: 0, red: 5 };
+
+/**
+ * Normalize budget thresholds, falling back to the defaults for missing or invalid values
+ * @param {Object} thresholds - { amber, red } as numbers or numeric strings
+ * @returns {Object} { amber, red } with red never below amber
+ */
+export const normalizeBudgetThresholds = (thresholds = {}) => {
+  const read = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  };
+  const amber = read(thresholds?.amber, DEFAULT_BUDGET_THRESHOLDS.amber);
+  const red = read(thresholds?.red, DEFAULT_BUDGET_THRESHOLDS.red);
+  return { amber, red: Math.max(red, amber) };
+};
+
+/**
+ * Status for a variance against budget
+ * @param {number|null} variancePercent - Percent over (+) or under (-) budget
+ * @param {Object} thresholds - { amber, red }
+ * @returns {string} 'green' | 'amber' | 'red'
+ */
+export const getBudgetStatus = (variancePercent, thresholds = DEFAULT_BUDGET_THRESHOLDS) => {
+  if (variancePercent === null || variancePercent <= thresholds.amber) return 'green';
+  if (variancePercent <= thresholds.red) return 'amber';
+  return 'red';
+};
+
+/**
+ * Compare a division's actual labor with its budget
+ * @param {Object} division - Division from transformLabor ({ totalLabor, revenue, percentOfRevenue })
+ * @param {Object} budget - The division's entry from transformLaborBudget
+ * @param {Object} thresholds - { amber, red } (see normalizeBudgetThresholds)
+ * @returns {Object|null} { budgetLabor, variance, variancePercent, laborPercent, budgetLaborPercent, status }, or null without a budget
+ */
+export const compareToBudget = (division, budget, thresholds = DEFAULT_BUDGET_THRESHOLDS) => {
+  if (!division || !budget) return null;
+  const actual = division.totalLabor || 0;
+  const variance = actual - budget.budgetLabor;
+  let variancePercent = null;
+  if (budget.budgetLabor > 0) {
+    variancePercent = Math.round((variance / budget.budgetLabor) * 10000) / 100;
+  } else if (actual > 0) {
+    // Any spend against a zero budget is as far over as it gets
+    variancePercent = Infinity;
+  }
+
+  return {
+    budgetLabor: budget.budgetLabor,
+    variance,
+    variancePercent,
+    laborPercent: division.revenue > 0 ? division.percentOfRevenue : null,
+    budgetLaborPercent: budget.budgetLaborPercent,
+    status: getBudgetStatus(variancePercent, thresholds),
+  };
+};
@@ -0,0 +1,39 @@
+/**
+ * Labor Productivity
+ *
+ * Per-division productivity KPIs from the hours already in the labor data
+ * (see transformLabor), optionally against the trails and lifts open.
+ */
+
+/**
+ * Productivity KPIs for one division
+ * @param {Object} division - Division from transformLabor ({ totalLabor, totalHours, revenue })
+ * @param {Object} [trailsLifts] - From transformTrailsLifts, for divisions that run the mountain
+ * @returns {Object|null} { totalHours, averageHourlyRate, revenuePerLaborHour, hoursPerOpenTrail, hoursPerOpenLift };
+ *   values that can't be worked out (no hours, no revenue, nothing open) are null
+ */
+export const getLaborProductivity = (division, trailsLifts = null) => {
+  if (!division) return null;
+  const hours = division.totalHours || 0;
+  const perHour = value => (hours > 0 ? value / hours : null);
+  const perOpen = count => (hours > 0 && count > 0 ? hours / count : null);
+
+  return {
+    totalHours: hours,
+    averageHourlyRate: perHour(division.totalLabor || 0),
+    revenuePerLaborHour: division.revenue > 0 ? perHour(division.revenue) : null,
+    hoursPerOpenTrail: trailsLifts ? perOpen(trailsLifts.trailsOpen) : null,
+    hoursPerOpenLift: trailsLifts ? perOpen(trailsLifts.liftsOpen) : null,
+  };
+};
+
+/**
+ * Percent change from last year
+ * @param {number|null} current - This year's value
+ * @param {number|null} lastYear - Last year's value
+ * @returns {number|null} Change in percent, or null when either value is missing or last year was 0
+ */
+export const getChangePercent = (current, lastYear) => {
+  if (current === null || current === undefined || !lastYear) return null;
+  return Math.round(((current - lastYear) / lastYear) * 1000) / 10;
+};
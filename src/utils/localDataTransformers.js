@@ -7,6 +7,8 @@
  * 
  * Uses dynamic imports to avoid build errors when data folder is not present.
  */
+import { findFiscalYearRows } from './dataTransformers';
+import { resolveFiscalYears } from './fiscalCalendar';
 
 // Cache for loaded data to avoid re-importing
 let npsDataCache = null;
@@ -138,8 +140,9 @@ export const transformLaborData = async () => {
 /**
  * Transform ticket sales data to Sales Comparison format
  * Returns combined data with both ticket sales and season pass sales
+ * @param {number} fiscalYearStartMonth - Month (1-12) the fiscal year starts in, from /api/config
  */
-export const transformTicketSalesData = async () => {
+export const transformTicketSalesData = async (fiscalYearStartMonth) => {
   const ticketSalesData = await loadTicketSalesData();
   
   // Transform ticket sales
@@ -161,14 +164,18 @@ export const transformTicketSalesData = async () => {
       ? (quantityAbsoluteChange / previousFY.quantity_total) * 100
       : 0;
     
+    const fiscalYears = resolveFiscalYears({ startMonth: fiscalYearStartMonth });
+    
     return {
       currentSeason: {
-        period: currentFY.fiscal_year,
+        period: fiscalYears.current.label,
+        seasonLabel: currentFY.fiscal_year,
         revenue: currentFY.total_paid_no_tax,
         quantity: currentFY.quantity_total,
       },
       lastSeason: {
-        period: previousFY.fiscal_year,
+        period: fiscalYears.prior.label,
+        seasonLabel: previousFY.fiscal_year,
         revenue: previousFY.total_paid_no_tax,
         quantity: previousFY.quantity_total,
       },
@@ -184,7 +191,7 @@ export const transformTicketSalesData = async () => {
   })();
   
   // Transform season pass sales
-  const seasonPassSales = await transformSeasonPassSalesData();
+  const seasonPassSales = await transformSeasonPassSalesData(fiscalYearStartMonth);
   
   // Combine both datasets
   return {
@@ -195,13 +202,15 @@ export const transformTicketSalesData = async () => {
 
 /**
  * Transform season pass sales data
+ * @param {number} fiscalYearStartMonth - Month (1-12) the fiscal year starts in, from /api/config
  */
-export const transformSeasonPassSalesData = async () => {
+export const transformSeasonPassSalesData = async (fiscalYearStartMonth) => {
   const seasonPassSalesData = await loadSeasonPassSalesData();
   if (!seasonPassSalesData || seasonPassSalesData.length === 0) return null;
   
-  const currentFY = seasonPassSalesData.find(item => item.Fiscal_Year === 'FY26');
-  const previousFY = seasonPassSalesData.find(item => item.Fiscal_Year === 'FY25');
+  const { currentFY, previousFY } = findFiscalYearRows(seasonPassSalesData, {
+    fiscalYearStartMonth,
+  });
   
   if (!currentFY || !previousFY) return null;
   
@@ -218,11 +227,13 @@ export const transformSeasonPassSalesData = async () => {
   return {
     currentSeason: {
       period: currentFY.Fiscal_Year,
+      seasonLabel: 'This Season',
       revenue: currentFY.Amount,
       quantity: currentFY.Quantity,
     },
     lastSeason: {
       period: previousFY.Fiscal_Year,
+      seasonLabel: 'Last Season',
       revenue: previousFY.Amount,
       quantity: previousFY.Quantity,
     },
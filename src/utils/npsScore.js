@@ -0,0 +1,100 @@
+/**
+ * NPS Score
+ *
+ * Net Promoter Score from survey response counts: promoters answer 9-10, passives 7-8
+ * and detractors 0-6; NPS is % promoters minus % detractors (-100 to 100).
+ *
+ * Shared by the client and server.js, so it must not depend on Vite or the browser.
+ */
+
+// Score bands, best first, with the colors the dashboard draws them in
+export const NPS_BANDS = [
+  { key: 'promoter', label: 'Promoters', min: 9, color: '#10b981' },
+  { key: 'passive', label: 'Passives', min: 7, color: '#f59e0b' },
+  { key: 'detractor', label: 'Detractors', min: 0, color: '#ef4444' },
+];
+
+/**
+ * Score band for a 0-10 survey answer
+ * @param {number|string} score - Likelihood to recommend, 0-10
+ * @returns {string|null} 'promoter', 'passive' or 'detractor', or null if the score isn't 0-10
+ */
+export const getScoreBand = (score) => {
+  const value = Number(score);
+  if (score === null || score === undefined || score === '' || !Number.isFinite(value) || value < 0 || value > 10) {
+    return null;
+  }
+  return NPS_BANDS.find(band => value >= band.min).key;
+};
+
+/**
+ * NPS from response counts
+ * @param {Object} counts - { promoters, passives, detractors }
+ * @returns {number|null} NPS rounded to one decimal, or null with no responses
+ */
+export const getNpsFromCounts = ({ promoters = 0, passives = 0, detractors = 0 } = {}) => {
+  const total = promoters + passives + detractors;
+  if (total <= 0) return null;
+  return Math.round(((promoters - detractors) / total) * 1000) / 10;
+};
+
+// z for a 95% confidence interval
+const Z_95 = 1.96;
+
+// Score +/- margin of error, clamped to the -100..100 NPS range
+const toInterval = (score, responses, standardError) => {
+  const marginOfError = Math.round(Z_95 * standardError * 1000) / 10;
+  return {
+    score,
+    responses,
+    marginOfError,
+    low: Math.max(-100, Math.round((score - marginOfError) * 10) / 10),
+    high: Math.min(100, Math.round((score + marginOfError) * 10) / 10),
+  };
+};
+
+/**
+ * NPS with its 95% confidence interval from response counts
+ * Each response scores +1 (promoter), 0 (passive) or -1 (detractor), so the variance of
+ * the mean is (p_promoter + p_detractor - NPS^2) / n.
+ * @param {Object} counts - { promoters, passives, detractors }
+ * @returns {Object|null} { score, responses, marginOfError, low, high } in NPS points, or null with no responses
+ */
+export const getNpsConfidence = (counts) => {
+  const score = getNpsFromCounts(counts);
+  if (score === null) return null;
+  const { promoters = 0, passives = 0, detractors = 0 } = counts;
+  const responses = promoters + passives + detractors;
+  const nps = (promoters - detractors) / responses;
+  const variance = Math.max(0, (promoters + detractors) / responses - nps * nps);
+  return toInterval(score, responses, Math.sqrt(variance / responses));
+};
+
+/**
+ * NPS confidence interval from a score and response count alone (e.g. the compset)
+ * Without the band counts the variance is taken at its largest for that score (1 - NPS^2,
+ * as if there were no passives), so the interval is never narrower than the true one.
+ * @param {number|string} score - NPS (-100 to 100)
+ * @param {number|string} responses - Number of responses behind the score
+ * @returns {Object|null} { score, responses, marginOfError, low, high }, or null without both values
+ */
+export const getNpsConfidenceFromScore = (score, responses) => {
+  const value = Number(score);
+  const count = Number(responses);
+  if (score === null || score === undefined || score === '' || !Number.isFinite(value) || !(count > 0)) {
+    return null;
+  }
+  const nps = Math.max(-1, Math.min(1, value / 100));
+  return toInterval(value, count, Math.sqrt((1 - nps * nps) / count));
+};
+
+/**
+ * Whether two scores differ significantly: only when their confidence intervals don't overlap
+ * @param {Object|null} a - Interval ({ low, high })
+ * @param {Object|null} b - Interval ({ low, high })
+ * @returns {boolean|null} null when either interval is unknown
+ */
+export const isSignificantDifference = (a, b) => {
+  if (!a || !b) return null;
+  return a.high < b.low || b.high < a.low;
+};
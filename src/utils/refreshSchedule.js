@@ -0,0 +1,100 @@
+/**
+ * Refresh Schedule
+ *
+ * Works out when each data source is next due for an automatic refresh.
+ * A rule refreshes a source on an interval, at fixed local times of day, or both:
+ *   { every: 10 }                 every 10 minutes after the last refresh
+ *   { at: '06:30' }               daily at 06:30 local time
+ *   { at: ['06:30', '12:00'] }    several times a day
+ * Times are compared to the wall clock rather than counted down with timers,
+ * so a refresh lines up with the clock even after the tab was asleep.
+ */
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Parse a local time of day
+ * @param {string} value - Time as HH:MM (24-hour)
+ * @returns {{hours: number, minutes: number}} Parsed time
+ */
+export const parseTimeOfDay = (value) => {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) {
+    throw new Error(`Invalid refresh time "${value}". Expected HH:MM.`);
+  }
+  return { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) };
+};
+
+/**
+ * Validate a refresh rule and normalize it
+ * @param {Object} rule - { every: minutes, at: 'HH:MM' | ['HH:MM', ...] }
+ * @returns {{everyMs: number|null, times: Array}} Normalized rule
+ */
+export const normalizeRefreshRule = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Refresh rule must be an object with "every" and/or "at"');
+  }
+  const every = rule.every === undefined ? null : Number(rule.every);
+  if (every !== null && !(every > 0)) {
+    throw new Error(`Invalid refresh interval "${rule.every}". Expected minutes greater than 0.`);
+  }
+  const times = (rule.at === undefined ? [] : [].concat(rule.at)).map(parseTimeOfDay);
+  if (every === null && times.length === 0) {
+    throw new Error('Refresh rule must set "every" and/or "at"');
+  }
+  return { everyMs: every === null ? null : every * 60 * 1000, times };
+};
+
+/**
+ * Validate a schedule of rules keyed by source
+ * @param {Object} schedule - Map of source key to rule
+ * @returns {Object} Map of source key to normalized rule
+ */
+export const normalizeRefreshSchedule = (schedule) => Object.fromEntries(
+  Object.entries(schedule || {}).map(([key, rule]) => {
+    try {
+      return [key, normalizeRefreshRule(rule)];
+    } catch (error) {
+      throw new Error(`Refresh schedule for ${key}: ${error.message}`);
+    }
+  })
+);
+
+// First occurrence of a time of day strictly after a date
+const nextTimeOfDay = (after, { hours, minutes }) => {
+  const next = new Date(after);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= after) next.setDate(next.getDate() + 1);
+  return next;
+};
+
+/**
+ * When a source is next due
+ * A time in the past means the source is overdue and should refresh now.
+ * @param {Object} rule - Normalized rule (see normalizeRefreshRule)
+ * @param {Date|null} lastRun - When the source last refreshed
+ * @returns {Date|null} Next refresh, or null if the source has never been loaded
+ */
+export const getNextRefresh = (rule, lastRun) => {
+  if (!rule || !lastRun) return null;
+  const candidates = rule.times.map(time => nextTimeOfDay(lastRun, time));
+  if (rule.everyMs) {
+    candidates.push(new Date(lastRun.getTime() + rule.everyMs));
+  }
+  return new Date(Math.min(...candidates.map(date => date.getTime())));
+};
+
+/**
+ * Format the time until the next refresh
+ * @param {number} ms - Milliseconds remaining
+ * @returns {string} e.g. "4h 05m", "9m 58s", "12s"
+ */
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+};
@@ -1,7 +1,12 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import tailwindcss from '@tailwindcss/vite'
 import react from '@vitejs/plugin-react'
 import { resolve } from 'path'
+import { createRuntimeConfigLoader } from './server/runtimeConfig.js'
+import { loadUpstreamBaseUrl } from './server/upstream.js'
+
+// Server-side settings (.env files plus the shell) for the dev server's API routes and n8n proxy
+const devEnv = { ...loadEnv('development', process.cwd(), ''), ...process.env }
 
 // Plugin to replace localDataTransformers with stub in production builds
 // This prevents build errors from missing data folder imports
@@ -30,12 +35,60 @@ const useStubInProduction = () => {
   }
 }
 
+// Prefix the dev proxy below listens on; only reachable through the /api/data routes
+const DEV_N8N_PROXY_PREFIX = '/__n8n'
+
+// Plugin to serve /api/config and the named /api/data routes from the dev server,
+// matching what server.js does in production
+const serveApiRoutes = () => {
+  return {
+    name: 'serve-api-routes',
+    configureServer(server) {
+      const runtimeConfig = createRuntimeConfigLoader({
+        env: devEnv,
+        configPath: devEnv.DASHBOARD_CONFIG_FILE || resolve(process.cwd(), 'config/dashboard.json'),
+      })
+      const sendJson = (res, statusCode, body) => {
+        res.statusCode = statusCode
+        res.setHeader('Content-Type', 'application/json')
+        res.setHeader('Cache-Control', 'no-cache')
+        res.end(JSON.stringify(body))
+      }
+
+      server.middlewares.use((req, res, next) => {
+        const pathname = req.url.split('?')[0]
+        if (pathname === '/api/config') {
+          return sendJson(res, 200, runtimeConfig.toClientConfig())
+        }
+        // Never proxy arbitrary paths: the old /api/n8n relay and the internal prefix are closed
+        if (pathname.startsWith('/api/n8n') || pathname.startsWith(DEV_N8N_PROXY_PREFIX)) {
+          return sendJson(res, 404, { error: 'Not Found', message: `Unknown API route ${pathname}` })
+        }
+        if (!pathname.startsWith('/api/data/')) {
+          return next()
+        }
+
+        const route = runtimeConfig.resolveDataRequest(req.url)
+        if (route.status === 'unknown') {
+          return sendJson(res, 404, { error: 'Not Found', message: `Unknown data route ${pathname}` })
+        }
+        if (route.status === 'unconfigured') {
+          return sendJson(res, 503, { error: 'Service Unavailable', message: `The ${route.name} webhook is not configured` })
+        }
+        // Hand the request to the n8n dev proxy
+        req.url = `${DEV_N8N_PROXY_PREFIX}${route.path}`
+        next()
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   // Base path must match the deployment path for assets to load correctly
   // For direct domain deployment (https://gm-dashboard.mcp.hyperplane.dev/), use root path
   base: '/',
-  plugins: [react(), tailwindcss(), useStubInProduction()],
+  plugins: [react(), tailwindcss(), useStubInProduction(), serveApiRoutes()],
   server: {
     host: '0.0.0.0',
     port: 5173,
@@ -53,12 +106,14 @@ export default defineConfig({
     // Disable source map to avoid additional requests
     sourcemap: false,
     // Proxy API requests to n8n to avoid CORS issues
+    // Requests arrive here only from the /api/data routes in serveApiRoutes()
     proxy: {
-      '/api/n8n': {
-        target: 'https://n8n-v2.mcp.hyperplane.dev',
+      [DEV_N8N_PROXY_PREFIX]: {
+        // Same upstream as server.js: N8N_BASE_URL, defaulting to the production n8n
+        target: loadUpstreamBaseUrl(devEnv).href,
         changeOrigin: true,
         secure: true,
-        rewrite: (path) => path.replace(/^\/api\/n8n/, ''),
+        rewrite: (path) => path.slice(DEV_N8N_PROXY_PREFIX.length),
         // Forward cookies and headers for OAuth2 authentication
         cookieDomainRewrite: {
           // Rewrite cookie domain to allow forwarding
@@ -75,6 +130,10 @@ export default defineConfig({
           });
           proxy.on('proxyReq', (proxyReq, req, _res) => {
             console.log('Proxying request:', req.method, req.url, '->', proxyReq.path);
+            // Same credential as server.js: N8N_API_KEY, never a key from the browser
+            if (devEnv.N8N_API_KEY) {
+              proxyReq.setHeader('authorization', `Bearer ${devEnv.N8N_API_KEY}`);
+            }
             // Log cookies being forwarded (for debugging)
             if (req.headers.cookie) {
               console.log('Forwarding cookies:', req.headers.cookie.substring(0, 100) + '...');